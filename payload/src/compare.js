@@ -0,0 +1,425 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import validateFormat from "./format.js"
+import { parsers as temporalParsers } from "./datetime.js"
+import { readDecimal } from "./decimal.js"
+import { readMinimumValue, readMaximumValue, readEnumValues, readUniqueness, stringifyJSON } from "./utility.js"
+import {
+    collectTypes,
+    resolveFormat,
+    isReference,
+    followReference,
+    isOptional,
+    isNullable,
+    readDefault
+} from "./reference.js"
+import { customTypes, isCustomType } from "./registry.js"
+
+// A difference is backward-compatible if the new format accepts everything
+// the old one accepted (payloads of old clients are still accepted), and
+// forward-compatible if the old format accepts everything the new one accepts
+// (old clients accept the new payloads). Anything else is breaking.
+const BACKWARD = 'backward'
+const FORWARD = 'forward'
+const BREAKING = 'breaking'
+
+function addDifference(differences, path, compatibility, message) {
+    differences.push({ path, compatibility, message })
+}
+
+// Report a constraint that was relaxed (or removed) as backward-compatible and
+// a constraint that was tightened (or added) as forward-compatible. The
+// compare function tells which of the two values is the most restrictive;
+// 'undefined' means there is no constraint.
+function compareConstraint(path, name, oldValue, newValue, compare, differences) {
+    if (oldValue === undefined && newValue === undefined)
+        return
+
+    if (oldValue === undefined) {
+        addDifference(differences, path, FORWARD, `'${name}' property was added`)
+    }
+    else if (newValue === undefined) {
+        addDifference(differences, path, BACKWARD, `'${name}' property was removed`)
+    }
+    else {
+        const comparison = compare(oldValue, newValue)
+        if (comparison > 0) {
+            addDifference(differences, path, BACKWARD, `'${name}' property was relaxed`)
+        }
+        else if (comparison < 0) {
+            addDifference(differences, path, FORWARD, `'${name}' property was tightened`)
+        }
+    }
+}
+
+// Same as above for constraints that can't be ordered; any change is breaking.
+function compareProperty(path, name, oldValue, newValue, differences) {
+    compareConstraint(path, name, oldValue, newValue, (oldValue, newValue) => 0, differences)
+
+    if (oldValue !== undefined && newValue !== undefined && oldValue !== newValue) {
+        addDifference(differences, path, BREAKING, `'${name}' property was changed`)
+    }
+}
+
+// Compare two numbers where the greatest one is the most restrictive.
+function compareLowerLimits(oldValue, newValue) {
+    return Math.sign(oldValue - newValue)
+}
+
+// Compare two numbers where the lowest one is the most restrictive.
+function compareUpperLimits(oldValue, newValue) {
+    return Math.sign(newValue - oldValue)
+}
+
+// Compare two bounds of a block like compareLowerLimits() does for minimums
+// ('lower' is true) and like compareUpperLimits() does for maximums.
+function compareBounds(type, oldBound, newBound, lower) {
+    var comparison
+    if (type === 'decimal') {
+        comparison = readDecimal(oldBound.value).compare(readDecimal(newBound.value))
+    }
+    else if (type in temporalParsers) {
+        comparison = Math.sign(temporalParsers[type](oldBound.value).value - temporalParsers[type](newBound.value).value)
+    }
+    else {
+        comparison = Math.sign(oldBound.value - newBound.value)
+    }
+
+    if (!lower) {
+        comparison = -comparison
+    }
+
+    // With the same value, an exclusive bound is the most restrictive.
+    if (comparison == 0 && oldBound.exclusive != newBound.exclusive) {
+        comparison = oldBound.exclusive ? 1 : -1
+    }
+
+    return comparison
+}
+
+function compareBoundProperties(path, oldBlock, newBlock, differences) {
+    compareConstraint(
+        path, 'minimum',
+        readMinimumValue(oldBlock),
+        readMinimumValue(newBlock),
+        (oldBound, newBound) => compareBounds(oldBlock.type, oldBound, newBound, true),
+        differences
+    )
+    compareConstraint(
+        path, 'maximum',
+        readMaximumValue(oldBlock),
+        readMaximumValue(newBlock),
+        (oldBound, newBound) => compareBounds(oldBlock.type, oldBound, newBound, false),
+        differences
+    )
+}
+
+function readLength(block) {
+    if (typeof block.length === 'number') {
+        return { minimum: block.length, maximum: block.length }
+    }
+    else if (block.length !== undefined) {
+        return block.length
+    }
+
+    return {}
+}
+
+function compareLengthProperties(path, oldBlock, newBlock, differences) {
+    const oldLength = readLength(oldBlock)
+    const newLength = readLength(newBlock)
+
+    // A minimum length of zero is the same as no minimum length.
+    const minimum = length => length.minimum > 0 ? length.minimum : undefined
+
+    path = path.concat('length')
+    compareConstraint(path, 'minimum', minimum(oldLength), minimum(newLength), compareLowerLimits, differences)
+    compareConstraint(path, 'maximum', oldLength.maximum, newLength.maximum, compareUpperLimits, differences)
+}
+
+// Items compared by one of their fields are more restricted than items
+// compared entirely; two different fields can't be compared.
+function compareUniqueProperties(path, oldBlock, newBlock, differences) {
+    const oldUnique = readUniqueness(oldBlock)
+    const newUnique = readUniqueness(newBlock)
+
+    if (typeof oldUnique === 'string' && typeof newUnique === 'string') {
+        compareProperty(path, 'unique', oldUnique, newUnique, differences)
+        return
+    }
+
+    const compareUniqueness = (oldValue, newValue) => oldValue === newValue ? 0 : (oldValue === true ? -1 : 1)
+    compareConstraint(path, 'unique', oldUnique, newUnique, compareUniqueness, differences)
+}
+
+const comparators = {
+    flag: (path, oldBlock, newBlock, differences, context) => {},
+    number: (path, oldBlock, newBlock, differences, context) => {
+        const oldDecimal = oldBlock.decimal !== undefined ? oldBlock.decimal : true
+        const newDecimal = newBlock.decimal !== undefined ? newBlock.decimal : true
+
+        if (oldDecimal && !newDecimal) {
+            addDifference(differences, path, FORWARD, "decimal numbers are no longer accepted")
+        }
+        else if (!oldDecimal && newDecimal) {
+            addDifference(differences, path, BACKWARD, "decimal numbers are now accepted")
+        }
+
+        compareBoundProperties(path, oldBlock, newBlock, differences)
+    },
+    decimal: (path, oldBlock, newBlock, differences, context) => {
+        compareConstraint(path, 'precision', oldBlock.precision, newBlock.precision, compareUpperLimits, differences)
+        compareConstraint(path, 'scale', oldBlock.scale, newBlock.scale, compareUpperLimits, differences)
+        compareBoundProperties(path, oldBlock, newBlock, differences)
+    },
+    string: (path, oldBlock, newBlock, differences, context) => {
+        compareLengthProperties(path, oldBlock, newBlock, differences)
+        compareProperty(path, 'pattern', oldBlock.pattern, newBlock.pattern, differences)
+        compareProperty(path, 'format', oldBlock.format, newBlock.format, differences)
+    },
+    date: (path, oldBlock, newBlock, differences, context) => {
+        compareBoundProperties(path, oldBlock, newBlock, differences)
+    },
+    time: (path, oldBlock, newBlock, differences, context) => {
+        compareBoundProperties(path, oldBlock, newBlock, differences)
+        compareProperty(path, 'timezone', oldBlock.timezone, newBlock.timezone, differences)
+    },
+    datetime: (path, oldBlock, newBlock, differences, context) => {
+        comparators.time(path, oldBlock, newBlock, differences, context)
+    },
+    bytes: (path, oldBlock, newBlock, differences, context) => {
+        const oldEncoding = oldBlock.encoding || 'base64'
+        const newEncoding = newBlock.encoding || 'base64'
+
+        if (oldEncoding !== newEncoding) {
+            addDifference(differences, path, BREAKING, "'encoding' property was changed")
+        }
+
+        compareLengthProperties(path, oldBlock, newBlock, differences)
+    },
+    array: (path, oldBlock, newBlock, differences, context) => {
+        compareBlocks(path.concat('[]'), oldBlock.value, newBlock.value, differences, context)
+        compareLengthProperties(path, oldBlock, newBlock, differences)
+        compareUniqueProperties(path, oldBlock, newBlock, differences)
+    },
+    set: (path, oldBlock, newBlock, differences, context) => {
+        compareBlocks(path.concat('[]'), oldBlock.value, newBlock.value, differences, context)
+        compareLengthProperties(path, oldBlock, newBlock, differences)
+    },
+    object: (path, oldBlock, newBlock, differences, context) => {
+        // Integer keys are a subset of string keys.
+        if (oldBlock.key === 'string' && newBlock.key === 'integer') {
+            addDifference(differences, path, FORWARD, "'key' property was tightened")
+        }
+        else if (oldBlock.key === 'integer' && newBlock.key === 'string') {
+            addDifference(differences, path, BACKWARD, "'key' property was relaxed")
+        }
+
+        compareBlocks(path.concat('{}'), oldBlock.value, newBlock.value, differences, context)
+        compareLengthProperties(path, oldBlock, newBlock, differences)
+    },
+    tuple: (path, oldBlock, newBlock, differences, context) => {
+        if (oldBlock.items.length != newBlock.items.length) {
+            addDifference(differences, path, BREAKING, "number of items was changed")
+            return
+        }
+
+        oldBlock.items.forEach((item, index) => {
+            compareBlocks(path.concat(`<${index}>`), item, newBlock.items[index], differences, context)
+        })
+    },
+    map: (path, oldBlock, newBlock, differences, context) => {
+        // A field can be omitted if it's optional or if it has a default value.
+        const canBeOmitted = field => isOptional(field) || readDefault(field) !== undefined
+
+        for (const [key, oldField] of Object.entries(oldBlock.fields)) {
+            const fieldPath = path.concat(`$${key}`)
+            const newField = newBlock.fields[key]
+
+            if (newField === undefined) {
+                // Old clients may still send the field, and if it's required,
+                // the new payloads are missing it.
+                const compatibility = canBeOmitted(oldField) ? FORWARD : BREAKING
+                addDifference(differences, fieldPath, compatibility, `'${key}' field was removed`)
+                continue
+            }
+
+            if (canBeOmitted(oldField) && !canBeOmitted(newField)) {
+                addDifference(differences, fieldPath, FORWARD, "field can no longer be omitted")
+            }
+            else if (!canBeOmitted(oldField) && canBeOmitted(newField)) {
+                addDifference(differences, fieldPath, BACKWARD, "field can now be omitted")
+            }
+
+            const oldDefault = readDefault(oldField)
+            const newDefault = readDefault(newField)
+            if (oldDefault !== undefined && newDefault !== undefined && JSON.stringify(oldDefault) !== JSON.stringify(newDefault)) {
+                // Both formats accept the same payloads but omitting the field
+                // no longer means the same thing.
+                addDifference(differences, fieldPath, BREAKING, "default value was changed")
+            }
+
+            compareBlocks(fieldPath, oldField, newField, differences, context)
+        }
+
+        for (const [key, newField] of Object.entries(newBlock.fields)) {
+            if (key in oldBlock.fields)
+                continue
+
+            // Old clients don't send the field, and they don't expect it either.
+            const compatibility = canBeOmitted(newField) ? BACKWARD : BREAKING
+            addDifference(differences, path.concat(`$${key}`), compatibility, `'${key}' field was added`)
+        }
+
+        // Constraints that were added reject some of the payloads the old
+        // format accepted, and the other way around.
+        const readConstraints = block => (block.constraints !== undefined ? block.constraints : []).map(constraint => stringifyJSON(constraint, true))
+        const oldConstraints = readConstraints(oldBlock)
+        const newConstraints = readConstraints(newBlock)
+
+        oldConstraints.forEach((constraint, index) => {
+            if (!newConstraints.includes(constraint))
+                addDifference(differences, path.concat(['constraints', index]), BACKWARD, "constraint was removed")
+        })
+        newConstraints.forEach((constraint, index) => {
+            if (!oldConstraints.includes(constraint))
+                addDifference(differences, path.concat(['constraints', index]), FORWARD, "constraint was added")
+        })
+    },
+    enum: (path, oldBlock, newBlock, differences, context) => {
+        const oldValues = readEnumValues(oldBlock)
+        const newValues = readEnumValues(newBlock)
+
+        oldValues.filter(value => !newValues.includes(value)).forEach(value => {
+            addDifference(differences, path, FORWARD, `'${value}' enum value was removed`)
+        })
+
+        newValues.filter(value => !oldValues.includes(value)).forEach(value => {
+            addDifference(differences, path, BACKWARD, `'${value}' enum value was added`)
+        })
+    },
+    literal: (path, oldBlock, newBlock, differences, context) => {
+        compareProperty(path, 'value', oldBlock.value, newBlock.value, differences)
+    },
+    union: (path, oldBlock, newBlock, differences, context) => {
+        if (oldBlock.discriminator !== newBlock.discriminator) {
+            addDifference(differences, path, BREAKING, "'discriminator' property was changed")
+            return
+        }
+
+        // Variants are matched by their position; variants are expected to be
+        // added or removed at the end.
+        const length = Math.max(oldBlock.variants.length, newBlock.variants.length)
+        for (var index = 0; index < length; index++) {
+            const variantPath = path.concat(`(${index})`)
+            const oldVariant = oldBlock.variants[index]
+            const newVariant = newBlock.variants[index]
+
+            if (newVariant === undefined) {
+                addDifference(differences, variantPath, FORWARD, "variant was removed")
+            }
+            else if (oldVariant === undefined) {
+                addDifference(differences, variantPath, BACKWARD, "variant was added")
+            }
+            else {
+                compareBlocks(variantPath, oldVariant, newVariant, differences, context)
+            }
+        }
+    }
+}
+
+function compareBlocks(path, oldBlock, newBlock, differences, context) {
+    if (!isNullable(oldBlock) && isNullable(newBlock)) {
+        addDifference(differences, path, BACKWARD, "value can now be null")
+    }
+    else if (isNullable(oldBlock) && !isNullable(newBlock)) {
+        addDifference(differences, path, FORWARD, "value can no longer be null")
+    }
+
+    // Named types can reference themselves; we compare each pair of named
+    // types once.
+    if (isReference(oldBlock) && isReference(newBlock)) {
+        oldBlock = followReference(oldBlock)
+        newBlock = followReference(newBlock)
+
+        if (!context.has(oldBlock)) {
+            context.set(oldBlock, new Set())
+        }
+
+        if (context.get(oldBlock).has(newBlock))
+            return
+
+        context.get(oldBlock).add(newBlock)
+    }
+    else {
+        oldBlock = followReference(oldBlock)
+        newBlock = followReference(newBlock)
+    }
+
+    if (oldBlock.type !== newBlock.type) {
+        addDifference(differences, path, BREAKING, `type was changed from '${oldBlock.type}' to '${newBlock.type}'`)
+        return
+    }
+
+    if (isCustomType(oldBlock.type)) {
+        // The properties of custom types are opaque; any change is breaking.
+        for (const property of customTypes[oldBlock.type].properties) {
+            compareProperty(path, property, JSON.stringify(oldBlock[property]), JSON.stringify(newBlock[property]), differences)
+        }
+    }
+    else {
+        comparators[oldBlock.type](path, oldBlock, newBlock, differences, context)
+    }
+}
+
+/**
+ * Compare two versions of a format and list their differences.
+ *
+ * Each difference is an object with a 'path' (in the same notation as the
+ * validation errors), a 'message' and a 'compatibility' which is one of the
+ * following.
+ *
+ * - 'backward'; the new format accepts all the payloads the old one accepted
+ *   (a new optional field, a relaxed bound, etc.).
+ * - 'forward'; the old format accepts all the payloads the new one accepts
+ *   (a removed enum value, a tightened bound, etc.).
+ * - 'breaking'; neither of the above (a new required field, a different type,
+ *   etc.).
+ *
+ * Only the differences affecting the payloads are reported; names and
+ * descriptions are ignored and named types are compared where they're used.
+ * Both formats are validated first and a ValidationError is thrown if one of
+ * them isn't valid.
+ *
+ * @memberof Payload
+ * @param {object} oldFormat - The previous version of the format.
+ * @param {object} newFormat - The new version of the format.
+ * @param {object} options - The options passed to validateFormat(); they apply
+ *                           to both formats.
+ * @returns {array} - The differences.
+ */
+function compareFormats(oldFormat, newFormat, options) {
+    validateFormat(oldFormat, undefined, undefined, options)
+    validateFormat(newFormat, undefined, undefined, options)
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    const oldBlock = resolveFormat(oldFormat, collectTypes(oldFormat, options.types))
+    const newBlock = resolveFormat(newFormat, collectTypes(newFormat, options.types))
+
+    var differences = []
+    compareBlocks([], oldBlock, newBlock, differences, new Map())
+
+    return differences
+}
+
+export default compareFormats
@@ -0,0 +1,449 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { ValidationError } from "./exceptions.js"
+import validateFormat from "./format.js"
+import {
+    processors as payloadProcessors,
+    adjustNode as adjustPayloadNode,
+    readPayloadItems,
+    decodePayload
+} from "./payload.js"
+import {
+    processors as objectProcessors,
+    adjustNode as adjustObjectNode,
+    encodeObject
+} from "./object.js"
+import {
+    checkDeprecation,
+    readUniqueness,
+    findDuplicates,
+    checkUniqueness,
+    findVariant,
+    extendPath,
+    readPath,
+    runWithoutPath,
+    checkNodeLength
+} from "./utility.js"
+import { readFieldValues, findViolations, checkConstraints } from "./constraint.js"
+import { collectTypes, resolveFormat, followReference, isOptional, isNullable, readDefault, readDeprecation } from "./reference.js"
+import { isCustomType } from "./registry.js"
+
+// The compiled functions mirror processNode() and the processors of
+// payload.js and object.js, except they call each other directly instead of
+// being driven by walkNode(). The differences between the two directions are
+// described by the following dialects.
+const dialects = {
+    payload: {
+        processors: payloadProcessors,
+        adjustNode: adjustPayloadNode,
+        expectingArray: "was expecting a JSON array",
+        expectingObject: "was expecting a JSON object",
+        expectingSet: "was expecting a JSON array",
+        // Items are compared in their payload form (once adjusted) to detect
+        // duplicates.
+        readPayloadItems: (node, adjustedNode, format) => readPayloadItems(adjustedNode, format),
+        readPayloadFields: (node, adjustedNode, format) => readFieldValues(node, format),
+        readSet: node => node,
+        writeSet: items => new Set(items),
+        // Default values are in their payload form; they're adjusted like any
+        // other value.
+        adjustDefault: true
+    },
+    object: {
+        processors: objectProcessors,
+        adjustNode: adjustObjectNode,
+        expectingArray: "was expecting an array",
+        expectingObject: "was expecting an object",
+        expectingSet: "was expecting a set",
+        readPayloadItems: (node, adjustedNode, format) => adjustedNode,
+        readPayloadFields: (node, adjustedNode, format) => adjustedNode,
+        readSet: node => node instanceof Set ? [...node] : node,
+        writeSet: items => items,
+        adjustDefault: false
+    }
+}
+
+function compileScalar(format, dialect, cache) {
+    const process = dialect.processors[format.type]
+    return (link, node, errors, warnings) => runWithoutPath(process, link, node, format, errors, warnings)
+}
+
+// The processors of custom types (see registerType()) are always given the
+// path; nothing is known about how they use it.
+function compileCustom(format, dialect, cache) {
+    const process = dialect.processors[format.type]
+    return (link, node, errors, warnings) => process(readPath(link), node, format, errors, warnings)
+}
+
+function compileLength(format) {
+    if (format.length === undefined)
+        return
+
+    return (link, length, errors, warnings) => runWithoutPath(checkNodeLength, link, length, format, errors, warnings)
+}
+
+// The path is only read if there are duplicates.
+function compileUniqueness(format, dialect) {
+    const unique = readUniqueness(format)
+    if (unique === undefined)
+        return
+
+    return (link, node, adjustedNode, errors, warnings) => {
+        const items = dialect.readPayloadItems(node, adjustedNode, format)
+        if (findDuplicates(items, unique).length > 0)
+            checkUniqueness(items, unique, readPath(link), errors, warnings)
+    }
+}
+
+function compileArray(format, dialect, cache) {
+    const adjustItem = compileNode(format.value, dialect, cache)
+    const checkLength = compileLength(format)
+    const checkUniqueness = compileUniqueness(format, dialect)
+
+    return (link, node, errors, warnings) => {
+        if (node.constructor !== Array) {
+            const error = new ValidationError(readPath(link), dialect.expectingArray)
+            errors.push(error)
+            return
+        }
+
+        if (checkLength !== undefined) {
+            checkLength(link, node.length, errors, warnings)
+        }
+
+        var adjustedNode = []
+        for (var index = 0; index < node.length; index++) {
+            adjustedNode.push(adjustItem(extendPath(link, `[${index}]`), node[index], errors, warnings))
+        }
+
+        if (checkUniqueness !== undefined) {
+            checkUniqueness(link, node, adjustedNode, errors, warnings)
+        }
+
+        return adjustedNode
+    }
+}
+
+function compileSet(format, dialect, cache) {
+    const adjustArray = compileArray(format, dialect, cache)
+
+    return (link, node, errors, warnings) => {
+        node = dialect.readSet(node)
+        if (node.constructor !== Array) {
+            const error = new ValidationError(readPath(link), dialect.expectingSet)
+            errors.push(error)
+            return
+        }
+
+        const adjustedNode = adjustArray(link, node, errors, warnings)
+        return adjustedNode !== undefined ? dialect.writeSet(adjustedNode) : undefined
+    }
+}
+
+function compileObject(format, dialect, cache) {
+    const adjustValue = compileNode(format.value, dialect, cache)
+    const checkLength = compileLength(format)
+
+    return (link, node, errors, warnings) => {
+        if (node.constructor === Array || typeof node !== 'object') {
+            const error = new ValidationError(readPath(link), dialect.expectingObject)
+            errors.push(error)
+            return
+        }
+
+        const keys = Object.keys(node)
+        if (checkLength !== undefined) {
+            checkLength(link, keys.length, errors, warnings)
+        }
+
+        var adjustedNode = {}
+        for (var index = 0; index < keys.length; index++) {
+            const itemKey = keys[index]
+            var nodeKey
+
+            if (format.key === 'integer') {
+                nodeKey = Number.parseFloat(itemKey)
+                if (nodeKey === undefined || nodeKey === NaN || !Number.isInteger(nodeKey)) {
+                    const error = new ValidationError(readPath(link), `key at index ${index} is invalid; expected it to be an integer`)
+                    errors.push(error)
+                    continue
+                }
+            }
+            else if (format.key === 'string') {
+                if (!/^[a-zA-Z0-9\-\_]+$/.test(itemKey)) {
+                    const error = new ValidationError(readPath(link), `key at index ${index} is invalid; expected to match the pattern`)
+                    errors.push(error)
+                    continue
+                }
+
+                nodeKey = itemKey
+            }
+
+            adjustedNode[nodeKey] = adjustValue(extendPath(link, `{${itemKey}}`), node[itemKey], errors, warnings)
+        }
+
+        return adjustedNode
+    }
+}
+
+function compileTuple(format, dialect, cache) {
+    const adjustItems = format.items.map(item => compileNode(item, dialect, cache))
+
+    return (link, node, errors, warnings) => {
+        if (node.constructor !== Array) {
+            const error = new ValidationError(readPath(link), dialect.expectingArray)
+            errors.push(error)
+            return
+        }
+
+        if (node.length != format.items.length) {
+            const error = new ValidationError(readPath(link), `length of the array must be ${format.items.length}`)
+            errors.push(error)
+            return
+        }
+
+        var adjustedNode = []
+        for (var index = 0; index < node.length; index++) {
+            adjustedNode.push(adjustItems[index](extendPath(link, `<${index}>`), node[index], errors, warnings))
+        }
+
+        return adjustedNode
+    }
+}
+
+function compileMap(format, dialect, cache) {
+    var fields = {}
+    for (const [key, field] of Object.entries(format.fields)) {
+        fields[key] = {
+            adjust: compileNode(field, dialect, cache),
+            optional: isOptional(field),
+            nullable: isNullable(field),
+            defaultValue: readDefault(field)
+        }
+    }
+
+    const keys = Object.keys(format.fields)
+
+    return (link, node, errors, warnings) => {
+        if (node.constructor === Array || typeof node !== 'object') {
+            const error = new ValidationError(readPath(link), dialect.expectingObject)
+            errors.push(error)
+            return
+        }
+
+        const errorCount = errors.length
+
+        var adjustedNode = {}
+        for (const [key, value] of Object.entries(node)) {
+            if (Object.prototype.hasOwnProperty.call(fields, key)) {
+                adjustedNode[key] = fields[key].adjust(extendPath(link, `$${key}`), value, errors, warnings)
+            }
+            else if (key in format.fields) {
+                // Inherited properties of the 'fields' object are processed
+                // like the processors do.
+                adjustedNode[key] = dialect.adjustNode(readPath(link).concat(`$${key}`), value, format.fields[key], errors, warnings)
+            }
+            else {
+                const error = new ValidationError(readPath(link), `'${key}' field was unexpected`)
+                errors.push(error)
+            }
+        }
+
+        const missingKeys = keys.filter(key => {
+            return !(key in adjustedNode)
+        })
+
+        for (const key of missingKeys) {
+            const field = fields[key]
+
+            if (field.defaultValue !== undefined) {
+                // Default values aren't part of the payload; they don't
+                // report deprecated items.
+                if (dialect.adjustDefault)
+                    adjustedNode[key] = field.adjust(extendPath(link, `$${key}`), field.defaultValue, errors, [])
+                else
+                    adjustedNode[key] = field.defaultValue
+            }
+            else if (!field.optional) {
+                const error = new ValidationError(readPath(link), `'${key}' field was missing`)
+                errors.push(error)
+            }
+            else if (format.absent !== 'omit' && field.nullable) {
+                adjustedNode[key] = null
+            }
+        }
+
+        // The path is only read if a constraint isn't satisfied.
+        if (format.constraints !== undefined && errors.length == errorCount) {
+            const values = dialect.readPayloadFields(node, adjustedNode, format)
+            if (findViolations(values, format).length > 0)
+                checkConstraints(readPath(link), values, format, errors, warnings)
+        }
+
+        return adjustedNode
+    }
+}
+
+function compileUnion(format, dialect, cache) {
+    var adjustVariants = new Map()
+    format.variants.forEach(variant => adjustVariants.set(variant, compileNode(variant, dialect, cache)))
+
+    if (format.discriminator !== undefined) {
+        return (link, node, errors, warnings) => {
+            if (node === null || node.constructor === Array || typeof node !== 'object') {
+                const error = new ValidationError(readPath(link), dialect.expectingObject)
+                errors.push(error)
+                return
+            }
+
+            const value = node[format.discriminator]
+            if (value === undefined) {
+                const error = new ValidationError(readPath(link), `'${format.discriminator}' field was missing`)
+                errors.push(error)
+                return
+            }
+
+            const variant = findVariant(format, value)
+            if (variant === undefined) {
+                const error = new ValidationError(readPath(link).concat(`$${format.discriminator}`), "discriminator value is invalid")
+                errors.push(error)
+                return
+            }
+
+            return adjustVariants.get(variant)(link, node, errors, warnings)
+        }
+    }
+
+    return (link, node, errors, warnings) => {
+        for (const adjustVariant of adjustVariants.values()) {
+            var variantErrors = []
+            var variantWarnings = []
+
+            const adjustedNode = adjustVariant(link, node, variantErrors, variantWarnings)
+            if (variantErrors.length == 0) {
+                warnings.push(...variantWarnings)
+                return adjustedNode
+            }
+        }
+
+        const error = new ValidationError(readPath(link), "value did not match any variant")
+        errors.push(error)
+    }
+}
+
+const compilers = {
+    flag     : compileScalar,
+    number   : compileScalar,
+    decimal  : compileScalar,
+    string   : compileScalar,
+    date     : compileScalar,
+    time     : compileScalar,
+    datetime : compileScalar,
+    bytes    : compileScalar,
+    array    : compileArray,
+    set      : compileSet,
+    object   : compileObject,
+    tuple    : compileTuple,
+    map      : compileMap,
+    enum     : compileScalar,
+    literal  : compileScalar,
+    union    : compileUnion,
+}
+
+// Compile a block with a built-in type; they're compiled once so named types
+// referencing themselves are compiled once too.
+function compileTarget(format, dialect, cache) {
+    if (!cache.has(format)) {
+        var compiled
+        cache.set(format, (link, node, errors, warnings) => compiled(link, node, errors, warnings))
+        compiled = (isCustomType(format.type) ? compileCustom : compilers[format.type])(format, dialect, cache)
+    }
+
+    return cache.get(format)
+}
+
+function compileNode(format, dialect, cache) {
+    const adjust = compileTarget(followReference(format), dialect, cache)
+
+    // We accept a null value if the type is marked as nullable.
+    var adjustNode = adjust
+    if (isNullable(format)) {
+        adjustNode = (link, node, errors, warnings) => node === null ? null : adjust(link, node, errors, warnings)
+    }
+
+    const deprecated = readDeprecation(format)
+    if (deprecated !== undefined && deprecated !== false) {
+        return (link, node, errors, warnings) => {
+            checkDeprecation(readPath(link), deprecated, "value", warnings)
+            return adjustNode(link, node, errors, warnings)
+        }
+    }
+
+    return adjustNode
+}
+
+// Return a function that can replace adjustNode() for the given format. Deeply
+// nested nodes exhaust the call stack of the compiled functions, in which case
+// we start over with the iterative implementation.
+function compileAdjust(format, dialect) {
+    const adjust = compileNode(format, dialect, new Map())
+
+    return (path, node, format, errors, warnings) => {
+        try {
+            return adjust(null, node, errors, warnings)
+        }
+        catch (error) {
+            if (!(error instanceof RangeError))
+                throw error
+
+            errors.length = 0
+            warnings.length = 0
+
+            return dialect.adjustNode(path, node, format, errors, warnings)
+        }
+    }
+}
+
+/**
+ * Compile a format once into a decoder and an encoder.
+ *
+ * The format is validated and turned into specialized functions once; the
+ * decoder and the encoder then work exactly like payloadToObject() and
+ * objectToPayload() (same output, errors and warnings) without interpreting
+ * the format on every call. The format must not be modified after it's
+ * compiled.
+ *
+ * A ValidationError is thrown if the format isn't valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format to compile.
+ * @param {object} options - The 'types' option provides external named types.
+ * @returns {object} - An object with the 'decode(payload, errors, warnings)'
+ *                     and 'encode(object, errors, warnings)' functions.
+ */
+function compileFormat(format, options) {
+    validateFormat(format, undefined, undefined, options)
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    const resolvedFormat = resolveFormat(format, collectTypes(format, options.types))
+
+    const adjustPayload = compileAdjust(resolvedFormat, dialects.payload)
+    const adjustObject = compileAdjust(resolvedFormat, dialects.object)
+
+    return {
+        decode: (payload, errors, warnings) => decodePayload(payload, resolvedFormat, errors, warnings, adjustPayload),
+        encode: (object, errors, warnings) => encodeObject(object, resolvedFormat, errors, warnings, adjustObject)
+    }
+}
+
+export default compileFormat
@@ -0,0 +1,151 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { ValidationError } from "./exceptions.js"
+import { parsers as temporalParsers } from "./datetime.js"
+import { readDecimal } from "./decimal.js"
+import { stringifyJSON } from "./utility.js"
+import { followReference, readDefault } from "./reference.js"
+
+// The 'constraints' property of maps is a list of rules relating their fields
+// to each other; each rule has one of the following kinds.
+//
+// - requires: the fields must be present (the rule must have a condition)
+// - exclusive: at most one of the fields is present
+// - any: at least one of the fields is present
+// - compare: a field compared to another field, for instance ['end', '>',
+//   'start']; the rule is skipped if one of them isn't present
+//
+// A rule only applies when its optional 'when' condition is met; it's either
+// the key of a field that must be present, or an object whose keys are the
+// keys of fields and whose values are the values (in their payload form) the
+// fields must be equal to.
+const CONSTRAINT_KINDS = ['requires', 'exclusive', 'any', 'compare']
+
+const OPERATORS = {
+    '<' : { test: comparison => comparison < 0, text: "strictly lower than" },
+    '<=': { test: comparison => comparison <= 0, text: "equal or lower than" },
+    '>' : { test: comparison => comparison > 0, text: "strictly greater than" },
+    '>=': { test: comparison => comparison >= 0, text: "equal or greater than" },
+    '==': { test: comparison => comparison == 0, text: "equal to" },
+    '!=': { test: comparison => comparison != 0, text: "different from" }
+}
+
+// The types of the fields that can be compared with each other; both fields
+// must have the same type.
+const COMPARABLE_TYPES = ['number', 'decimal', 'string', 'date', 'time', 'datetime']
+
+// Absent fields and fields whose value is null aren't present.
+function isPresent(value) {
+    return value !== undefined && value !== null
+}
+
+// Return the payload form of the values of the fields of a map, as found in a
+// payload; the default value of the missing fields is used.
+function readFieldValues(node, format) {
+    var values = {}
+    for (const key of Object.keys(format.fields)) {
+        values[key] = node[key] !== undefined ? node[key] : readDefault(format.fields[key])
+    }
+
+    return values
+}
+
+function isConditionMet(when, values) {
+    if (when === undefined)
+        return true
+
+    if (typeof when === 'string')
+        return isPresent(values[when])
+
+    return Object.entries(when).every(([key, value]) => {
+        const fieldValue = values[key] !== undefined ? values[key] : null
+        return stringifyJSON(fieldValue, true) === stringifyJSON(value, true)
+    })
+}
+
+function describeCondition(when) {
+    if (typeof when === 'string')
+        return `'${when}' is present`
+
+    return Object.entries(when).map(([key, value]) => `'${key}' is ${JSON.stringify(value)}`).join(" and ")
+}
+
+function listFields(keys) {
+    const names = keys.map(key => `'${key}'`)
+    return `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+}
+
+// Compare the payload form of two values of the same type.
+function compareValues(value, otherValue, block) {
+    const type = followReference(block).type
+    if (type === 'decimal')
+        return readDecimal(value).compare(readDecimal(otherValue))
+
+    if (['date', 'time', 'datetime'].includes(type)) {
+        value = temporalParsers[type](value).value
+        otherValue = temporalParsers[type](otherValue).value
+    }
+
+    return value < otherValue ? -1 : (value > otherValue ? 1 : 0)
+}
+
+// Return the rules a map doesn't satisfy, as the path of the issue (relative
+// to the map) and its message. The values are in their payload form.
+function findViolations(values, format) {
+    var violations = []
+
+    for (const constraint of format.constraints) {
+        if (!isConditionMet(constraint.when, values))
+            continue
+
+        if (constraint.requires !== undefined) {
+            for (const key of constraint.requires.filter(key => !isPresent(values[key]))) {
+                violations.push([[`$${key}`], `field is required when ${describeCondition(constraint.when)}`])
+            }
+        }
+        else if (constraint.exclusive !== undefined) {
+            const keys = constraint.exclusive.filter(key => isPresent(values[key]))
+            for (const key of keys.slice(1)) {
+                violations.push([[`$${key}`], `field can't be present along with '${keys[0]}'`])
+            }
+        }
+        else if (constraint.any !== undefined) {
+            if (!constraint.any.some(key => isPresent(values[key])))
+                violations.push([[], `one of ${listFields(constraint.any)} fields must be present`])
+        }
+        else {
+            const [key, operator, otherKey] = constraint.compare
+            if (!isPresent(values[key]) || !isPresent(values[otherKey]))
+                continue
+
+            const comparison = compareValues(values[key], values[otherKey], format.fields[key])
+            if (!OPERATORS[operator].test(comparison))
+                violations.push([[`$${key}`], `value must be ${OPERATORS[operator].text} '${otherKey}'`])
+        }
+    }
+
+    return violations
+}
+
+function checkConstraints(path, values, format, errors, warnings) {
+    for (const [violationPath, message] of findViolations(values, format)) {
+        const error = new ValidationError(path.concat(violationPath), message)
+        errors.push(error)
+    }
+}
+
+export {
+    CONSTRAINT_KINDS,
+    OPERATORS,
+    COMPARABLE_TYPES,
+    readFieldValues,
+    findViolations,
+    checkConstraints
+}
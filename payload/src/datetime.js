@@ -0,0 +1,209 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { ValidationError } from "./exceptions.js"
+import { readMinimumValue, readMaximumValue } from "./utility.js"
+
+// The 'date', 'time' and 'datetime' types are carried as ISO-8601 strings
+// (the RFC 3339 profile); dates are 'YYYY-MM-DD', times are 'HH:MM[:SS[.sss]]'
+// followed by an optional time zone offset ('Z' or '+HH:MM'), and datetimes
+// are a date and a time separated by a 'T'.
+const DATE_PATTERN = /^([0-9]{4})-([0-9]{2})-([0-9]{2})$/
+const TIME_PATTERN = /^([0-9]{2}):([0-9]{2})(?::([0-9]{2})(?:\.([0-9]{1,9}))?)?(Z|[+-][0-9]{2}:[0-9]{2})?$/
+
+function daysInMonth(year, month) {
+    const leapYear = (year % 4 == 0 && year % 100 != 0) || year % 400 == 0
+    return [31, leapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1]
+}
+
+function utcTime(year, month, day) {
+    // Date.UTC() maps years 0 to 99 to the 20th century; we set the year
+    // separately.
+    var date = new Date(Date.UTC(2000, month - 1, day))
+    date.setUTCFullYear(year)
+
+    return date.getTime()
+}
+
+function pad(value, length) {
+    return String(value).padStart(length, '0')
+}
+
+// The parse functions return undefined if the text isn't valid, or the
+// components of the value along with a 'value' number that can be used to
+// compare values of the same kind; the number of milliseconds since the epoch
+// for dates and datetimes, and since midnight for times.
+
+function parseDate(text) {
+    const match = DATE_PATTERN.exec(text)
+    if (match === null)
+        return
+
+    const [year, month, day] = match.slice(1, 4).map(Number)
+    if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month))
+        return
+
+    return {
+        year,
+        month,
+        day,
+        value: utcTime(year, month, day)
+    }
+}
+
+function parseTime(text) {
+    const match = TIME_PATTERN.exec(text)
+    if (match === null)
+        return
+
+    const hour = Number(match[1])
+    const minute = Number(match[2])
+    const second = match[3] !== undefined ? Number(match[3]) : 0
+    const millisecond = match[4] !== undefined ? Number(match[4].padEnd(3, '0').slice(0, 3)) : 0
+
+    if (hour > 23 || minute > 59 || second > 59)
+        return
+
+    var offset = null
+    if (match[5] === 'Z') {
+        offset = 0
+    }
+    else if (match[5] !== undefined) {
+        const offsetHour = Number(match[5].slice(1, 3))
+        const offsetMinute = Number(match[5].slice(4, 6))
+        if (offsetHour > 23 || offsetMinute > 59)
+            return
+
+        offset = (match[5][0] == '-' ? -1 : 1) * (offsetHour * 60 + offsetMinute)
+    }
+
+    return {
+        hour,
+        minute,
+        second,
+        millisecond,
+        offset,
+        value: ((hour * 60 + minute) * 60 + second) * 1000 + millisecond
+    }
+}
+
+function parseDateTime(text) {
+    const index = text.indexOf('T')
+    if (index == -1)
+        return
+
+    const date = parseDate(text.slice(0, index))
+    const time = parseTime(text.slice(index + 1))
+    if (date === undefined || time === undefined)
+        return
+
+    // Datetimes without a time zone offset are considered to be in UTC.
+    return {
+        ...date,
+        ...time,
+        value: date.value + time.value - (time.offset || 0) * 60 * 1000
+    }
+}
+
+const parsers = {
+    date: parseDate,
+    time: parseTime,
+    datetime: parseDateTime
+}
+
+function formatDate(date) {
+    return `${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1, 2)}-${pad(date.getUTCDate(), 2)}`
+}
+
+function formatTime(time) {
+    var text = `${pad(time.hour, 2)}:${pad(time.minute, 2)}:${pad(time.second, 2)}.${pad(time.millisecond, 3)}`
+
+    if (time.offset === 0) {
+        text += 'Z'
+    }
+    else if (time.offset !== null) {
+        const offset = Math.abs(time.offset)
+        text += `${time.offset < 0 ? '-' : '+'}${pad(Math.floor(offset / 60), 2)}:${pad(offset % 60, 2)}`
+    }
+
+    return text
+}
+
+function formatDateTime(date, timezone) {
+    const text = date.toISOString()
+    return timezone === false ? text.slice(0, -1) : text
+}
+
+// Check the time zone rule and the bounds of a parsed date, time or datetime
+// and report the errors; return whether the value is valid.
+function checkTemporalValue(path, parsedValue, format, errors) {
+    if (format.timezone === true && parsedValue.offset === null) {
+        const error = new ValidationError(path, "time zone offset is required")
+        errors.push(error)
+        return false
+    }
+
+    if (format.timezone === false && parsedValue.offset !== null && parsedValue.offset !== undefined) {
+        const error = new ValidationError(path, "time zone offset is not allowed")
+        errors.push(error)
+        return false
+    }
+
+    const parse = parsers[format.type]
+    const minimum = readMinimumValue(format)
+    const maximum = readMaximumValue(format)
+
+    var nodeErrors = []
+
+    if (minimum !== undefined) {
+        const minimumValue = parse(minimum.value).value
+        if (minimum.exclusive) {
+            if (!(parsedValue.value > minimumValue)) {
+                const error = new ValidationError(path, `value must be strictly greater than ${minimum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+        else {
+            if (!(parsedValue.value >= minimumValue)) {
+                const error = new ValidationError(path, `value must be equal or greater than ${minimum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+    }
+
+    if (maximum !== undefined) {
+        const maximumValue = parse(maximum.value).value
+        if (maximum.exclusive) {
+            if (!(parsedValue.value < maximumValue)) {
+                const error = new ValidationError(path, `value must be strictly lower than ${maximum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+        else {
+            if (!(parsedValue.value <= maximumValue)) {
+                const error = new ValidationError(path, `value must be equal or lower than ${maximum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+    }
+
+    errors.push(...nodeErrors)
+    return nodeErrors.length == 0
+}
+
+export {
+    parseDate,
+    parseTime,
+    parseDateTime,
+    parsers,
+    formatDate,
+    formatTime,
+    formatDateTime,
+    checkTemporalValue
+}
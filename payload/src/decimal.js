@@ -0,0 +1,214 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { ValidationError } from "./exceptions.js"
+import { readMinimumValue, readMaximumValue } from "./utility.js"
+
+const DECIMAL_PATTERN = /^(-)?([0-9]+)(?:\.([0-9]+))?$/
+
+/**
+ * An arbitrary-precision decimal number, as produced by payloadToObject() for
+ * the 'decimal' type.
+ *
+ * It's stored as an integer coefficient (a BigInt) and a scale, the number of
+ * digits after the decimal point; 12.50 has a coefficient of 1250 and a scale
+ * of 2.
+ *
+ * @memberof Payload
+ */
+class Decimal {
+    constructor(coefficient, scale) {
+        this.coefficient = BigInt(coefficient)
+        this.scale = scale || 0
+    }
+
+    /**
+     * Parse the text representation of a decimal number (for instance
+     * '-12.50'); it returns undefined if the text isn't valid.
+     */
+    static parse(text) {
+        const match = DECIMAL_PATTERN.exec(text)
+        if (match === null)
+            return
+
+        const fraction = match[3] || ''
+        const coefficient = BigInt(match[2] + fraction)
+
+        return new Decimal(match[1] ? -coefficient : coefficient, fraction.length)
+    }
+
+    /**
+     * Return a negative number, zero or a positive number if this decimal
+     * number is lower, equal or greater than the other one.
+     */
+    compare(other) {
+        const scale = Math.max(this.scale, other.scale)
+        const left = this.coefficient * 10n ** BigInt(scale - this.scale)
+        const right = other.coefficient * 10n ** BigInt(scale - other.scale)
+
+        return left < right ? -1 : (left > right ? 1 : 0)
+    }
+
+    /**
+     * Return the same decimal number with the trailing zeros of the fractional
+     * part removed, and then padded to the given scale (if any).
+     */
+    normalize(scale) {
+        var coefficient = this.coefficient
+        var currentScale = this.scale
+
+        while (currentScale > 0 && coefficient % 10n == 0n) {
+            coefficient /= 10n
+            currentScale--
+        }
+
+        if (scale !== undefined && currentScale < scale) {
+            coefficient *= 10n ** BigInt(scale - currentScale)
+            currentScale = scale
+        }
+
+        return new Decimal(coefficient, currentScale)
+    }
+
+    // Return the number of digits before and after the decimal point, leading
+    // and trailing zeros excluded.
+    digits() {
+        const normalized = this.normalize()
+        const text = (normalized.coefficient < 0n ? -normalized.coefficient : normalized.coefficient).toString()
+        const integerDigits = Math.max(text.length - normalized.scale, 0)
+
+        return {
+            integer: text == '0' ? 0 : integerDigits,
+            fraction: normalized.scale
+        }
+    }
+
+    toString() {
+        const negative = this.coefficient < 0n
+        var text = (negative ? -this.coefficient : this.coefficient).toString()
+
+        if (this.scale > 0) {
+            text = text.padStart(this.scale + 1, '0')
+            text = text.slice(0, -this.scale) + '.' + text.slice(-this.scale)
+        }
+
+        return negative ? '-' + text : text
+    }
+
+    toJSON() {
+        return this.toString()
+    }
+}
+
+// Read a decimal number from the different forms it can take in the format
+// (strings and numbers) and in objects (decimals, strings and big integers).
+function readDecimal(value) {
+    if (value instanceof Decimal) {
+        return value
+    }
+    else if (typeof value === 'string') {
+        return Decimal.parse(value)
+    }
+    else if (typeof value === 'number' && Number.isFinite(value)) {
+        return Decimal.parse(String(value))
+    }
+    else if (typeof value === 'bigint') {
+        return new Decimal(value, 0)
+    }
+}
+
+function divideBigInt(value, divisor, roundUp) {
+    const quotient = value / divisor
+    if (quotient * divisor === value)
+        return quotient
+
+    // The quotient is truncated toward zero.
+    if (value < 0n)
+        return roundUp ? quotient : quotient - 1n
+
+    return roundUp ? quotient + 1n : quotient
+}
+
+// Return the coefficient of a decimal number at a given scale, rounded down or
+// up.
+function scaleCoefficient(decimal, scale, roundUp) {
+    if (scale >= decimal.scale)
+        return decimal.coefficient * 10n ** BigInt(scale - decimal.scale)
+
+    return divideBigInt(decimal.coefficient, 10n ** BigInt(decimal.scale - scale), roundUp)
+}
+
+// Check the precision, the scale and the bounds of a decimal number and report
+// the errors; return whether the value is valid.
+function checkDecimalValue(path, decimal, format, errors) {
+    const digits = decimal.digits()
+
+    if (format.scale !== undefined && digits.fraction > format.scale) {
+        const error = new ValidationError(path, `value must have at most ${format.scale} digits after the decimal point`)
+        errors.push(error)
+        return false
+    }
+
+    if (format.precision !== undefined) {
+        if (format.scale !== undefined) {
+            if (digits.integer > format.precision - format.scale) {
+                const error = new ValidationError(path, `value must have at most ${format.precision - format.scale} digits before the decimal point`)
+                errors.push(error)
+                return false
+            }
+        }
+        else if (digits.integer + digits.fraction > format.precision) {
+            const error = new ValidationError(path, `value must have at most ${format.precision} digits`)
+            errors.push(error)
+            return false
+        }
+    }
+
+    const minimum = readMinimumValue(format)
+    const maximum = readMaximumValue(format)
+
+    var nodeErrors = []
+
+    if (minimum !== undefined) {
+        const comparison = decimal.compare(readDecimal(minimum.value))
+        if (minimum.exclusive) {
+            if (!(comparison > 0)) {
+                const error = new ValidationError(path, `value must be strictly greater than ${minimum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+        else {
+            if (!(comparison >= 0)) {
+                const error = new ValidationError(path, `value must be equal or greater than ${minimum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+    }
+
+    if (maximum !== undefined) {
+        const comparison = decimal.compare(readDecimal(maximum.value))
+        if (maximum.exclusive) {
+            if (!(comparison < 0)) {
+                const error = new ValidationError(path, `value must be strictly lower than ${maximum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+        else {
+            if (!(comparison <= 0)) {
+                const error = new ValidationError(path, `value must be equal or lower than ${maximum.value}`)
+                nodeErrors.push(error)
+            }
+        }
+    }
+
+    errors.push(...nodeErrors)
+    return nodeErrors.length == 0
+}
+
+export { Decimal, readDecimal, scaleCoefficient, checkDecimalValue }
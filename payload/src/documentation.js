@@ -0,0 +1,386 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import validateFormat from "./format.js"
+import { readMinimumValue, readMaximumValue, readEnumValue, readEnumDeprecation } from "./utility.js"
+import { collectTypes, resolveFormat, isReference, isOptional, isNullable, readDefault } from "./reference.js"
+
+// The documentation is a list of sections (the root block, the named types and
+// the nested maps) rendered by a writer; there is one writer for Markdown and
+// one for HTML. The writers escape the text they're given, except for the
+// descriptions which are written in Markdown.
+
+function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function splitParagraphs(text) {
+    return text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(paragraph => paragraph.length > 0)
+}
+
+const markdownWriter = {
+    // Pipes are only escaped within tables, by the table() function.
+    text: text => text.replace(/([\\`*_\[\]<>])/g, '\\$1'),
+    code: text => {
+        // The content of code spans can't be escaped; they're delimited by
+        // more backticks than they contain instead.
+        const fence = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map(match => match.length)) + 1)
+        return text.startsWith('`') || text.endsWith('`') ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`
+    },
+    link: (text, id) => `[${text}](#${id})`,
+    heading: (level, title, id) => `${'#'.repeat(level)} ${markdownWriter.text(title)}\n`,
+    description: text => splitParagraphs(text).join('\n\n') + '\n',
+    properties: properties => properties.map(([label, value]) => `- **${label}:** ${value}\n`).join(''),
+    table: (columns, rows) => {
+        const toRow = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |\n`
+        return toRow(columns) + toRow(columns.map(() => '---')) + rows.map(toRow).join('')
+    },
+    inlineDescription: text => text.replace(/\n/g, '<br>'),
+    section: blocks => blocks.join('\n')
+}
+
+const htmlWriter = {
+    text: text => escapeHTML(text),
+    code: text => `<code>${escapeHTML(text)}</code>`,
+    link: (text, id) => `<a href="#${id}">${text}</a>`,
+    heading: (level, title, id) => `<h${level} id="${id}">${escapeHTML(title)}</h${level}>\n`,
+    description: text => splitParagraphs(text).map(paragraph => `<p>${escapeHTML(paragraph)}</p>\n`).join(''),
+    properties: properties => `<ul>\n${properties.map(([label, value]) => `<li><strong>${label}:</strong> ${value}</li>\n`).join('')}</ul>\n`,
+    table: (columns, rows) => {
+        const toRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${cell}</${tag}>`).join('')}</tr>\n`
+        return `<table>\n<thead>\n${toRow(columns, 'th')}</thead>\n<tbody>\n${rows.map(row => toRow(row, 'td')).join('')}</tbody>\n</table>\n`
+    },
+    inlineDescription: text => escapeHTML(text).replace(/\n/g, '<br>'),
+    section: blocks => blocks.join('')
+}
+
+// Return the anchor of a heading the way GitHub computes them.
+function toAnchor(title) {
+    return title.toLowerCase().replace(/[^a-z0-9 _\-]/g, '').replace(/ /g, '-')
+}
+
+// Register a section to be rendered; its anchor is made unique (again the way
+// GitHub does with duplicated headings).
+function addSection(title, block, context) {
+    const anchor = toAnchor(title)
+
+    var id = anchor
+    for (var index = 1; context.ids.has(id); index++) {
+        id = `${anchor}-${index}`
+    }
+
+    context.ids.add(id)
+    context.sections.push({ title, id, block })
+
+    return id
+}
+
+function formatBound(bound, lower) {
+    const symbol = lower ? (bound.exclusive ? '>' : '≥') : (bound.exclusive ? '<' : '≤')
+    return `${symbol} ${bound.value}`
+}
+
+function formatLength(length) {
+    if (typeof length === 'number')
+        return `length ${length}`
+    else if (length.minimum !== undefined && length.minimum === length.maximum)
+        return `length ${length.minimum}`
+    else if (length.minimum !== undefined && length.maximum !== undefined)
+        return `length ${length.minimum} to ${length.maximum}`
+    else if (length.minimum !== undefined)
+        return `length ≥ ${length.minimum}`
+
+    return `length ≤ ${length.maximum}`
+}
+
+function describeDeprecation(deprecated, writer) {
+    return typeof deprecated === 'string' ? `deprecated: ${writer.text(deprecated)}` : "deprecated"
+}
+
+function describeEnumValue(block, value, writer) {
+    const deprecated = readEnumDeprecation(block, readEnumValue(value))
+    if (deprecated !== undefined && deprecated !== false)
+        return `${writer.code(readEnumValue(value))} (${describeDeprecation(deprecated, writer)})`
+
+    return writer.code(readEnumValue(value))
+}
+
+// Return the constraints of a block, as a list of short sentences; references
+// to named types only have the common properties.
+function describeConstraints(block, writer) {
+    var constraints = []
+
+    if (block.deprecated !== undefined && block.deprecated !== false)
+        constraints.push(describeDeprecation(block.deprecated, writer))
+
+    if (['number', 'decimal', 'date', 'time', 'datetime'].includes(block.type)) {
+        const minimum = readMinimumValue(block)
+        const maximum = readMaximumValue(block)
+
+        if (minimum !== undefined)
+            constraints.push(writer.text(formatBound(minimum, true)))
+
+        if (maximum !== undefined)
+            constraints.push(writer.text(formatBound(maximum, false)))
+    }
+
+    if (block.type === 'decimal') {
+        if (block.precision !== undefined)
+            constraints.push(`at most ${block.precision} digits`)
+
+        if (block.scale !== undefined)
+            constraints.push(`at most ${block.scale} digits after the decimal point`)
+    }
+
+    if (['time', 'datetime'].includes(block.type)) {
+        if (block.timezone === true)
+            constraints.push("time zone offset required")
+        else if (block.timezone === false)
+            constraints.push("no time zone offset")
+    }
+
+    if (block.length !== undefined)
+        constraints.push(writer.text(formatLength(block.length)))
+
+    if (block.type === 'string') {
+        if (block.pattern !== undefined)
+            constraints.push(`matches ${writer.code(block.pattern)}`)
+
+        if (block.format !== undefined)
+            constraints.push(`${writer.code(block.format)} format`)
+    }
+
+    if (block.type === 'array' && block.unique === true)
+        constraints.push("unique items")
+    else if (block.type === 'array' && typeof block.unique === 'string')
+        constraints.push(`unique ${writer.code(block.unique)}`)
+
+    if (block.type === 'bytes')
+        constraints.push(`${block.encoding || 'base64'} encoded`)
+
+    if (block.type === 'object')
+        constraints.push(`${block.key} keys`)
+
+    if (block.type === 'enum')
+        constraints.push(`one of ${block.values.map(value => describeEnumValue(block, value, writer)).join(', ')}`)
+
+    if (block.type === 'literal')
+        constraints.push(`equals ${writer.code(JSON.stringify(block.value))}`)
+
+    if (block.type === 'union' && block.discriminator !== undefined)
+        constraints.push(`discriminated by ${writer.code(block.discriminator)}`)
+
+    return constraints
+}
+
+// Return the description of a rule of the 'constraints' property of a map.
+function describeRule(constraint, writer) {
+    const listFields = keys => keys.map(key => writer.code(key)).join(', ')
+
+    var rule
+    if (constraint.requires !== undefined) {
+        rule = `${listFields(constraint.requires)} required`
+    }
+    else if (constraint.exclusive !== undefined) {
+        rule = `at most one of ${listFields(constraint.exclusive)}`
+    }
+    else if (constraint.any !== undefined) {
+        rule = `at least one of ${listFields(constraint.any)}`
+    }
+    else {
+        const [key, operator, otherKey] = constraint.compare
+        rule = `${writer.code(key)} ${writer.text(operator)} ${writer.code(otherKey)}`
+    }
+
+    if (typeof constraint.when === 'string') {
+        rule += ` when ${writer.code(constraint.when)} is present`
+    }
+    else if (constraint.when !== undefined) {
+        rule += ` when ${Object.entries(constraint.when).map(([key, value]) => `${writer.code(key)} is ${writer.code(JSON.stringify(value))}`).join(' and ')}`
+    }
+
+    return rule
+}
+
+function wrapType(type) {
+    return type.includes(' or ') ? `(${type})` : type
+}
+
+// Return the description of the type of a block, with links to the sections
+// of the named types and of the nested maps; the title is the one used if the
+// block needs a section of its own.
+function describeType(block, title, context) {
+    const writer = context.writer
+
+    var type
+    if (isReference(block)) {
+        if (!context.types.has(block.type)) {
+            context.types.set(block.type, addSection(block.type, resolveFormat(context.namedTypes[block.type], context.namedTypes), context))
+        }
+
+        type = writer.link(writer.code(block.type), context.types.get(block.type))
+    }
+    else if (block.type === 'number') {
+        type = writer.code(block.decimal === false ? 'integer' : 'number')
+    }
+    else if (block.type === 'array') {
+        type = `${writer.code('array')} of ${wrapType(describeType(block.value, `${title}[]`, context))}`
+    }
+    else if (block.type === 'set') {
+        type = `${writer.code('set')} of ${wrapType(describeType(block.value, `${title}[]`, context))}`
+    }
+    else if (block.type === 'object') {
+        type = `${writer.code('object')} of ${wrapType(describeType(block.value, `${title}{}`, context))}`
+    }
+    else if (block.type === 'tuple') {
+        type = `${writer.code('tuple')} of ${block.items.map((item, index) => wrapType(describeType(item, `${title}<${index}>`, context))).join(', ')}`
+    }
+    else if (block.type === 'map') {
+        type = writer.link(writer.code('map'), addSection(block.name !== undefined ? block.name : title, block, context))
+    }
+    else if (block.type === 'union') {
+        type = block.variants.map((variant, index) => wrapType(describeType(variant, `${title} (variant ${index + 1})`, context))).join(' or ')
+    }
+    else {
+        type = writer.code(block.type)
+    }
+
+    return isNullable(block) ? `${type} or ${writer.code('null')}` : type
+}
+
+function describeDefault(block, writer) {
+    const defaultValue = readDefault(block)
+    if (defaultValue !== undefined)
+        return `no (defaults to ${writer.code(JSON.stringify(defaultValue))})`
+
+    return isOptional(block) ? "no" : "yes"
+}
+
+function renderSection(section, level, context) {
+    const writer = context.writer
+    const block = section.block
+
+    var blocks = [writer.heading(level, section.title, section.id)]
+    if (block.description !== undefined) {
+        blocks.push(writer.description(block.description))
+    }
+
+    // The type of a map is obvious from its table of fields, unless it's
+    // nullable.
+    var properties = []
+    if (isReference(block) || block.type !== 'map') {
+        properties.push(["Type", describeType(block, section.title, context)])
+    }
+    else if (isNullable(block)) {
+        properties.push(["Type", `${writer.code('map')} or ${writer.code('null')}`])
+    }
+
+    var constraints = describeConstraints(block, writer)
+    if (!isReference(block) && block.type === 'map' && block.constraints !== undefined) {
+        constraints.push(...block.constraints.map(constraint => describeRule(constraint, writer)))
+    }
+
+    if (constraints.length > 0) {
+        properties.push(["Constraints", constraints.join('; ')])
+    }
+
+    if (properties.length > 0) {
+        blocks.push(writer.properties(properties))
+    }
+
+    if (!isReference(block) && block.type === 'map') {
+        var rows = []
+        for (const [key, field] of Object.entries(block.fields)) {
+            rows.push([
+                writer.code(key),
+                describeType(field, `${section.title}.${key}`, context),
+                describeDefault(field, writer),
+                describeConstraints(field, writer).join('; '),
+                field.description !== undefined ? writer.inlineDescription(field.description) : ''
+            ])
+        }
+
+        blocks.push(writer.table(["Field", "Type", "Required", "Constraints", "Description"], rows))
+    }
+
+    return writer.section(blocks)
+}
+
+function renderDocumentation(format, writer, options) {
+    validateFormat(format, undefined, undefined, options)
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    const namedTypes = collectTypes(format, options.types)
+    const { types: _, ...block } = format
+
+    var context = {
+        writer: writer,
+        namedTypes: namedTypes,
+        types: new Map(),
+        sections: [],
+        ids: new Set()
+    }
+
+    var title = options.title
+    if (title === undefined) {
+        title = block.name !== undefined ? block.name : "Format"
+    }
+
+    addSection(title, resolveFormat(block, namedTypes), context)
+
+    // Sections are added while the previous ones are rendered; the root block
+    // is the only top-level section.
+    var renderedSections = []
+    for (var index = 0; index < context.sections.length; index++) {
+        renderedSections.push(renderSection(context.sections[index], index == 0 ? 1 : 2, context))
+    }
+
+    return renderedSections.join(writer === markdownWriter ? '\n' : '')
+}
+
+/**
+ * Render the reference documentation of a format in Markdown.
+ *
+ * The root block is documented first, followed by the nested maps and the
+ * named types it uses; each with their description, their type and their
+ * constraints. Maps are documented with a table of their fields (type,
+ * whether it's required, constraints and description). Types link to the
+ * sections of the named types and of the nested maps.
+ *
+ * The format is validated first and a ValidationError is thrown if it isn't
+ * valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format to document.
+ * @param {object} options - The 'title' option is the title of the document
+ *                           (the name of the root block by default); the
+ *                           'types' option provides external named types.
+ * @returns {string} - The Markdown text.
+ */
+function formatToMarkdown(format, options) {
+    return renderDocumentation(format, markdownWriter, options)
+}
+
+/**
+ * Same as formatToMarkdown() except the documentation is rendered as an HTML
+ * fragment, to be embedded in a page.
+ *
+ * @memberof Payload
+ * @param {object} format - The format to document.
+ * @param {object} options - The same options as formatToMarkdown().
+ * @returns {string} - The HTML text.
+ */
+function formatToHTML(format, options) {
+    return renderDocumentation(format, htmlWriter, options)
+}
+
+export { formatToMarkdown, formatToHTML }
@@ -8,6 +8,24 @@
 // Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2022
 
 import { ValidationError, ValidationWarning } from "./exceptions.js"
+import { parsers as temporalParsers } from "./datetime.js"
+import { readDecimal, scaleCoefficient } from "./decimal.js"
+import { stringFormats } from "./semantics.js"
+import { readMinimumValue, readMaximumValue, readLength, readDiscriminatorValues, readUniqueness, visitBlocks } from "./utility.js"
+import { measurePattern } from "./pattern.js"
+import { CONSTRAINT_KINDS, OPERATORS, COMPARABLE_TYPES } from "./constraint.js"
+import { adjustNode } from "./payload.js"
+import {
+    collectTypes,
+    findInfiniteTypes,
+    resolveFormat,
+    isReference,
+    isAmbiguousReference,
+    readComposition,
+    findTarget,
+    isOptional,
+    isNullable
+} from "./reference.js"
 import assert from "./assert.js"
 
 function validateMinimumOrMaximumProperty(name, path, block, errors) {
@@ -38,7 +56,7 @@ function validateMinimumOrMaximumProperty(name, path, block, errors) {
                 errors.push(error)
             }
             else {
-                exclusive = true
+                exclusive = block.exclusive
             }
         }
 
@@ -65,6 +83,72 @@ function validateMinimumOrMaximumProperty(name, path, block, errors) {
     }
 }
 
+// Validate the 'minimum' or 'maximum' property of the types whose bounds aren't
+// plain numbers; the parse function returns the parsed bound, or undefined if
+// it isn't valid.
+function validateBoundProperty(name, path, block, parse, expected, errors) {
+    if (block !== null && typeof block === 'object') {
+        const extraProperties = Object.keys(block).filter(property => {
+            return !['exclusive', 'value'].includes(property)
+        })
+
+        if (extraProperties.length > 0) {
+            for (const property of extraProperties) {
+                const error = new ValidationError(path.concat(name), `'${property}' property is unexpected`)
+                errors.push(error)
+            }
+            return
+        }
+
+        if (block.exclusive !== undefined && typeof block.exclusive !== 'boolean') {
+            const error = new ValidationError(path.concat([name, 'exclusive']), "value must be a bool")
+            errors.push(error)
+        }
+
+        if (block.value === undefined) {
+            const error = new ValidationError(path.concat(name), "'value' property is missing")
+            errors.push(error)
+            return
+        }
+
+        const value = parse(block.value)
+        if (value === undefined) {
+            const error = new ValidationError(path.concat([name, 'value']), `value must be ${expected}`)
+            errors.push(error)
+            return
+        }
+
+        return {
+            exclusive: block.exclusive === true,
+            value: value
+        }
+    }
+    else {
+        const value = parse(block)
+        if (value === undefined) {
+            const error = new ValidationError(path.concat(name), `value must be ${expected}`)
+            errors.push(error)
+            return
+        }
+
+        return {
+            exclusive: false,
+            value: value
+        }
+    }
+}
+
+function isValidPattern(pattern) {
+    try {
+        new RegExp(pattern)
+    }
+    catch (error) {
+        return false
+    }
+
+    return true
+}
+
 function validateLengthProperty(path, value, errors, warnings) {
 
     path = path.concat('length')
@@ -169,15 +253,109 @@ function validateNumberBlock(path, block, errors, warnings) {
     }
 }
 
+function validateDecimalBlock(path, block, errors, warnings) {
+    if (block.precision !== undefined) {
+        if (!Number.isInteger(block.precision) || block.precision < 1) {
+            const error = new ValidationError(path.concat('precision'), "value must be an integer greater than zero")
+            errors.push(error)
+        }
+    }
+
+    if (block.scale !== undefined) {
+        if (!Number.isInteger(block.scale) || block.scale < 0) {
+            const error = new ValidationError(path.concat('scale'), "value must be an integer greater or equal to zero")
+            errors.push(error)
+        }
+        else if (Number.isInteger(block.precision) && block.scale > block.precision) {
+            const error = new ValidationError(path, "scale must be lower or equal to precision")
+            errors.push(error)
+        }
+    }
+
+    // Bounds are preferably written as strings to not lose precision.
+    const parse = value => typeof value === 'string' || typeof value === 'number' ? readDecimal(value) : undefined
+    const expected = "a decimal number"
+
+    var minimum, maximum
+
+    if (block.minimum !== undefined) {
+        minimum = validateBoundProperty('minimum', path, block.minimum, parse, expected, errors)
+    }
+
+    if (block.maximum !== undefined) {
+        maximum = validateBoundProperty('maximum', path, block.maximum, parse, expected, errors)
+    }
+
+    if (minimum !== undefined && maximum !== undefined) {
+        if (maximum.value.compare(minimum.value) < 0) {
+            const error = new ValidationError(path, "minimum must be lower than maximum")
+            errors.push(error)
+        }
+    }
+}
+
 function validateStringBlock(path, block, errors, warnings) {
     if (block.length !== undefined)
         validateLengthProperty(path, block.length, errors, warnings)
 
-    // TODO; Check validity of the regex.
-    if (block.pattern !== undefined && typeof block.pattern !== 'string') {
-        const error = new ValidationError(path.concat('pattern'), "value must be a string")
+    if (block.pattern !== undefined) {
+        if (typeof block.pattern !== 'string') {
+            const error = new ValidationError(path.concat('pattern'), "value must be a string")
+            errors.push(error)
+        }
+        else if (!isValidPattern(block.pattern)) {
+            const error = new ValidationError(path.concat('pattern'), "value must be a valid regular expression")
+            errors.push(error)
+        }
+    }
+
+    if (block.format !== undefined) {
+        if (typeof block.format !== 'string') {
+            const error = new ValidationError(path.concat('format'), "value must be a string")
+            errors.push(error)
+        }
+        else if (!Object.keys(stringFormats).includes(block.format)) {
+            const error = new ValidationError(path.concat('format'), `'${block.format}' is an unknown format`)
+            errors.push(error)
+        }
+    }
+}
+
+function validateTemporalBlock(path, block, errors, warnings) {
+    const parse = value => typeof value === 'string' ? temporalParsers[block.type](value) : undefined
+    const expected = `an ISO-8601 ${block.type}`
+
+    var minimum, maximum
+
+    if (block.minimum !== undefined) {
+        minimum = validateBoundProperty('minimum', path, block.minimum, parse, expected, errors)
+    }
+
+    if (block.maximum !== undefined) {
+        maximum = validateBoundProperty('maximum', path, block.maximum, parse, expected, errors)
+    }
+
+    if (minimum !== undefined && maximum !== undefined) {
+        if (maximum.value.value < minimum.value.value) {
+            const error = new ValidationError(path, "minimum must be lower than maximum")
+            errors.push(error)
+        }
+    }
+
+    if (block.timezone !== undefined && typeof block.timezone !== 'boolean') {
+        const error = new ValidationError(path.concat('timezone'), "value must be a bool")
+        errors.push(error)
+    }
+}
+
+function validateBytesBlock(path, block, errors, warnings) {
+    if (block.encoding !== undefined && !['base64', 'base64url'].includes(block.encoding)) {
+        const error = new ValidationError(path.concat('encoding'), "value must be either 'base64' or 'base64url'")
         errors.push(error)
     }
+
+    if (block.length !== undefined)
+        validateLengthProperty(path, block.length, errors, warnings)
 }
 
 function validateArrayBlock(path, block, errors, warnings) {
@@ -189,6 +367,60 @@ function validateArrayBlock(path, block, errors, warnings) {
 
     validateBlock(path.concat('[]'), block.value, errors, warnings)
 
+    if (block.length !== undefined)
+        validateLengthProperty(path, block.length, errors, warnings)
+
+    if (block.unique !== undefined)
+        validateUniqueProperty(path, block, errors, warnings)
+}
+
+// The 'unique' property is either a bool or the key of the field the items
+// are compared by; the items must then be maps with that field.
+function validateUniqueProperty(path, block, errors, warnings) {
+    if (typeof block.unique === 'boolean')
+        return
+
+    if (typeof block.unique !== 'string') {
+        const error = new ValidationError(path.concat('unique'), "value must be either a bool or a string")
+        errors.push(error)
+        return
+    }
+
+    const target = block.value !== null && typeof block.value === 'object' ? findTarget(block.value) : undefined
+    if (target === undefined || !Object.keys(validators).includes(target.type))
+        return
+
+    if (target.type !== 'map') {
+        const error = new ValidationError(path.concat('unique'), "items must be maps to be compared by a field")
+        errors.push(error)
+        return
+    }
+
+    if (target.fields === null || typeof target.fields !== 'object' || target.fields[block.unique] === undefined) {
+        const error = new ValidationError(path.concat('unique'), `'${block.unique}' field is missing`)
+        errors.push(error)
+    }
+}
+
+// The items of sets are decoded to the items of Set objects, which compare
+// them by identity; they must be flags, numbers, strings or enum values.
+const SET_ITEM_TYPES = ['flag', 'number', 'string', 'enum']
+
+function validateSetBlock(path, block, errors, warnings) {
+    if (block.value === undefined) {
+        const error = new ValidationError(path, "'value' property is missing")
+        errors.push(error)
+        return
+    }
+
+    validateBlock(path.concat('[]'), block.value, errors, warnings)
+
+    const target = block.value !== null && typeof block.value === 'object' ? findTarget(block.value) : undefined
+    if (target !== undefined && Object.keys(validators).includes(target.type) && !SET_ITEM_TYPES.includes(target.type)) {
+        const error = new ValidationError(path.concat('[]'), "items of a set must be flags, numbers, strings or enum values")
+        errors.push(error)
+    }
+
     if (block.length !== undefined)
         validateLengthProperty(path, block.length, errors, warnings)
 }
@@ -242,6 +474,19 @@ function validateTupleBlock(path, block, errors, warnings) {
 }
 
 function validateMapBlock(path, block, errors, warnings) {
+    // The issues of the composition (see composeMap()) are reported first; the
+    // inherited fields are validated with the map they come from.
+    const composition = readComposition(block)
+    if (composition !== undefined) {
+        for (const [issuePath, message] of composition.issues) {
+            const error = new ValidationError(path.concat(issuePath), message)
+            errors.push(error)
+        }
+
+        if (composition.issues.length > 0 && Object.keys(block.fields).length == 0)
+            return
+    }
+
     if (block.fields === undefined) {
         const error = new ValidationError(path, "'fields' property is missing")
         errors.push(error)
@@ -261,6 +506,9 @@ function validateMapBlock(path, block, errors, warnings) {
     }
 
     for (const [key, value] of Object.entries(block.fields)) {
+        if (composition !== undefined && composition.inherited.has(key))
+            continue
+
         if (!/^[a-zA-Z0-9\-\_]+$/.test(key)) {
             const error = new ValidationError(path.concat('fields'), `'${key}' is an incorrect key name`)
             errors.push(error)
@@ -269,6 +517,217 @@ function validateMapBlock(path, block, errors, warnings) {
 
         validateBlock(path.concat(`$${key}`), value, errors, warnings)
     }
+
+    // Missing optional fields are adjusted to 'null' by default; with 'omit',
+    // they stay absent so they can be told apart from explicit 'null' values.
+    if (block.absent !== undefined && !['null', 'omit'].includes(block.absent)) {
+        const error = new ValidationError(path.concat('absent'), "value must be either 'null' or 'omit'")
+        errors.push(error)
+    }
+
+    if (block.constraints !== undefined)
+        validateConstraintsProperty(path, block, errors, warnings)
+}
+
+// The rules of the 'constraints' property (see constraint.js) must name
+// fields of the map; the types of the fields are checked by the semantic
+// analysis.
+function validateConstraintsProperty(path, block, errors, warnings) {
+    if (block.constraints === null || block.constraints.constructor !== Array) {
+        const error = new ValidationError(path.concat('constraints'), "value must be an array")
+        errors.push(error)
+        return
+    }
+
+    const isArrayOfStrings = value => Array.isArray(value) && value.every(item => typeof item === 'string')
+    const checkFields = (fieldsPath, keys) => {
+        for (const key of keys.filter(key => !Object.prototype.hasOwnProperty.call(block.fields, key))) {
+            const error = new ValidationError(fieldsPath, `'${key}' field is unknown`)
+            errors.push(error)
+        }
+    }
+
+    block.constraints.forEach((constraint, index) => {
+        const constraintPath = path.concat(['constraints', index])
+
+        if (constraint === null || typeof constraint !== 'object' || constraint.constructor === Array) {
+            const error = new ValidationError(constraintPath, "value must be an object")
+            errors.push(error)
+            return
+        }
+
+        const extraProperties = Object.keys(constraint).filter(property => ![...CONSTRAINT_KINDS, 'when'].includes(property))
+        for (const property of extraProperties) {
+            const error = new ValidationError(constraintPath, `'${property}' property is unexpected`)
+            errors.push(error)
+        }
+
+        const kinds = CONSTRAINT_KINDS.filter(kind => constraint[kind] !== undefined)
+        if (kinds.length == 0) {
+            const error = new ValidationError(constraintPath, "'requires', 'exclusive', 'any' or 'compare' property is missing")
+            errors.push(error)
+            return
+        }
+        else if (kinds.length > 1) {
+            const error = new ValidationError(constraintPath, `'${kinds[1]}' property is unexpected`)
+            errors.push(error)
+            return
+        }
+
+        const kind = kinds[0]
+        const kindPath = constraintPath.concat(kind)
+        const value = constraint[kind]
+
+        if (kind === 'compare') {
+            if (!isArrayOfStrings(value) || value.length != 3) {
+                const error = new ValidationError(kindPath, "value must be an array with a field, an operator and a field")
+                errors.push(error)
+            }
+            else if (!Object.prototype.hasOwnProperty.call(OPERATORS, value[1])) {
+                const error = new ValidationError(kindPath, `'${value[1]}' operator is incorrect`)
+                errors.push(error)
+            }
+            else {
+                checkFields(kindPath, [value[0], value[2]])
+            }
+        }
+        else {
+            if (!isArrayOfStrings(value)) {
+                const error = new ValidationError(kindPath, "value must be an array of field names")
+                errors.push(error)
+            }
+            else if (kind === 'requires' && value.length == 0) {
+                const error = new ValidationError(kindPath, "must contain at least one field")
+                errors.push(error)
+            }
+            else if (kind !== 'requires' && value.length < 2) {
+                const error = new ValidationError(kindPath, "must contain at least two fields")
+                errors.push(error)
+            }
+            else {
+                checkFields(kindPath, value)
+            }
+        }
+
+        // Fields are always required unless some condition is met.
+        const whenPath = constraintPath.concat('when')
+        if (constraint.when === undefined) {
+            if (kind === 'requires') {
+                const error = new ValidationError(constraintPath, "'when' property is missing")
+                errors.push(error)
+            }
+        }
+        else if (typeof constraint.when === 'string') {
+            checkFields(whenPath, [constraint.when])
+        }
+        else if (constraint.when !== null && typeof constraint.when === 'object' && constraint.when.constructor !== Array) {
+            if (Object.keys(constraint.when).length == 0) {
+                const error = new ValidationError(whenPath, "must contain at least one field")
+                errors.push(error)
+            }
+
+            checkFields(whenPath, Object.keys(constraint.when))
+        }
+        else {
+            const error = new ValidationError(whenPath, "value must be either a field name or an object")
+            errors.push(error)
+        }
+    })
+}
+
+function validateUnionBlock(path, block, errors, warnings) {
+    if (block.variants === undefined) {
+        const error = new ValidationError(path, "'variants' property is missing")
+        errors.push(error)
+        return
+    }
+
+    if (block.variants === null || block.variants.constructor !== Array) {
+        const error = new ValidationError(path.concat('variants'), "value must be an array")
+        errors.push(error)
+        return
+    }
+
+    if (block.variants.length == 0) {
+        const error = new ValidationError(path.concat('variants'), "must contain at least one variant")
+        errors.push(error)
+        return
+    }
+
+    block.variants.forEach((variant, index) => {
+        validateBlock(path.concat(`(${index})`), variant, errors, warnings)
+    })
+
+    if (block.discriminator === undefined)
+        return
+
+    if (typeof block.discriminator !== 'string') {
+        const error = new ValidationError(path.concat('discriminator'), "value must be a string")
+        errors.push(error)
+        return
+    }
+
+    // The variants of a discriminated union must be maps whose discriminator
+    // field is a required enum or literal; each value selects one variant.
+    var discriminatorValues = []
+    block.variants.forEach((variant, index) => {
+        const variantPath = path.concat(`(${index})`)
+
+        const target = variant !== null && typeof variant === 'object' ? findTarget(variant) : undefined
+        if (target === undefined)
+            return
+
+        if (target.type !== 'map') {
+            const error = new ValidationError(variantPath, "variant must be a map")
+            errors.push(error)
+            return
+        }
+
+        const field = target.fields !== null && typeof target.fields === 'object' ? target.fields[block.discriminator] : undefined
+        if (field === undefined || field === null || typeof field !== 'object') {
+            const error = new ValidationError(variantPath, `'${block.discriminator}' discriminator field is missing`)
+            errors.push(error)
+            return
+        }
+
+        const fieldPath = variantPath.concat(`$${block.discriminator}`)
+        const fieldTarget = findTarget(field)
+        const isEnum = fieldTarget !== undefined && fieldTarget.type === 'enum' && Array.isArray(fieldTarget.values)
+        const isLiteral = fieldTarget !== undefined && fieldTarget.type === 'literal' && fieldTarget.value !== undefined
+        if (!isEnum && !isLiteral) {
+            const error = new ValidationError(fieldPath, "discriminator field must be an enum or a literal")
+            errors.push(error)
+            return
+        }
+
+        if (isOptional(field)) {
+            const error = new ValidationError(fieldPath, "discriminator field must not be optional")
+            errors.push(error)
+        }
+        else if (isNullable(field)) {
+            const error = new ValidationError(fieldPath, "discriminator field must not be nullable")
+            errors.push(error)
+        }
+
+        readDiscriminatorValues(fieldTarget).forEach(value => {
+            if (discriminatorValues.includes(value)) {
+                const error = new ValidationError(fieldPath, `'${value}' discriminator value is duplicated`)
+                errors.push(error)
+            }
+            else {
+                discriminatorValues.push(value)
+            }
+        })
+    })
+}
+
+// The 'deprecated' property is either a bool or the replacement hint reported
+// along with the warning.
+function validateDeprecatedProperty(path, value, errors, warnings) {
+    if (typeof value !== 'boolean' && typeof value !== 'string') {
+        const error = new ValidationError(path.concat('deprecated'), "value must be either a bool or a string")
+        errors.push(error)
+    }
 }
 
 function validateEnumBlock(path, block, errors, warnings) {
@@ -291,7 +750,32 @@ function validateEnumBlock(path, block, errors, warnings) {
     }
 
     var processedValues = []
-    block.values.forEach(value => {
+    block.values.forEach((value, index) => {
+        // Values can be written as objects to be deprecated.
+        if (value !== null && typeof value === 'object' && value.constructor !== Array) {
+            const valuePath = path.concat(['values', index])
+
+            const extraProperties = Object.keys(value).filter(property => !['value', 'deprecated'].includes(property))
+            if (extraProperties.length > 0) {
+                for (const property of extraProperties) {
+                    const error = new ValidationError(valuePath, `'${property}' property is unexpected`)
+                    errors.push(error)
+                }
+                return
+            }
+
+            if (value.value === undefined) {
+                const error = new ValidationError(valuePath, "'value' property is missing")
+                errors.push(error)
+                return
+            }
+
+            if (value.deprecated !== undefined)
+                validateDeprecatedProperty(valuePath, value.deprecated, errors, warnings)
+
+            value = value.value
+        }
+
         if (!/^[a-zA-Z0-9\-\_]+$/.test(value)) {
             const error = new ValidationError(path.concat('values'), `'${value}' is an incorrect value`)
             errors.push(error)
@@ -309,6 +793,22 @@ function validateEnumBlock(path, block, errors, warnings) {
     })
 }
 
+// The value of a literal is any JSON scalar; unlike enum values, strings
+// aren't restricted to identifiers.
+function validateLiteralBlock(path, block, errors, warnings) {
+    if (block.value === undefined) {
+        const error = new ValidationError(path, "'value' property is missing")
+        errors.push(error)
+        return
+    }
+
+    const isScalar = ['string', 'boolean'].includes(typeof block.value) || Number.isFinite(block.value) || block.value === null
+    if (!isScalar) {
+        const error = new ValidationError(path.concat('value'), "value must be a string, a number, a bool or null")
+        errors.push(error)
+    }
+}
+
 const validators = {
     flag: {
         function: validateFlagBlock,
@@ -318,12 +818,36 @@ const validators = {
         function: validateNumberBlock,
         properties: ['decimal', 'minimum', 'maximum']
     },
+    decimal: {
+        function: validateDecimalBlock,
+        properties: ['precision', 'scale', 'minimum', 'maximum']
+    },
     string: {
         function: validateStringBlock,
-        properties: ['length', 'pattern']
+        properties: ['length', 'pattern', 'format']
+    },
+    date: {
+        function: validateTemporalBlock,
+        properties: ['minimum', 'maximum']
+    },
+    time: {
+        function: validateTemporalBlock,
+        properties: ['minimum', 'maximum', 'timezone']
+    },
+    datetime: {
+        function: validateTemporalBlock,
+        properties: ['minimum', 'maximum', 'timezone']
+    },
+    bytes: {
+        function: validateBytesBlock,
+        properties: ['encoding', 'length']
     },
     array: {
         function: validateArrayBlock,
+        properties: ['value', 'length', 'unique']
+    },
+    set: {
+        function: validateSetBlock,
         properties: ['value', 'length']
     },
     object: {
@@ -336,16 +860,24 @@ const validators = {
     },
     map: {
         function: validateMapBlock,
-        properties: ['fields']
+        properties: ['fields', 'absent', 'constraints', 'extends', 'pick', 'omit', 'overrides']
     },
     enum: {
         function: validateEnumBlock,
         properties: ['values']
+    },
+    literal: {
+        function: validateLiteralBlock,
+        properties: ['value']
+    },
+    union: {
+        function: validateUnionBlock,
+        properties: ['variants', 'discriminator']
     }
 }
 
 function validateBlock(path, block, errors, warnings) {
-    if (typeof block !== 'object') {
+    if (block === null || typeof block !== 'object') {
         const error = new ValidationError(path, "value must be an object")
         errors.push(error)
         return
@@ -357,15 +889,29 @@ function validateBlock(path, block, errors, warnings) {
         return
     }
 
-    if (!Object.keys(validators).includes(block.type)) {
+    var properties
+    if (isReference(block)) {
+        if (isAmbiguousReference(block)) {
+            const error = new ValidationError(path, `'${block.type}' type is ambiguous`)
+            errors.push(error)
+            return
+        }
+
+        // References to named types only accept the common properties.
+        properties = []
+    }
+    else if (Object.keys(validators).includes(block.type)) {
+        properties = validators[block.type].properties
+    }
+    else {
         var error = new ValidationError(path, "value of 'type' is incorrect")
         errors.push(error)
         return
     }
 
-    const commonProperties = ['name', 'description', 'type', 'option']
+    const commonProperties = ['name', 'description', 'type', 'option', 'nullable', 'default', 'deprecated']
     var extraProperties = Object.keys(block).filter(property => {
-        return !(validators[block.type].properties.includes(property) || commonProperties.includes(property))
+        return !(properties.includes(property) || commonProperties.includes(property))
     })
 
     extraProperties.forEach(property => {
@@ -373,7 +919,9 @@ function validateBlock(path, block, errors, warnings) {
         errors.push(error)
     })
 
-    validators[block.type].function(path, block, errors, warnings)
+    if (!isReference(block)) {
+        validators[block.type].function(path, block, errors, warnings)
+    }
 
     if (block.name !== undefined && typeof block.name !== 'string') {
         const error = new ValidationError(path.concat('name'), "value must be a string")
@@ -389,22 +937,258 @@ function validateBlock(path, block, errors, warnings) {
         const error = new ValidationError(path.concat('option'), "value must be a bool")
         errors.push(error)
     }
+
+    if (block.nullable !== undefined && typeof block.nullable !== 'boolean') {
+        const error = new ValidationError(path.concat('nullable'), "value must be a bool")
+        errors.push(error)
+    }
+
+    if (block.deprecated !== undefined)
+        validateDeprecatedProperty(path, block.deprecated, errors, warnings)
+}
+
+// The following functions analyze the blocks once they're known to be valid;
+// they report the constraints which contradict each other (the block can't
+// accept any value) as errors, and the suspicious ones as warnings.
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Return whether the bounds leave no value; the bounds (as returned by
+// readMinimumValue() and readMaximumValue()) must be compared with the compare
+// function.
+function isEmptyRange(minimum, maximum, compare) {
+    if (minimum === undefined || maximum === undefined)
+        return false
+
+    const comparison = compare(minimum.value, maximum.value)
+    return comparison > 0 || (comparison == 0 && (minimum.exclusive || maximum.exclusive))
 }
 
-/*
-- format  must be in the object form, use a yaml lib to read the raw string
+// Same as isEmptyRange() except only integer values are considered.
+function isEmptyIntegerRange(minimum, maximum) {
+    if (minimum === undefined || maximum === undefined)
+        return false
+
+    const lower = minimum.exclusive ? Math.floor(minimum.value) + 1 : Math.ceil(minimum.value)
+    const upper = maximum.exclusive ? Math.ceil(maximum.value) - 1 : Math.floor(maximum.value)
 
-*/
+    return lower > upper
+}
+
+function analyzeNumberBlock(path, block, errors, warnings) {
+    const minimum = readMinimumValue(block)
+    const maximum = readMaximumValue(block)
+
+    const empty = block.decimal === false ?
+        isEmptyIntegerRange(minimum, maximum) :
+        isEmptyRange(minimum, maximum, (left, right) => left - right)
+
+    if (empty) {
+        const error = new ValidationError(path, "bounds leave no valid value")
+        errors.push(error)
+    }
+}
+
+function analyzeDecimalBlock(path, block, errors, warnings) {
+    const readBound = bound => bound !== undefined ? { exclusive: bound.exclusive, value: readDecimal(bound.value) } : undefined
+    const minimum = readBound(readMinimumValue(block))
+    const maximum = readBound(readMaximumValue(block))
+
+    var empty = isEmptyRange(minimum, maximum, (left, right) => left.compare(right))
+
+    // With a scale, the values are the multiples of its unit.
+    if (!empty && block.scale !== undefined && minimum !== undefined && maximum !== undefined) {
+        const lower = minimum.exclusive ? scaleCoefficient(minimum.value, block.scale, false) + 1n : scaleCoefficient(minimum.value, block.scale, true)
+        const upper = maximum.exclusive ? scaleCoefficient(maximum.value, block.scale, true) - 1n : scaleCoefficient(maximum.value, block.scale, false)
+
+        empty = lower > upper
+    }
+
+    if (empty) {
+        const error = new ValidationError(path, "bounds leave no valid value")
+        errors.push(error)
+    }
+}
+
+function analyzeStringBlock(path, block, errors, warnings) {
+    if (block.pattern === undefined || block.length === undefined)
+        return
+
+    const length = readLength(block.length)
+    const maximum = length.maximum !== undefined ? length.maximum : Infinity
+
+    const matchingLengths = measurePattern(block.pattern).filter(range => {
+        return range.minimum <= maximum && range.maximum >= length.minimum
+    })
+
+    if (matchingLengths.length == 0) {
+        const error = new ValidationError(path.concat('pattern'), "value can't match strings of the expected length")
+        errors.push(error)
+    }
+}
+
+function analyzeTemporalBlock(path, block, errors, warnings) {
+    const readBound = bound => {
+        if (bound !== undefined) {
+            const value = temporalParsers[block.type](bound.value).value
+            return { exclusive: bound.exclusive, value: block.type === 'date' ? value / DAY : value }
+        }
+    }
+    const minimum = readBound(readMinimumValue(block))
+    const maximum = readBound(readMaximumValue(block))
+
+    // Dates are counted in days.
+    const empty = block.type === 'date' ?
+        isEmptyIntegerRange(minimum, maximum) :
+        isEmptyRange(minimum, maximum, (left, right) => left - right)
+
+    if (empty) {
+        const error = new ValidationError(path, "bounds leave no valid value")
+        errors.push(error)
+    }
+}
+
+function analyzeTupleBlock(path, block, errors, warnings) {
+    if (block.items.length == 1) {
+        const warning = new ValidationWarning(path.concat('items'), "should contain more than one item")
+        warnings.push(warning)
+    }
+}
+
+function analyzeUnionBlock(path, block, errors, warnings) {
+    if (block.variants.length == 1) {
+        const warning = new ValidationWarning(path.concat('variants'), "should contain more than one variant")
+        warnings.push(warning)
+    }
+}
+
+// The items of sets (and of arrays whose items are unique) that are flags or
+// enum values can only take a few distinct values.
+function analyzeCollectionBlock(path, block, errors, warnings) {
+    if (readUniqueness(block) !== true || block.length === undefined)
+        return
+
+    const target = findTarget(block.value)
+    if (!['flag', 'enum'].includes(target.type))
+        return
+
+    const count = (target.type === 'flag' ? 2 : target.values.length) + (isNullable(block.value) ? 1 : 0)
+    if (readLength(block.length).minimum > count) {
+        const error = new ValidationError(path.concat('length'), "value requires more distinct items than possible")
+        errors.push(error)
+    }
+}
+
+// The compared fields must have the same type, and the values of the
+// conditions must be accepted by their field.
+function analyzeMapBlock(path, block, errors, warnings) {
+    if (block.constraints === undefined)
+        return
+
+    block.constraints.forEach((constraint, index) => {
+        const constraintPath = path.concat(['constraints', index])
+
+        if (constraint.compare !== undefined) {
+            const [key, , otherKey] = constraint.compare
+            const type = findTarget(block.fields[key]).type
+            if (!COMPARABLE_TYPES.includes(type) || findTarget(block.fields[otherKey]).type !== type) {
+                const error = new ValidationError(constraintPath.concat('compare'), `'${key}' and '${otherKey}' fields can't be compared`)
+                errors.push(error)
+            }
+        }
+
+        if (constraint.when !== null && typeof constraint.when === 'object') {
+            for (const [key, value] of Object.entries(constraint.when)) {
+                adjustNode(constraintPath.concat(['when', key]), value, block.fields[key], errors, [])
+            }
+        }
+    })
+}
+
+const analyzers = {
+    'number': analyzeNumberBlock,
+    'decimal': analyzeDecimalBlock,
+    'string': analyzeStringBlock,
+    'date': analyzeTemporalBlock,
+    'time': analyzeTemporalBlock,
+    'datetime': analyzeTemporalBlock,
+    'array': analyzeCollectionBlock,
+    'set': analyzeCollectionBlock,
+    'tuple': analyzeTupleBlock,
+    'map': analyzeMapBlock,
+    'union': analyzeUnionBlock
+}
+
+function analyzeBlock(path, block, errors, warnings) {
+    // Blocks referencing named types are analyzed with the named types (their
+    // names can't be the ones of the built-in types).
+    if (Object.keys(analyzers).includes(block.type)) {
+        analyzers[block.type](path, block, errors, warnings)
+    }
+}
+
+function validateDefaultProperty(path, block, errors, warnings) {
+    if (block.default === undefined)
+        return
+
+    // The default value is written in its payload form; it must be accepted
+    // by the block itself.
+    adjustNode(path.concat('default'), block.default, block, errors, [])
+}
+
+function validateTypesProperty(path, value, types, errors, warnings) {
+    if (value === null || typeof value !== 'object' || value.constructor === Array) {
+        const error = new ValidationError(path, "value must be an object")
+        errors.push(error)
+        return
+    }
+
+    for (const [name, block] of Object.entries(value)) {
+        if (!/^[a-zA-Z0-9\-\_]+$/.test(name)) {
+            const error = new ValidationError(path, `'${name}' is an incorrect type name`)
+            errors.push(error)
+            continue
+        }
+
+        if (Object.keys(validators).includes(name)) {
+            const error = new ValidationError(path, `'${name}' type name is reserved`)
+            errors.push(error)
+            continue
+        }
+
+        validateBlock(path.concat(name), resolveFormat(block, types), errors, warnings)
+    }
+
+    // Named types can reference themselves (to describe trees for instance)
+    // but there must be a way out of the recursion; an optional field, an
+    // array, etc.
+    const infiniteTypes = findInfiniteTypes(types)
+    for (const name of Object.keys(value)) {
+        if (infiniteTypes.includes(name)) {
+            const error = new ValidationError(path.concat(name), `'${name}' type is infinitely recursive`)
+            errors.push(error)
+        }
+    }
+}
+
+// The format must be in the object form; use parseFormat() or loadFormat() to
+// read it from its raw YAML (or JSON) text.
 
 /**
  * To be written.
  *
+ * The root block of a format may declare named types in its 'types' property;
+ * any block can then reference them by using their name as its type. Named
+ * types declared by other formats can be made available with the 'types'
+ * option (either an object, or an array of objects).
+ *
  * @memberof Payload
  * @param {object} format - To be written.
  * @param {array} errors - To be written.
  * @param {array} warnings - To be written.
+ * @param {object} options - The 'types' option provides external named types.
  */
-function validateFormat(format, errors, warnings) {
+function validateFormat(format, errors, warnings, options) {
     // If errors and warnings parameters are set, they must be empty array.
     assert(
         errors === undefined || (errors.constructor === Array && errors.length == 0),
@@ -429,7 +1213,36 @@ function validateFormat(format, errors, warnings) {
         warnings = []
     }
 
-    validateBlock([], format, errors, warnings)
+    if (options === undefined) {
+        options = {}
+    }
+
+    const types = collectTypes(format, options.types)
+    const resolvedFormat = resolveFormat(format, types)
+
+    // Named types can only be declared by the root block.
+    if (format !== null && typeof format === 'object' && format.types !== undefined) {
+        validateTypesProperty(['types'], format.types, types, errors, warnings)
+        delete resolvedFormat.types
+    }
+
+    validateBlock([], resolvedFormat, errors, warnings)
+
+    // The blocks are analyzed, and the default values checked against them,
+    // once the rest of the format is known to be valid.
+    if (errors.length == 0) {
+        const visit = (path, block) => {
+            analyzeBlock(path, block, errors, warnings)
+            validateDefaultProperty(path, block, errors, warnings)
+        }
+
+        visitBlocks([], resolvedFormat, visit)
+        if (format.types !== undefined) {
+            for (const [name, block] of Object.entries(format.types)) {
+                visitBlocks(['types', name], resolveFormat(block, types), visit)
+            }
+        }
+    }
 
     // If we're not lazy-validating the format, we raise the first error that
     // occurred, if any.
@@ -438,4 +1251,5 @@ function validateFormat(format, errors, warnings) {
     }
 }
 
+export { validators }
 export default validateFormat
@@ -0,0 +1,127 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+// The declarations of the objects described by a given format can be
+// generated with formatToTypeScript(); they're passed as the type parameter of
+// payloadToObject() and objectToPayload().
+//
+//     import { payloadToObject } from '@byteplug/payload'
+//     import type { User } from './user-format'
+//
+//     const user = payloadToObject<User>(payload, userFormat)
+
+export type Format = { [property: string]: unknown }
+
+export interface Options {
+    types?: { [name: string]: Format } | { [name: string]: Format }[]
+}
+
+export interface GenerateOptions extends Options {
+    seed?: number
+}
+
+export interface DocumentationOptions extends Options {
+    title?: string
+}
+
+export class ValidationError extends Error {
+    constructor(path: string[], message: string)
+
+    path: string[]
+    line?: number
+    column?: number
+}
+
+export class ValidationWarning extends Error {
+    constructor(path: string[], message: string)
+
+    path: string[]
+    line?: number
+    column?: number
+}
+
+export class Decimal {
+    constructor(coefficient: bigint | number | string, scale?: number)
+
+    coefficient: bigint
+    scale: number
+
+    static parse(text: string): Decimal | undefined
+
+    compare(other: Decimal): number
+    normalize(scale?: number): Decimal
+    toString(): string
+    toJSON(): string
+}
+
+// The 'time' type is decoded to its components; the offset is in minutes, or
+// null if the time has no time zone offset.
+export interface Time {
+    hour: number
+    minute: number
+    second: number
+    millisecond: number
+    offset: number | null
+}
+
+export type Compatibility = 'backward' | 'forward' | 'breaking'
+
+export interface Difference {
+    path: string[]
+    compatibility: Compatibility
+    message: string
+}
+
+export function validateFormat(format: Format, errors?: ValidationError[], warnings?: ValidationWarning[], options?: Options): void
+
+export function payloadToObject<T = any>(payload: string, format: Format, errors?: ValidationError[], warnings?: ValidationWarning[], options?: Options): T
+
+export function objectToPayload<T = any>(object: T, format: Format, errors?: ValidationError[], warnings?: ValidationWarning[], options?: Options): string
+
+export interface CompiledFormat<T = any> {
+    decode(payload: string, errors?: ValidationError[], warnings?: ValidationWarning[]): T
+    encode(object: T, errors?: ValidationError[], warnings?: ValidationWarning[]): string
+}
+
+export function compileFormat<T = any>(format: Format, options?: Options): CompiledFormat<T>
+
+// The functions of a custom type; see registerType().
+export interface TypeDefinition {
+    properties?: string[]
+    validate?(path: string[], block: Format, errors: ValidationError[], warnings: ValidationWarning[]): void
+    decode(path: string[], value: unknown, block: Format, errors: ValidationError[], warnings: ValidationWarning[]): unknown
+    encode(path: string[], value: unknown, block: Format, errors: ValidationError[], warnings: ValidationWarning[]): unknown
+    // Returns the payload form of a random value valid against the block;
+    // random() behaves like Math.random() and honors the seed.
+    generate?(block: Format, random: () => number): unknown
+}
+
+export function registerType(name: string, definition: TypeDefinition): void
+
+export function normalizeFormat(format: Format, options?: Options): Format
+
+export function compareFormats(oldFormat: Format, newFormat: Format, options?: Options): Difference[]
+
+export function formatToJSONSchema(format: Format, warnings?: ValidationWarning[], options?: Options): object
+
+export function jsonSchemaToFormat(schema: object | boolean, warnings?: ValidationWarning[]): Format
+
+export function formatToTypeScript(format: Format, name: string, options?: Options): string
+
+export function formatToMarkdown(format: Format, options?: DocumentationOptions): string
+
+export function formatToHTML(format: Format, options?: DocumentationOptions): string
+
+export function generatePayload(format: Format, options?: GenerateOptions): string
+
+export function generateInvalidPayload(format: Format, options?: GenerateOptions): { payload: string, error: ValidationError }
+
+export function parseFormat(text: string, errors?: ValidationError[], warnings?: ValidationWarning[], options?: Options): Format | undefined
+
+export function loadFormat(path: string, errors?: ValidationError[], warnings?: ValidationWarning[], options?: Options): Format | undefined
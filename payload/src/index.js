@@ -18,12 +18,36 @@
 import validateFormat from "./format.js"
 import payloadToObject from "./payload.js"
 import objectToPayload from "./object.js"
+import compileFormat from "./compile.js"
+import registerType from "./registry.js"
+import normalizeFormat from "./normalize.js"
+import compareFormats from "./compare.js"
+import { formatToJSONSchema, jsonSchemaToFormat } from "./jsonschema.js"
+import formatToTypeScript from "./typescript.js"
+import { formatToMarkdown, formatToHTML } from "./documentation.js"
+import { generatePayload, generateInvalidPayload } from "./sample.js"
+import { parseFormat, loadFormat } from "./loader.js"
 import { ValidationError, ValidationWarning } from "./exceptions.js"
+import { Decimal } from "./decimal.js"
 
 export {
     validateFormat,
     payloadToObject,
     objectToPayload,
+    compileFormat,
+    registerType,
+    normalizeFormat,
+    compareFormats,
+    formatToJSONSchema,
+    jsonSchemaToFormat,
+    formatToTypeScript,
+    formatToMarkdown,
+    formatToHTML,
+    generatePayload,
+    generateInvalidPayload,
+    parseFormat,
+    loadFormat,
     ValidationError,
-    ValidationWarning
+    ValidationWarning,
+    Decimal
 }
@@ -0,0 +1,926 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { ValidationError, ValidationWarning } from "./exceptions.js"
+import validateFormat from "./format.js"
+import { readMinimumValue, readMaximumValue, readEnumValues, readUniqueness } from "./utility.js"
+import { collectTypes, findInfiniteTypes, isAliasCycle, resolveFormat, isReference, isOptional, isNullable, readDefault } from "./reference.js"
+import { isCustomType } from "./registry.js"
+import assert from "./assert.js"
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+// Decimal numbers are carried as strings.
+const DECIMAL_PATTERN = '^-?[0-9]+(\\.[0-9]+)?$'
+
+// The keys of the 'object' type; see processObjectNode().
+const KEY_PATTERNS = {
+    string: '^[a-zA-Z0-9\\-\\_]+$',
+    integer: '^-?[0-9]+$'
+}
+
+function warnUnexpressible(path, block, properties, context) {
+    properties.filter(property => block[property] !== undefined).forEach(property => {
+        const warning = new ValidationWarning(path.concat(property), `'${property}' property can't be expressed in JSON Schema`)
+        context.warnings.push(warning)
+    })
+}
+
+function convertBounds(block, schema) {
+    const minimum = readMinimumValue(block)
+    const maximum = readMaximumValue(block)
+
+    if (minimum !== undefined) {
+        schema[minimum.exclusive ? 'exclusiveMinimum' : 'minimum'] = minimum.value
+    }
+
+    if (maximum !== undefined) {
+        schema[maximum.exclusive ? 'exclusiveMaximum' : 'maximum'] = maximum.value
+    }
+}
+
+function convertLength(block, schema, minimumKeyword, maximumKeyword) {
+    if (typeof block.length === 'number') {
+        schema[minimumKeyword] = block.length
+        schema[maximumKeyword] = block.length
+    }
+    else if (block.length !== undefined) {
+        if (block.length.minimum !== undefined)
+            schema[minimumKeyword] = block.length.minimum
+
+        if (block.length.maximum !== undefined)
+            schema[maximumKeyword] = block.length.maximum
+    }
+}
+
+const converters = {
+    flag: (path, block, context) => {
+        return { type: 'boolean' }
+    },
+    number: (path, block, context) => {
+        var schema = { type: block.decimal === false ? 'integer' : 'number' }
+        convertBounds(block, schema)
+
+        return schema
+    },
+    decimal: (path, block, context) => {
+        warnUnexpressible(path, block, ['precision', 'scale', 'minimum', 'maximum'], context)
+        return { type: 'string', pattern: DECIMAL_PATTERN }
+    },
+    string: (path, block, context) => {
+        var schema = { type: 'string' }
+        convertLength(block, schema, 'minLength', 'maxLength')
+
+        if (block.pattern !== undefined)
+            schema.pattern = block.pattern
+
+        // JSON Schema has no format for IP addresses of both versions.
+        if (block.format === 'ip') {
+            schema.anyOf = [{ format: 'ipv4' }, { format: 'ipv6' }]
+        }
+        else if (block.format !== undefined) {
+            schema.format = block.format
+        }
+
+        return schema
+    },
+    date: (path, block, context) => {
+        warnUnexpressible(path, block, ['minimum', 'maximum'], context)
+        return { type: 'string', format: 'date' }
+    },
+    time: (path, block, context) => {
+        // The RFC 3339 formats of JSON Schema require the seconds and the time
+        // zone offset.
+        const format = block.type === 'time' ? 'time' : 'date-time'
+        if (block.timezone !== true) {
+            const warning = new ValidationWarning(path, `values without time zone offset can't be expressed with the '${format}' format`)
+            context.warnings.push(warning)
+        }
+
+        warnUnexpressible(path, block, ['minimum', 'maximum'], context)
+        return { type: 'string', format: format }
+    },
+    datetime: (path, block, context) => {
+        return converters.time(path, block, context)
+    },
+    bytes: (path, block, context) => {
+        warnUnexpressible(path, block, ['length'], context)
+        return { type: 'string', contentEncoding: block.encoding || 'base64' }
+    },
+    array: (path, block, context) => {
+        var schema = { type: 'array', items: convertBlock(path.concat('[]'), block.value, context) }
+        convertLength(block, schema, 'minItems', 'maxItems')
+
+        // Items compared by one of their fields are unique anyway.
+        const unique = readUniqueness(block)
+        if (unique !== undefined)
+            schema.uniqueItems = true
+
+        if (typeof unique === 'string')
+            warnUnexpressible(path, block, ['unique'], context)
+
+        return schema
+    },
+    set: (path, block, context) => {
+        return converters.array(path, block, context)
+    },
+    object: (path, block, context) => {
+        var schema = {
+            type: 'object',
+            propertyNames: { pattern: KEY_PATTERNS[block.key] },
+            additionalProperties: convertBlock(path.concat('{}'), block.value, context)
+        }
+        convertLength(block, schema, 'minProperties', 'maxProperties')
+
+        return schema
+    },
+    tuple: (path, block, context) => {
+        return {
+            type: 'array',
+            prefixItems: block.items.map((item, index) => convertBlock(path.concat(`<${index}>`), item, context)),
+            items: false,
+            minItems: block.items.length
+        }
+    },
+    map: (path, block, context) => {
+        var schema = {
+            type: 'object',
+            properties: {},
+            required: [],
+            additionalProperties: false
+        }
+
+        for (const [key, field] of Object.entries(block.fields)) {
+            schema.properties[key] = convertBlock(path.concat(`$${key}`), field, context)
+
+            // Fields with a default value can be omitted.
+            if (!isOptional(field) && readDefault(field) === undefined)
+                schema.required.push(key)
+        }
+
+        warnUnexpressible(path, block, ['constraints'], context)
+
+        return schema
+    },
+    enum: (path, block, context) => {
+        return { enum: [...readEnumValues(block)] }
+    },
+    literal: (path, block, context) => {
+        return { const: block.value }
+    },
+    union: (path, block, context) => {
+        // Variants are tried in order but a value is accepted if one of them
+        // accepts it, whatever the order.
+        return {
+            anyOf: block.variants.map((variant, index) => convertBlock(path.concat(`(${index})`), variant, context))
+        }
+    }
+}
+
+function convertDefinition(name, context) {
+    if (name in context.definitions)
+        return
+
+    // We register the definition before converting it so recursive references
+    // don't convert it again.
+    context.definitions[name] = {}
+    Object.assign(context.definitions[name], convertType(['types', name], resolveFormat(context.types[name], context.types), context))
+}
+
+// Convert a block without its nullability; it's decided where the block is
+// used.
+function convertType(path, block, context) {
+    var schema
+
+    if (isReference(block)) {
+        convertDefinition(block.type, context)
+        schema = { $ref: `#/$defs/${block.type}` }
+    }
+    else if (isCustomType(block.type)) {
+        const warning = new ValidationWarning(path, `'${block.type}' type can't be expressed in JSON Schema`)
+        context.warnings.push(warning)
+
+        schema = {}
+    }
+    else {
+        schema = converters[block.type](path, block, context)
+    }
+
+    if (block.name !== undefined)
+        schema.title = block.name
+
+    if (block.description !== undefined)
+        schema.description = block.description
+
+    if (block.deprecated !== undefined && block.deprecated !== false)
+        schema.deprecated = true
+
+    return schema
+}
+
+function convertBlock(path, block, context) {
+    var schema = convertType(path, block, context)
+
+    if (isNullable(block)) {
+        if (typeof schema.type === 'string' && schema.anyOf === undefined) {
+            schema.type = [schema.type, 'null']
+        }
+        else if (schema.enum !== undefined) {
+            schema.enum.push(null)
+        }
+        else {
+            const { title, description, deprecated, ...nonNullableSchema } = schema
+            schema = { anyOf: [nonNullableSchema, { type: 'null' }] }
+
+            if (title !== undefined)
+                schema.title = title
+
+            if (description !== undefined)
+                schema.description = description
+
+            if (deprecated !== undefined)
+                schema.deprecated = deprecated
+        }
+    }
+
+    const defaultValue = readDefault(block)
+    if (defaultValue !== undefined)
+        schema.default = defaultValue
+
+    return schema
+}
+
+/**
+ * Convert a format to a JSON Schema (draft 2020-12).
+ *
+ * Named types are converted to definitions ('$defs') and references to them
+ * to '$ref' keywords. The constructs that can't be expressed exactly (decimal
+ * and date bounds, byte lengths, etc.) are left out of the schema, or
+ * approximated, and reported as warnings.
+ *
+ * The format is validated first and a ValidationError is thrown if it isn't
+ * valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format to convert.
+ * @param {array} warnings - If set, warnings are accumulated in this array.
+ * @param {object} options - The options passed to validateFormat().
+ * @returns {object} - The JSON Schema.
+ */
+function formatToJSONSchema(format, warnings, options) {
+    // If the warnings parameter is set, it must be an empty array.
+    assert(
+        warnings === undefined || (warnings.constructor === Array && warnings.length == 0),
+        "if the warnings parameter is set, it must be an empty array"
+    )
+
+    if (warnings === undefined) {
+        warnings = []
+    }
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    validateFormat(format, undefined, warnings, options)
+
+    const types = collectTypes(format, options.types)
+    const { types: _, ...block } = format
+
+    var context = {
+        types: types,
+        definitions: {},
+        warnings: warnings
+    }
+
+    var schema = {
+        $schema: JSON_SCHEMA_DIALECT,
+        ...convertBlock([], resolveFormat(block, types), context)
+    }
+
+    // Named types are only converted when used.
+    if (Object.keys(context.definitions).length > 0) {
+        schema.$defs = context.definitions
+    }
+
+    return schema
+}
+
+// The keywords that don't affect the conversion; they're ignored silently.
+const IGNORED_KEYWORDS = ['$schema', '$id', '$comment', '$defs', 'definitions']
+
+const NAME_PATTERN = /^[a-zA-Z0-9\-\_]+$/
+
+// The JSON Schema formats that have an equivalent in the 'string' type.
+const STRING_FORMATS = ['email', 'uri', 'uuid', 'hostname', 'ipv4', 'ipv6']
+
+function warn(path, message, context) {
+    const warning = new ValidationWarning(path, message)
+    context.warnings.push(warning)
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && value.constructor !== Array
+}
+
+// Payload formats have no type accepting any value; we fall back to strings.
+function convertAnySchema(path, context) {
+    warn(path, "schema accepting any value was approximated with the 'string' type", context)
+    return { type: 'string' }
+}
+
+function isNullSchema(schema) {
+    return isObject(schema) && (schema.type === 'null' || (schema.const === null && schema.type === undefined))
+}
+
+// Return the type(s) of a schema; if the 'type' keyword is missing, it's
+// inferred from the other keywords.
+function readSchemaTypes(schema) {
+    if (schema.type !== undefined)
+        return schema.type.constructor === Array ? schema.type : [schema.type]
+
+    if (['properties', 'additionalProperties', 'required', 'propertyNames'].some(keyword => keyword in schema))
+        return ['object']
+
+    if (['items', 'prefixItems', 'minItems', 'maxItems', 'uniqueItems'].some(keyword => keyword in schema))
+        return ['array']
+
+    if (['minLength', 'maxLength', 'pattern', 'format', 'contentEncoding'].some(keyword => keyword in schema))
+        return ['string']
+
+    if (['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'].some(keyword => keyword in schema))
+        return ['number']
+
+    return []
+}
+
+function readSchemaLength(schema, minimumKeyword, maximumKeyword, consumed) {
+    const minimum = schema[minimumKeyword]
+    const maximum = schema[maximumKeyword]
+    consumed.add(minimumKeyword)
+    consumed.add(maximumKeyword)
+
+    if (minimum !== undefined && minimum === maximum)
+        return minimum
+
+    var length = {}
+    if (minimum !== undefined)
+        length.minimum = minimum
+
+    if (maximum !== undefined)
+        length.maximum = maximum
+
+    return Object.keys(length).length > 0 ? length : undefined
+}
+
+// Both the inclusive and the exclusive keywords can be present; the most
+// restrictive one wins.
+function readSchemaBound(schema, keyword, exclusiveKeyword, greatest, consumed) {
+    consumed.add(keyword)
+    consumed.add(exclusiveKeyword)
+
+    const inclusive = typeof schema[keyword] === 'number' ? schema[keyword] : undefined
+    const exclusive = typeof schema[exclusiveKeyword] === 'number' ? schema[exclusiveKeyword] : undefined
+
+    if (exclusive === undefined)
+        return inclusive
+
+    if (inclusive !== undefined && (greatest ? inclusive > exclusive : inclusive < exclusive))
+        return inclusive
+
+    return { value: exclusive, exclusive: true }
+}
+
+const schemaConverters = {
+    boolean: (path, schema, consumed, context) => {
+        return { type: 'flag' }
+    },
+    integer: (path, schema, consumed, context) => {
+        return { ...schemaConverters.number(path, schema, consumed, context), decimal: false }
+    },
+    number: (path, schema, consumed, context) => {
+        var block = { type: 'number' }
+
+        const minimum = readSchemaBound(schema, 'minimum', 'exclusiveMinimum', true, consumed)
+        const maximum = readSchemaBound(schema, 'maximum', 'exclusiveMaximum', false, consumed)
+
+        if (minimum !== undefined)
+            block.minimum = minimum
+
+        if (maximum !== undefined)
+            block.maximum = maximum
+
+        return block
+    },
+    string: (path, schema, consumed, context) => {
+        if (['base64', 'base64url'].includes(schema.contentEncoding)) {
+            consumed.add('contentEncoding')
+            return { type: 'bytes', encoding: schema.contentEncoding }
+        }
+
+        if (schema.format === 'date') {
+            consumed.add('format')
+            return { type: 'date' }
+        }
+        else if (schema.format === 'date-time' || schema.format === 'time') {
+            consumed.add('format')
+            return { type: schema.format === 'time' ? 'time' : 'datetime', timezone: true }
+        }
+
+        var block = { type: 'string' }
+
+        const length = readSchemaLength(schema, 'minLength', 'maxLength', consumed)
+        if (length !== undefined)
+            block.length = length
+
+        if (typeof schema.pattern === 'string') {
+            consumed.add('pattern')
+            block.pattern = schema.pattern
+        }
+
+        if (STRING_FORMATS.includes(schema.format)) {
+            consumed.add('format')
+            block.format = schema.format
+        }
+        else if (schema.format === undefined && JSON.stringify(schema.anyOf) === JSON.stringify([{ format: 'ipv4' }, { format: 'ipv6' }])) {
+            consumed.add('anyOf')
+            block.format = 'ip'
+        }
+
+        return block
+    },
+    array: (path, schema, consumed, context) => {
+        if (schema.prefixItems !== undefined && schema.prefixItems.constructor === Array && schema.prefixItems.length > 0) {
+            consumed.add('prefixItems')
+            consumed.add('items')
+            consumed.add('minItems')
+            consumed.add('maxItems')
+
+            // Tuples have a fixed number of items.
+            if (schema.items !== false || schema.minItems !== schema.prefixItems.length) {
+                warn(path.concat('prefixItems'), "'prefixItems' keyword was approximated with a tuple of fixed length", context)
+            }
+
+            return {
+                type: 'tuple',
+                items: schema.prefixItems.map((item, index) => convertSchema(path.concat('prefixItems', index), item, context))
+            }
+        }
+
+        var block = { type: 'array' }
+
+        if (schema.items !== undefined && schema.items !== true) {
+            consumed.add('items')
+            block.value = convertSchema(path.concat('items'), schema.items, context)
+        }
+        else {
+            block.value = convertAnySchema(path.concat('items'), context)
+        }
+
+        const length = readSchemaLength(schema, 'minItems', 'maxItems', consumed)
+        if (length !== undefined)
+            block.length = length
+
+        if (schema.uniqueItems !== undefined) {
+            consumed.add('uniqueItems')
+            if (schema.uniqueItems === true)
+                block.unique = true
+        }
+
+        return block
+    },
+    object: (path, schema, consumed, context) => {
+        var block
+
+        const properties = isObject(schema.properties) ? Object.keys(schema.properties) : []
+        if (properties.length > 0) {
+            block = { type: 'map', fields: {} }
+            consumed.add('properties')
+            consumed.add('required')
+
+            const required = schema.required !== undefined && schema.required.constructor === Array ? schema.required : []
+
+            for (const key of properties) {
+                const fieldPath = path.concat('properties', key)
+                if (!NAME_PATTERN.test(key)) {
+                    warn(fieldPath, `'${key}' property was dropped; it's an incorrect key name`, context)
+                    continue
+                }
+
+                var field = convertSchema(fieldPath, schema.properties[key], context)
+
+                // Properties that aren't required can be omitted, but that
+                // doesn't make them nullable.
+                if (!required.includes(key)) {
+                    field.option = true
+                    if (field.nullable === true)
+                        delete field.nullable
+                    else
+                        field.nullable = false
+                }
+
+                block.fields[key] = field
+            }
+
+            required.filter(key => !properties.includes(key)).forEach(key => {
+                warn(path.concat('required'), `'${key}' required property was dropped; it has no schema`, context)
+            })
+
+            // Maps reject the fields they don't know.
+            if (schema.additionalProperties === false) {
+                consumed.add('additionalProperties')
+            }
+            else if (schema.additionalProperties === undefined || schema.additionalProperties === true) {
+                warn(path, "additional properties are rejected by the 'map' type", context)
+            }
+
+            if (Object.keys(block.fields).length == 0) {
+                return convertAnySchema(path, context)
+            }
+        }
+        else {
+            block = { type: 'object', key: 'string' }
+
+            if (isObject(schema.propertyNames) && Object.keys(schema.propertyNames).length == 1 && schema.propertyNames.pattern === KEY_PATTERNS.integer) {
+                consumed.add('propertyNames')
+                block.key = 'integer'
+            }
+            else if (isObject(schema.propertyNames) && Object.keys(schema.propertyNames).length == 1 && schema.propertyNames.pattern === KEY_PATTERNS.string) {
+                consumed.add('propertyNames')
+            }
+            else {
+                warn(path, "property names are restricted by the 'object' type", context)
+            }
+
+            if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+                consumed.add('additionalProperties')
+                block.value = convertSchema(path.concat('additionalProperties'), schema.additionalProperties, context)
+            }
+            else {
+                block.value = convertAnySchema(path.concat('additionalProperties'), context)
+            }
+
+            const length = readSchemaLength(schema, 'minProperties', 'maxProperties', consumed)
+            if (length !== undefined)
+                block.length = length
+        }
+
+        return block
+    }
+}
+
+function convertEnumSchema(values, consumed, nullable) {
+    const stringValues = values.filter(value => value !== null)
+    if (stringValues.length == 0 || !stringValues.every(value => typeof value === 'string' && NAME_PATTERN.test(value)))
+        return
+
+    if (values.includes(null))
+        nullable.value = true
+
+    return { type: 'enum', values: [...new Set(stringValues)] }
+}
+
+// Convert a schema to a block; the nullability is reported in the 'nullable'
+// object.
+function convertSchemaValue(path, schema, consumed, nullable, context) {
+    if ('$ref' in schema) {
+        consumed.add('$ref')
+
+        const match = /^#\/(\$defs|definitions)\/(.+)$/.exec(schema.$ref)
+        if (match === null || !(match[2] in context.names)) {
+            warn(path.concat('$ref'), `'${schema.$ref}' reference can't be resolved`, context)
+            return convertAnySchema(path, context)
+        }
+
+        return { type: context.names[match[2]] }
+    }
+
+    if (schema.enum !== undefined && schema.enum.constructor === Array) {
+        const block = convertEnumSchema(schema.enum, consumed, nullable)
+        if (block !== undefined) {
+            consumed.add('enum')
+            consumed.add('type')
+            return block
+        }
+    }
+
+    if (['string', 'number', 'boolean'].includes(typeof schema.const) || schema.const === null) {
+        consumed.add('const')
+        consumed.add('type')
+        return { type: 'literal', value: schema.const }
+    }
+
+    // A single schema in 'allOf' is commonly used to annotate a reference.
+    if (schema.allOf !== undefined && schema.allOf.constructor === Array && schema.allOf.length == 1 && schema.type === undefined) {
+        consumed.add('allOf')
+
+        const block = convertSchema(path.concat('allOf', 0), schema.allOf[0], context)
+        if (block.nullable === true) {
+            nullable.value = true
+            delete block.nullable
+        }
+
+        return block
+    }
+
+    if (schema.type === undefined) {
+        const keyword = ['anyOf', 'oneOf'].find(keyword => schema[keyword] !== undefined && schema[keyword].constructor === Array)
+        if (keyword !== undefined) {
+            consumed.add(keyword)
+
+            if (keyword === 'oneOf') {
+                warn(path.concat('oneOf'), "'oneOf' keyword was approximated with a union", context)
+            }
+
+            var variants = []
+            schema[keyword].forEach((variant, index) => {
+                if (isNullSchema(variant)) {
+                    nullable.value = true
+                    return
+                }
+
+                variants.push(convertSchema(path.concat(keyword, index), variant, context))
+            })
+
+            if (variants.length == 0)
+                return convertAnySchema(path, context)
+
+            return variants.length == 1 ? variants[0] : { type: 'union', variants: variants }
+        }
+    }
+
+    consumed.add('type')
+
+    var types = readSchemaTypes(schema)
+    if (types.includes('null')) {
+        nullable.value = true
+        types = types.filter(type => type !== 'null')
+    }
+
+    types = types.filter(type => {
+        if (type in schemaConverters)
+            return true
+
+        warn(path.concat('type'), `'${type}' type was dropped`, context)
+        return false
+    })
+
+    if (types.length == 0) {
+        return convertAnySchema(path, context)
+    }
+    else if (types.length == 1) {
+        return schemaConverters[types[0]](path, schema, consumed, context)
+    }
+    else {
+        return {
+            type: 'union',
+            variants: types.map(type => schemaConverters[type](path, schema, consumed, context))
+        }
+    }
+}
+
+function convertSchema(path, schema, context) {
+    if (schema === true || schema === false || (isObject(schema) && Object.keys(schema).length == 0)) {
+        if (schema === false) {
+            warn(path, "schema rejecting all values was approximated with the 'string' type", context)
+            return { type: 'string' }
+        }
+
+        return convertAnySchema(path, context)
+    }
+
+    if (!isObject(schema)) {
+        throw new ValidationError(path, "value must be an object or a boolean")
+    }
+
+    var consumed = new Set(IGNORED_KEYWORDS)
+    var nullable = { value: false }
+
+    var block = convertSchemaValue(path, schema, consumed, nullable, context)
+
+    if (typeof schema.title === 'string') {
+        consumed.add('title')
+        block.name = schema.title
+    }
+
+    if (typeof schema.description === 'string') {
+        consumed.add('description')
+        block.description = schema.description
+    }
+
+    if (typeof schema.deprecated === 'boolean') {
+        consumed.add('deprecated')
+        if (schema.deprecated)
+            block.deprecated = true
+    }
+
+    if (nullable.value) {
+        block.nullable = true
+    }
+
+    if (schema.default !== undefined) {
+        consumed.add('default')
+        block.default = schema.default
+    }
+
+    context.sources.set(block, [path, schema])
+
+    Object.keys(schema).filter(keyword => !consumed.has(keyword)).forEach(keyword => {
+        warn(path.concat(keyword), `'${keyword}' keyword was dropped`, context)
+    })
+
+    return block
+}
+
+// The keywords a property of a block is converted from.
+const PROPERTY_KEYWORDS = {
+    minimum: ['minimum', 'exclusiveMinimum'],
+    maximum: ['maximum', 'exclusiveMaximum'],
+    length: ['minLength', 'maxLength', 'minItems', 'maxItems', 'minProperties', 'maxProperties'],
+    pattern: ['pattern'],
+    unique: ['uniqueItems'],
+    default: ['default']
+}
+
+// Return the nested block of a block designated by a step of a path, if any.
+function readNestedBlock(block, step) {
+    if (typeof step !== 'string')
+        return
+
+    if (step.startsWith('$') && isObject(block.fields))
+        return block.fields[step.slice(1)]
+
+    if (step === '[]' || step === '{}')
+        return block.value
+
+    const match = /^([<(])(\d+)[>)]$/.exec(step)
+    const blocks = match !== null ? (match[1] === '<' ? block.items : block.variants) : undefined
+    if (blocks !== undefined)
+        return blocks[Number(match[2])]
+}
+
+// Drop the property of a converted block a validation error is about; the
+// errors about the block itself are about its bounds. The warnings point to
+// the keywords of the schema the block (or its closest ancestor) was converted
+// from.
+function dropProperty(format, error, context) {
+    var block = format
+    var index = 0
+    if (error.path[0] === 'types' && error.path.length > 1) {
+        block = format.types[error.path[1]]
+        index = 2
+    }
+
+    var source = context.sources.get(block)
+    for (; index < error.path.length; index++) {
+        const nestedBlock = readNestedBlock(block, error.path[index])
+        if (!isObject(nestedBlock))
+            break
+
+        block = nestedBlock
+        if (context.sources.has(block))
+            source = context.sources.get(block)
+    }
+
+    const properties = index < error.path.length ? [error.path[index]] : ['minimum', 'maximum']
+    assert(
+        properties.every(property => property in PROPERTY_KEYWORDS) && properties.some(property => block[property] !== undefined),
+        `unexpected issue in the converted format (${error.message})`
+    )
+
+    const [path, schema] = source
+    const reason = properties[0] === 'default' ? "it's an incorrect value" : error.message
+    for (const property of properties.filter(property => block[property] !== undefined)) {
+        delete block[property]
+        PROPERTY_KEYWORDS[property].filter(keyword => schema[keyword] !== undefined).forEach(keyword => {
+            warn(path.concat(keyword), `'${keyword}' keyword was dropped; ${reason}`, context)
+        })
+    }
+}
+
+// Make a valid type name out of a definition name.
+function convertDefinitionName(name, names) {
+    var typeName = name.replace(/[^a-zA-Z0-9\-\_]/g, '-')
+    if (typeName in converters) {
+        typeName += '-type'
+    }
+
+    var candidate = typeName
+    for (var index = 2; Object.values(names).includes(candidate); index++) {
+        candidate = `${typeName}-${index}`
+    }
+
+    return candidate
+}
+
+/**
+ * Convert a JSON Schema (draft 2020-12) to a format.
+ *
+ * Definitions ('$defs' or 'definitions' of the root schema) are converted to
+ * named types. The keywords that can't be converted exactly are dropped, or
+ * approximated, and reported as warnings whose paths point to the keywords in
+ * the schema. The properties that don't fit together (bounds leaving no
+ * valid value, a pattern that can't match strings of the expected length,
+ * etc.) are dropped as well, and named types that are infinitely recursive
+ * are made nullable, so the returned format passes validateFormat().
+ *
+ * @memberof Payload
+ * @param {object} schema - The JSON Schema to convert.
+ * @param {array} warnings - If set, warnings are accumulated in this array.
+ * @returns {object} - The format.
+ */
+function jsonSchemaToFormat(schema, warnings) {
+    // If the warnings parameter is set, it must be an empty array.
+    assert(
+        warnings === undefined || (warnings.constructor === Array && warnings.length == 0),
+        "if the warnings parameter is set, it must be an empty array"
+    )
+
+    if (warnings === undefined) {
+        warnings = []
+    }
+
+    var context = {
+        names: {},
+        sources: new Map(),
+        warnings: warnings
+    }
+
+    var definitions = []
+    for (const keyword of ['$defs', 'definitions']) {
+        if (isObject(schema) && isObject(schema[keyword])) {
+            for (const name of Object.keys(schema[keyword])) {
+                const typeName = convertDefinitionName(name, context.names)
+                if (typeName !== name) {
+                    warn([keyword, name], `'${name}' definition was renamed to '${typeName}'`, context)
+                }
+
+                context.names[name] = typeName
+                definitions.push([keyword, name, typeName])
+            }
+        }
+    }
+
+    var format = {}
+    if (definitions.length > 0) {
+        format.types = {}
+        definitions.forEach(([keyword, name, typeName]) => {
+            format.types[typeName] = convertSchema([keyword, name], schema[keyword][name], context)
+        })
+    }
+
+    const block = convertSchema([], schema, context)
+    Object.assign(format, block)
+    context.sources.set(format, context.sources.get(block))
+
+    // Definitions that are references looping back to themselves never reach
+    // a schema; they're approximated like the schemas accepting any value
+    // (which breaks the loop for the other definitions along the way).
+    for (const name of Object.keys(format.types || {})) {
+        if (!isAliasCycle(name, collectTypes(format)))
+            continue
+
+        const [path, schema] = context.sources.get(format.types[name])
+        warn(path, `'${name}' type references itself; it was approximated with the 'string' type`, context)
+
+        format.types[name] = { type: 'string' }
+        context.sources.set(format.types[name], [path, schema])
+    }
+
+    // Named types referencing themselves without a way out of the recursion
+    // are made nullable, one at a time until none remains (or until it no
+    // longer helps).
+    var infiniteTypes = findInfiniteTypes(collectTypes(format))
+    while (infiniteTypes.length > 0) {
+        const name = infiniteTypes.find(name => format.types[name].nullable !== true)
+        if (name === undefined)
+            break
+
+        format.types[name].nullable = true
+        warn(context.sources.get(format.types[name])[0], `'${name}' type was made nullable; it's infinitely recursive`, context)
+
+        infiniteTypes = findInfiniteTypes(collectTypes(format))
+    }
+
+    // The keywords that were converted to properties that don't fit together
+    // (or with the type) are dropped. Some issues are only found once the
+    // others are fixed, so we repeat until the format is valid.
+    var errors = []
+    validateFormat(format, errors)
+    while (errors.length > 0) {
+        errors.forEach(error => dropProperty(format, error, context))
+
+        errors = []
+        validateFormat(format, errors)
+    }
+
+    return format
+}
+
+export { formatToJSONSchema, jsonSchemaToFormat }
@@ -0,0 +1,180 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { readFileSync } from "fs"
+import { LineCounter, parseDocument, isNode } from "yaml"
+import { ValidationError, ValidationWarning } from "./exceptions.js"
+import validateFormat from "./format.js"
+import assert from "./assert.js"
+
+// Translate a path as reported by validateFormat() into the list of keys that
+// leads to the corresponding node in the YAML document.
+function pathToKeys(path) {
+    var keys = []
+    path.forEach(item => {
+        if (item.startsWith('$')) {
+            keys.push('fields', item.slice(1))
+        }
+        else if (item === '[]' || item === '{}') {
+            keys.push('value')
+        }
+        else if (/^<[0-9]+>$/.test(item)) {
+            keys.push('items', Number.parseInt(item.slice(1, -1)))
+        }
+        else if (/^\([0-9]+\)$/.test(item)) {
+            keys.push('variants', Number.parseInt(item.slice(1, -1)))
+        }
+        else {
+            keys.push(item)
+        }
+    })
+
+    return keys
+}
+
+// Attach the line and column of the YAML node the error (or warning) points to.
+// If the exact node doesn't exist (a missing property for instance), we use
+// the closest parent node instead.
+function locateIssue(issue, document, lineCounter) {
+    const keys = pathToKeys(issue.path)
+
+    for (var length = keys.length; length >= 0; length--) {
+        const node = length > 0 ? document.getIn(keys.slice(0, length), true) : document.contents
+        if (isNode(node) && node.range) {
+            const position = lineCounter.linePos(node.range[0])
+            issue.line = position.line
+            issue.column = position.col
+            return
+        }
+    }
+}
+
+/**
+ * Parse a format from its YAML (or JSON) text representation and validate it.
+ *
+ * It works like validateFormat() except that it takes the raw text of the
+ * format and returns the parsed format. Errors and warnings are augmented
+ * with the 'line' and 'column' properties pointing to their location in the
+ * text.
+ *
+ * @memberof Payload
+ * @param {string} text - The YAML or JSON text of the format.
+ * @param {array} errors - If set, errors are accumulated in this array instead
+ *                         of the first one being thrown.
+ * @param {array} warnings - If set, warnings are accumulated in this array.
+ * @param {object} options - The options passed to validateFormat().
+ * @returns {object} - The parsed format.
+ */
+function parseFormat(text, errors, warnings, options) {
+    // If errors and warnings parameters are set, they must be empty array.
+    assert(
+        errors === undefined || (errors.constructor === Array && errors.length == 0),
+        "if the errors parameter is set, it must be an empty array"
+    )
+    assert(
+        warnings === undefined || (warnings.constructor === Array && warnings.length == 0),
+        "if the warnings parameter is set, it must be an empty array"
+    )
+
+    // We detect if users want lazy validation when they pass an empty array as
+    // the errors parameters.
+    var lazyValidation = false
+    if (errors === undefined) {
+        errors = []
+    }
+    else {
+        lazyValidation = true
+    }
+
+    if (warnings === undefined) {
+        warnings = []
+    }
+
+    const lineCounter = new LineCounter()
+    const document = parseDocument(text, { lineCounter, prettyErrors: false })
+
+    // Syntax errors prevent us from going further; there is no format to
+    // validate.
+    if (document.errors.length > 0) {
+        document.errors.forEach(syntaxError => {
+            const error = new ValidationError([], syntaxError.message)
+            const position = lineCounter.linePos(syntaxError.pos[0])
+            error.line = position.line
+            error.column = position.col
+            errors.push(error)
+        })
+
+        if (!lazyValidation) {
+            throw errors[0]
+        }
+
+        return
+    }
+
+    document.warnings.forEach(syntaxWarning => {
+        const warning = new ValidationWarning([], syntaxWarning.message)
+        const position = lineCounter.linePos(syntaxWarning.pos[0])
+        warning.line = position.line
+        warning.column = position.col
+        warnings.push(warning)
+    })
+
+    const format = document.toJS()
+
+    // An empty document (or a null one) has no block to validate.
+    if (format === null) {
+        const error = new ValidationError([], "value must be an object")
+        locateIssue(error, document, lineCounter)
+        errors.push(error)
+
+        if (!lazyValidation) {
+            throw errors[0]
+        }
+
+        return
+    }
+
+    var formatErrors = []
+    var formatWarnings = []
+    validateFormat(format, formatErrors, formatWarnings, options)
+
+    formatErrors.forEach(error => locateIssue(error, document, lineCounter))
+    formatWarnings.forEach(warning => locateIssue(warning, document, lineCounter))
+
+    errors.push(...formatErrors)
+    warnings.push(...formatWarnings)
+
+    // If we're not lazy-validating the format, we raise the first error that
+    // occurred, if any.
+    if (!lazyValidation && errors.length > 0) {
+        throw errors[0]
+    }
+
+    return format
+}
+
+/**
+ * Read a format from a YAML (or JSON) file and validate it.
+ *
+ * See parseFormat() for more details.
+ *
+ * @memberof Payload
+ * @param {string} path - The path of the file to read.
+ * @param {array} errors - If set, errors are accumulated in this array instead
+ *                         of the first one being thrown.
+ * @param {array} warnings - If set, warnings are accumulated in this array.
+ * @param {object} options - The options passed to validateFormat().
+ * @returns {object} - The parsed format.
+ */
+function loadFormat(path, errors, warnings, options) {
+    const text = readFileSync(path, 'utf8')
+    return parseFormat(text, errors, warnings, options)
+}
+
+export { parseFormat, loadFormat }
@@ -0,0 +1,226 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import validateFormat from "./format.js"
+import { readDecimal } from "./decimal.js"
+import { readMinimumValue, readMaximumValue, readEnumValue, readEnumDeprecation } from "./utility.js"
+import { collectTypes, resolveFormat, isReference, isOptional, isNullable, readDefault } from "./reference.js"
+import { customTypes, isCustomType } from "./registry.js"
+
+// Bounds are always in their object form; decimal bounds are written as
+// strings.
+function normalizeBound(bound, type) {
+    return {
+        value: type === 'decimal' ? readDecimal(bound.value).toString() : bound.value,
+        exclusive: bound.exclusive
+    }
+}
+
+function normalizeBounds(block, normalizedBlock) {
+    const minimum = readMinimumValue(block)
+    const maximum = readMaximumValue(block)
+
+    if (minimum !== undefined)
+        normalizedBlock.minimum = normalizeBound(minimum, block.type)
+
+    if (maximum !== undefined)
+        normalizedBlock.maximum = normalizeBound(maximum, block.type)
+}
+
+// Fixed lengths (including the objects with the same minimum and maximum) are
+// written as numbers, the other lengths in their object form with an explicit
+// minimum.
+function normalizeLength(block, normalizedBlock) {
+    if (typeof block.length === 'number') {
+        normalizedBlock.length = block.length
+    }
+    else if (block.length !== undefined && block.length.minimum !== undefined && block.length.minimum === block.length.maximum) {
+        normalizedBlock.length = block.length.minimum
+    }
+    else {
+        normalizedBlock.length = {
+            minimum: block.length !== undefined && block.length.minimum !== undefined ? block.length.minimum : 0
+        }
+
+        if (block.length !== undefined && block.length.maximum !== undefined)
+            normalizedBlock.length.maximum = block.length.maximum
+    }
+}
+
+const normalizers = {
+    flag: (block, normalizedBlock) => {},
+    number: (block, normalizedBlock) => {
+        normalizedBlock.decimal = block.decimal !== undefined ? block.decimal : true
+        normalizeBounds(block, normalizedBlock)
+    },
+    decimal: (block, normalizedBlock) => {
+        if (block.precision !== undefined)
+            normalizedBlock.precision = block.precision
+
+        if (block.scale !== undefined)
+            normalizedBlock.scale = block.scale
+
+        normalizeBounds(block, normalizedBlock)
+    },
+    string: (block, normalizedBlock) => {
+        normalizeLength(block, normalizedBlock)
+
+        if (block.pattern !== undefined)
+            normalizedBlock.pattern = block.pattern
+
+        if (block.format !== undefined)
+            normalizedBlock.format = block.format
+    },
+    date: (block, normalizedBlock) => {
+        normalizeBounds(block, normalizedBlock)
+    },
+    time: (block, normalizedBlock) => {
+        normalizeBounds(block, normalizedBlock)
+
+        // There is no explicit value for "with or without a time zone offset";
+        // the property is left out.
+        if (block.timezone !== undefined)
+            normalizedBlock.timezone = block.timezone
+    },
+    datetime: (block, normalizedBlock) => {
+        normalizers.time(block, normalizedBlock)
+    },
+    bytes: (block, normalizedBlock) => {
+        normalizedBlock.encoding = block.encoding !== undefined ? block.encoding : 'base64'
+        normalizeLength(block, normalizedBlock)
+    },
+    array: (block, normalizedBlock) => {
+        normalizedBlock.value = normalizeBlock(block.value)
+        normalizeLength(block, normalizedBlock)
+
+        // Like the 'deprecated' property, 'unique' is left out when false.
+        if (block.unique !== undefined && block.unique !== false)
+            normalizedBlock.unique = block.unique
+    },
+    set: (block, normalizedBlock) => {
+        normalizedBlock.value = normalizeBlock(block.value)
+        normalizeLength(block, normalizedBlock)
+    },
+    object: (block, normalizedBlock) => {
+        normalizedBlock.key = block.key
+        normalizedBlock.value = normalizeBlock(block.value)
+        normalizeLength(block, normalizedBlock)
+    },
+    tuple: (block, normalizedBlock) => {
+        normalizedBlock.items = block.items.map(item => normalizeBlock(item))
+    },
+    map: (block, normalizedBlock) => {
+        normalizedBlock.fields = {}
+        for (const [key, field] of Object.entries(block.fields)) {
+            normalizedBlock.fields[key] = normalizeBlock(field)
+        }
+
+        normalizedBlock.absent = block.absent !== undefined ? block.absent : 'null'
+
+        if (block.constraints !== undefined)
+            normalizedBlock.constraints = JSON.parse(JSON.stringify(block.constraints))
+    },
+    enum: (block, normalizedBlock) => {
+        // Values are written as strings unless they're deprecated.
+        normalizedBlock.values = block.values.map(value => {
+            const deprecated = readEnumDeprecation(block, readEnumValue(value))
+            return deprecated !== undefined && deprecated !== false ? { value: readEnumValue(value), deprecated } : readEnumValue(value)
+        })
+    },
+    literal: (block, normalizedBlock) => {
+        normalizedBlock.value = block.value
+    },
+    union: (block, normalizedBlock) => {
+        normalizedBlock.variants = block.variants.map(variant => normalizeBlock(variant))
+
+        if (block.discriminator !== undefined)
+            normalizedBlock.discriminator = block.discriminator
+    }
+}
+
+// Normalize a (resolved) block; the properties are always written in the same
+// order so normalized formats can also be compared once serialized.
+function normalizeBlock(block) {
+    var normalizedBlock = {
+        type: block.type
+    }
+
+    if (block.name !== undefined)
+        normalizedBlock.name = block.name
+
+    if (block.description !== undefined)
+        normalizedBlock.description = block.description
+
+    if (block.deprecated !== undefined && block.deprecated !== false)
+        normalizedBlock.deprecated = block.deprecated
+
+    // The type-specific properties of references are the ones of the named
+    // type; they're not repeated.
+    if (isCustomType(block.type)) {
+        // The properties of custom types are opaque.
+        for (const property of customTypes[block.type].properties) {
+            if (block[property] !== undefined)
+                normalizedBlock[property] = block[property]
+        }
+    }
+    else if (!isReference(block)) {
+        normalizers[block.type](block, normalizedBlock)
+    }
+
+    normalizedBlock.option = isOptional(block)
+    normalizedBlock.nullable = isNullable(block)
+
+    const defaultValue = readDefault(block)
+    if (defaultValue !== undefined)
+        normalizedBlock.default = JSON.parse(JSON.stringify(defaultValue))
+
+    return normalizedBlock
+}
+
+/**
+ * Return the canonical form of a format.
+ *
+ * Shorthand forms are expanded (bounds and lengths are written in their object
+ * form) and defaults are made explicit (the 'option' and 'nullable' properties
+ * of all blocks, the 'decimal' property of numbers, etc.) so tools can rely on
+ * a single shape and two formats can be compared structurally. References to
+ * named types are kept, with the properties they inherit from the named type.
+ *
+ * The format is validated first and a ValidationError is thrown if it isn't
+ * valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format to normalize.
+ * @param {object} options - The options passed to validateFormat().
+ * @returns {object} - The normalized format.
+ */
+function normalizeFormat(format, options) {
+    validateFormat(format, undefined, undefined, options)
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    const types = collectTypes(format, options.types)
+    var normalizedFormat = {}
+
+    if (format.types !== undefined) {
+        normalizedFormat.types = {}
+        for (const [name, block] of Object.entries(format.types)) {
+            normalizedFormat.types[name] = normalizeBlock(resolveFormat(block, types))
+        }
+    }
+
+    const { types: _, ...block } = format
+    Object.assign(normalizedFormat, normalizeBlock(resolveFormat(block, types)))
+
+    return normalizedFormat
+}
+
+export default normalizeFormat
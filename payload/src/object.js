@@ -8,7 +8,34 @@
 // Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, August 2022
 
 import { ValidationError } from "./exceptions.js"
-import { readMinimumValue, readMaximumValue, checkLength } from "./utility.js"
+import {
+    readMinimumValue,
+    readMaximumValue,
+    readPattern,
+    readEnumValues,
+    readEnumDeprecation,
+    checkDeprecation,
+    checkLength,
+    readUniqueness,
+    checkUniqueness,
+    encodeBytes,
+    findDuplicates,
+    findVariant,
+    extendPath,
+    readPath,
+    linkPath,
+    runWithoutPath,
+    checkNodeLength,
+    CONTAINER_TYPES,
+    walkNode,
+    stringifyJSON
+} from "./utility.js"
+import { parseDate, parseTime, parseDateTime, formatDate, formatTime, formatDateTime, checkTemporalValue } from "./datetime.js"
+import { readDecimal, checkDecimalValue } from "./decimal.js"
+import { stringFormats } from "./semantics.js"
+import { findViolations, checkConstraints } from "./constraint.js"
+import { collectTypes, resolveFormat, followReference, isOptional, isNullable, readDefault, readDeprecation } from "./reference.js"
+import { isCustomType } from "./registry.js"
 import assert from "./assert.js"
 
 function processFlagNode(path, node, format, errors, warnings) {
@@ -82,6 +109,21 @@ function processNumberNode(path, node, format, errors, warnings) {
     return node
 }
 
+function processDecimalNode(path, node, format, errors, warnings) {
+    // Numbers aren't accepted as they may have lost precision already.
+    const decimal = typeof node !== 'number' ? readDecimal(node) : undefined
+    if (decimal === undefined) {
+        const error = new ValidationError(path, "was expecting a decimal")
+        errors.push(error)
+        return
+    }
+
+    if (!checkDecimalValue(path, decimal, format, errors))
+        return
+
+    return decimal.normalize(format.scale).toString()
+}
+
 function processStringNode(path, node, format, errors, warnings) {
     if (typeof node !== 'string') {
         const error = new ValidationError(path, "was expecting a string")
@@ -96,12 +138,20 @@ function processStringNode(path, node, format, errors, warnings) {
     }
 
     if (format.pattern !== undefined) {
-        if (!new RegExp(format.pattern).test(node)) {
+        if (!readPattern(format).test(node)) {
             const error = new ValidationError(path, "value did not match the pattern")
             errors.push(error)
         }
     }
 
+    if (format.format !== undefined) {
+        const stringFormat = stringFormats[format.format]
+        if (!stringFormat.test(node)) {
+            const error = new ValidationError(path, `was expecting ${stringFormat.expected}`)
+            errors.push(error)
+        }
+    }
+
     if (nodeErrors.length > 0) {
         errors.push(...nodeErrors)
         return
@@ -110,9 +160,89 @@ function processStringNode(path, node, format, errors, warnings) {
     return node
 }
 
-function processArrayNode(path, node, format, errors, warnings) {
-    if (node.constructor !== Array) {
-        const error = new ValidationError(path, "was expecting an array")
+function isDate(value) {
+    return value instanceof Date && !Number.isNaN(value.getTime())
+}
+
+function isTime(value) {
+    function isInteger(value, minimum, maximum) {
+        return Number.isInteger(value) && value >= minimum && value <= maximum
+    }
+
+    return value !== null && typeof value === 'object' &&
+        isInteger(value.hour, 0, 23) &&
+        isInteger(value.minute, 0, 59) &&
+        (value.second === undefined || isInteger(value.second, 0, 59)) &&
+        (value.millisecond === undefined || isInteger(value.millisecond, 0, 999)) &&
+        (value.offset === undefined || value.offset === null || isInteger(value.offset, -1439, 1439))
+}
+
+function processDateNode(path, node, format, errors, warnings) {
+    if (!isDate(node)) {
+        const error = new ValidationError(path, "was expecting a date")
+        errors.push(error)
+        return
+    }
+
+    const text = formatDate(node)
+    const date = parseDate(text)
+    if (date === undefined) {
+        const error = new ValidationError(path, "date is out of range")
+        errors.push(error)
+        return
+    }
+
+    if (!checkTemporalValue(path, date, format, errors))
+        return
+
+    return text
+}
+
+function processTimeNode(path, node, format, errors, warnings) {
+    if (!isTime(node)) {
+        const error = new ValidationError(path, "was expecting a time")
+        errors.push(error)
+        return
+    }
+
+    const text = formatTime({
+        hour: node.hour,
+        minute: node.minute,
+        second: node.second || 0,
+        millisecond: node.millisecond || 0,
+        offset: node.offset !== undefined ? node.offset : null
+    })
+
+    if (!checkTemporalValue(path, parseTime(text), format, errors))
+        return
+
+    return text
+}
+
+function processDateTimeNode(path, node, format, errors, warnings) {
+    if (!isDate(node)) {
+        const error = new ValidationError(path, "was expecting a date")
+        errors.push(error)
+        return
+    }
+
+    const text = formatDateTime(node, format.timezone)
+    const datetime = parseDateTime(text)
+    if (datetime === undefined) {
+        const error = new ValidationError(path, "date is out of range")
+        errors.push(error)
+        return
+    }
+
+    if (!checkTemporalValue(path, datetime, format, errors))
+        return
+
+    return text
+}
+
+function processBytesNode(path, node, format, errors, warnings) {
+    if (!(node instanceof Uint8Array)) {
+        const error = new ValidationError(path, "was expecting a Uint8Array")
         errors.push(error)
         return
     }
@@ -121,94 +251,131 @@ function processArrayNode(path, node, format, errors, warnings) {
         checkLength(node.length, format.length, path, errors, warnings)
     }
 
+    return encodeBytes(node, format.encoding || 'base64')
+}
+
+function* processArrayNode(link, node, format, errors, warnings) {
+    if (node.constructor !== Array) {
+        const error = new ValidationError(readPath(link), "was expecting an array")
+        errors.push(error)
+        return
+    }
+
+    if (format.length !== undefined) {
+        runWithoutPath(checkNodeLength, link, node.length, format, errors, warnings)
+    }
+
     var adjustedNode = []
-    node.forEach((item, index) => {
-        var adjustedItem = adjustNode(path.concat(`[${index}]`), item, format.value, errors, warnings)
+    for (const [index, item] of node.entries()) {
+        var adjustedItem = yield [extendPath(link, `[${index}]`), item, format.value]
         adjustedNode.push(adjustedItem)
-    })
+    }
+
+    // Items are compared in their payload form (two Date objects of the same
+    // day are the same item for instance).
+    const unique = readUniqueness(format)
+    if (unique !== undefined) {
+        if (findDuplicates(adjustedNode, unique).length > 0)
+            checkUniqueness(adjustedNode, unique, readPath(link), errors, warnings)
+    }
 
     return adjustedNode
 }
 
-function processObjectNode(path, node, format, errors, warnings) {
+// Sets are encoded from Set objects (or arrays) to JSON arrays.
+function* processSetNode(link, node, format, errors, warnings) {
+    if (node instanceof Set) {
+        node = [...node]
+    }
+    else if (node.constructor !== Array) {
+        const error = new ValidationError(readPath(link), "was expecting a set")
+        errors.push(error)
+        return
+    }
+
+    return yield* processArrayNode(link, node, format, errors, warnings)
+}
+
+function* processObjectNode(link, node, format, errors, warnings) {
     if (node.constructor === Array || typeof node !== 'object') {
-        const error = new ValidationError(path, "was expecting an object")
+        const error = new ValidationError(readPath(link), "was expecting an object")
         errors.push(error)
         return
     }
 
     if (format.length !== undefined) {
-        checkLength(Object.keys(node).length, format.length, path, errors, warnings)
+        runWithoutPath(checkNodeLength, link, Object.keys(node).length, format, errors, warnings)
     }
 
     var adjustedNode = {}
-    Object.keys(node).forEach((itemKey, index) => {
+    for (const [index, itemKey] of Object.keys(node).entries()) {
         var nodeKey
 
         if (format.key === 'integer') {
             nodeKey = Number.parseFloat(itemKey)
             // TODO; check for NaN, parseInt() is very tolerant; find a more restrictive sol ?
             if (nodeKey === undefined || nodeKey === NaN || !Number.isInteger(nodeKey)) {
-                const error = new ValidationError(path, `key at index ${index} is invalid; expected it to be an integer`)
+                const error = new ValidationError(readPath(link), `key at index ${index} is invalid; expected it to be an integer`)
                 errors.push(error)
-                return
+                continue
             }
         }
         else if (format.key === 'string') {
             if (!/^[a-zA-Z0-9\-\_]+$/.test(itemKey)) {
-                const error = new ValidationError(path, `key at index ${index} is invalid; expected to match the pattern`)
+                const error = new ValidationError(readPath(link), `key at index ${index} is invalid; expected to match the pattern`)
                 errors.push(error)
-                return
+                continue
             }
 
             nodeKey = itemKey
         }
 
-        var adjustedValue = adjustNode(path.concat(`{${itemKey}}`), node[itemKey], format.value, errors, warnings)
+        var adjustedValue = yield [extendPath(link, `{${itemKey}}`), node[itemKey], format.value]
         adjustedNode[nodeKey] = adjustedValue
-    })
+    }
 
     return adjustedNode
 }
 
-function processTupleNode(path, node, format, errors, warnings) {
+function* processTupleNode(link, node, format, errors, warnings) {
     if (node.constructor !== Array) {
-        const error = new ValidationError(path, "was expecting an array")
+        const error = new ValidationError(readPath(link), "was expecting an array")
         errors.push(error)
         return
     }
 
     if (node.length != format.items.length) {
-        const error = new ValidationError(path, `length of the array must be ${format.items.length}`)
+        const error = new ValidationError(readPath(link), `length of the array must be ${format.items.length}`)
         errors.push(error)
         return
     }
 
     var adjustedNode = []
-    node.forEach((item, index) => {
-        var adjustedItem = adjustNode(path.concat(`<${index}>`), item, format.items[index], errors, warnings)
+    for (const [index, item] of node.entries()) {
+        var adjustedItem = yield [extendPath(link, `<${index}>`), item, format.items[index]]
         adjustedNode.push(adjustedItem)
-    })
+    }
 
     return adjustedNode
 }
 
-function processMapNode(path, node, format, errors, warnings) {
+function* processMapNode(link, node, format, errors, warnings) {
     if (node.constructor === Array || typeof node !== 'object') {
-        const error = new ValidationError(path, "was expecting an object")
+        const error = new ValidationError(readPath(link), "was expecting an object")
         errors.push(error)
         return
     }
 
     var nodeErrors = []
+    const errorCount = errors.length
 
     var adjustedNode = {}
     for (const [key, value] of Object.entries(node)) {
         if (key in format.fields) {
-            adjustedNode[key] = adjustNode(path.concat(`$${key}`), value, format.fields[key], errors, warnings)
+            adjustedNode[key] = yield [extendPath(link, `$${key}`), value, format.fields[key]]
         }
         else {
-            const error = new ValidationError(path, `'${key}' field was unexpected`)
+            const error = new ValidationError(readPath(link), `'${key}' field was unexpected`)
             errors.push(error)
         }
     }
@@ -218,13 +385,19 @@ function processMapNode(path, node, format, errors, warnings) {
     })
 
     missingKeys.forEach(key => {
-        if (format.fields[key].option === undefined || format.fields[key].option == false) {
-            const error = new ValidationError(path, `'${key}' field was missing`)
+        const defaultValue = readDefault(format.fields[key])
+
+        if (defaultValue !== undefined) {
+            // The default value is already in its payload form.
+            adjustedNode[key] = defaultValue
+        }
+        else if (!isOptional(format.fields[key])) {
+            const error = new ValidationError(readPath(link), `'${key}' field was missing`)
             errors.push(error)
         }
-        else {
+        else if (format.absent !== 'omit' && isNullable(format.fields[key])) {
             // We insert a 'null' value when the key is missing and the item is
-            // optional.
+            // optional, unless the map keeps absent fields absent.
             adjustedNode[key] = null
         }
     })
@@ -234,6 +407,13 @@ function processMapNode(path, node, format, errors, warnings) {
         return
     }
 
+    // The constraints are checked against the payload form of the fields,
+    // once the fields themselves are valid.
+    if (format.constraints !== undefined && errors.length == errorCount) {
+        if (findViolations(adjustedNode, format).length > 0)
+            checkConstraints(readPath(link), adjustedNode, format, errors, warnings)
+    }
+
     return adjustedNode
 }
 
@@ -244,48 +424,127 @@ function processEnumNode(path, node, format, errors, warnings) {
         return
     }
 
-    if (!format.values.includes(node)) {
+    if (!readEnumValues(format).includes(node)) {
         const error = new ValidationError(path, "enum value is invalid")
         errors.push(error)
         return
     }
 
+    checkDeprecation(path, readEnumDeprecation(format, node), `'${node}' enum value`, warnings)
+
+    return node
+}
+
+function processLiteralNode(path, node, format, errors, warnings) {
+    if (node !== format.value) {
+        const error = new ValidationError(path, `was expecting literal ${JSON.stringify(format.value)}`)
+        errors.push(error)
+        return
+    }
+
     return node
 }
 
+function* processUnionNode(link, node, format, errors, warnings) {
+    if (format.discriminator !== undefined) {
+        if (node === null || node.constructor === Array || typeof node !== 'object') {
+            const error = new ValidationError(readPath(link), "was expecting an object")
+            errors.push(error)
+            return
+        }
+
+        const value = node[format.discriminator]
+        if (value === undefined) {
+            const error = new ValidationError(readPath(link), `'${format.discriminator}' field was missing`)
+            errors.push(error)
+            return
+        }
+
+        const variant = findVariant(format, value)
+        if (variant === undefined) {
+            const error = new ValidationError(readPath(link).concat(`$${format.discriminator}`), "discriminator value is invalid")
+            errors.push(error)
+            return
+        }
+
+        // The node is processed as if the format was the selected variant.
+        return yield [link, node, variant]
+    }
+
+    // Without a discriminator, the first variant the node is valid against is
+    // selected.
+    for (const variant of format.variants) {
+        var variantErrors = []
+        var variantWarnings = []
+
+        const adjustedNode = walkNode(processNode, link, node, variant, variantErrors, variantWarnings)
+        if (variantErrors.length == 0) {
+            warnings.push(...variantWarnings)
+            return adjustedNode
+        }
+    }
+
+    const error = new ValidationError(readPath(link), "value did not match any variant")
+    errors.push(error)
+}
+
 const processors = {
-    flag   : processFlagNode,
-    number : processNumberNode,
-    string : processStringNode,
-    array  : processArrayNode,
-    object : processObjectNode,
-    tuple  : processTupleNode,
-    map    : processMapNode,
-    enum   : processEnumNode,
+    flag     : processFlagNode,
+    number   : processNumberNode,
+    decimal  : processDecimalNode,
+    string   : processStringNode,
+    date     : processDateNode,
+    time     : processTimeNode,
+    datetime : processDateTimeNode,
+    bytes    : processBytesNode,
+    array    : processArrayNode,
+    set      : processSetNode,
+    object   : processObjectNode,
+    tuple    : processTupleNode,
+    map      : processMapNode,
+    enum     : processEnumNode,
+    literal  : processLiteralNode,
+    union    : processUnionNode,
 }
 
-function adjustNode(path, node, format, errors, warnings) {
-    // We accept a null value if the type is marked as optional.
-    var optional = false
-    if (format.option !== undefined)
-        optional = format.option
+// The node is given with its linked path (see extendPath()); the path is only
+// read when an issue is reported.
+function processNode(link, node, format, errors, warnings) {
+    const deprecated = readDeprecation(format)
+    if (deprecated !== undefined && deprecated !== false) {
+        checkDeprecation(readPath(link), deprecated, "value", warnings)
+    }
 
-    if (optional && node === null)
+    // We accept a null value if the type is marked as nullable (which, unless
+    // specified, is when it's marked as optional).
+    if (isNullable(format) && node === null)
         return null
 
-    return processors[format.type](path, node, format, errors, warnings)
+    // References to named types are processed with the block of the named
+    // type.
+    format = followReference(format)
+
+    // The processors of container types are driven by walkNode() and take
+    // the linked path, the processors of scalar types are first called without
+    // path, and the processors of custom types are always given the path.
+    const process = processors[format.type]
+    if (CONTAINER_TYPES.includes(format.type))
+        return process(link, node, format, errors, warnings)
+
+    if (isCustomType(format.type))
+        return process(readPath(link), node, format, errors, warnings)
+
+    return runWithoutPath(process, link, node, format, errors, warnings)
 }
 
-/**
- * To be written.
- * @memberof Payload
- * @param {object} object - To be written.
- * @param {object} format - To be written.
- * @param {array} errors - To be written.
- * @param {array} warnings - To be written.
- * @returns {object} - To be written.
- */
-function objectToPayload(object, format, errors, warnings) {
+function adjustNode(path, node, format, errors, warnings) {
+    return walkNode(processNode, linkPath(path), node, format, errors, warnings)
+}
+
+// Same as objectToPayload() except that the format is expected to be resolved
+// already; the function adjusting the nodes can be replaced (see
+// compileFormat()).
+function encodeObject(object, format, errors, warnings, adjust) {
     // If errors and warnings parameters are set, they must be empty array.
     assert(
         errors === undefined || (errors.constructor === Array && errors.length == 0),
@@ -310,8 +569,24 @@ function objectToPayload(object, format, errors, warnings) {
         warnings = []
     }
 
-    const payload = adjustNode([], object, format, errors, warnings)
-    const dumpedPayload = JSON.stringify(payload)
+    if (adjust === undefined) {
+        adjust = adjustNode
+    }
+
+    const payload = adjust([], object, format, errors, warnings)
+
+    var dumpedPayload
+    try {
+        dumpedPayload = JSON.stringify(payload)
+    }
+    catch (error) {
+        // JSON.stringify() is recursive and can't handle deeply nested
+        // payloads; we fall back to our iterative implementation.
+        if (!(error instanceof RangeError))
+            throw error
+
+        dumpedPayload = stringifyJSON(payload)
+    }
 
     // If we're not lazy-validating, we raise the first error that occurred, if
     // any.
@@ -322,4 +597,24 @@ function objectToPayload(object, format, errors, warnings) {
     return dumpedPayload
 }
 
+/**
+ * To be written.
+ * @memberof Payload
+ * @param {object} object - To be written.
+ * @param {object} format - To be written.
+ * @param {array} errors - To be written.
+ * @param {array} warnings - To be written.
+ * @param {object} options - The 'types' option provides external named types.
+ * @returns {object} - To be written.
+ */
+function objectToPayload(object, format, errors, warnings, options) {
+    if (options === undefined) {
+        options = {}
+    }
+
+    format = resolveFormat(format, collectTypes(format, options.types))
+    return encodeObject(object, format, errors, warnings)
+}
+
+export { processors, adjustNode, encodeObject }
 export default objectToPayload
\ No newline at end of file
@@ -0,0 +1,331 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+// The patterns of the 'string' type are parsed into a tree of nodes; it's used
+// to produce matching strings and to know the lengths of the strings they can
+// match. The patterns are expected to be valid regular expressions.
+//
+// The nodes are literals, character classes, sequences, alternations and
+// repeats; anchors (including word boundaries), lookarounds and
+// backreferences have nodes of their own but their content isn't parsed.
+// Escapes that aren't supported produce unknown nodes; like backreferences,
+// the text they match is unknown.
+//
+// The patterns are compiled without the 'u' flag, so '\u{41}' is the 'u'
+// character repeated 41 times, like the RegExp object does.
+
+const PRINTABLE = [[32, 126]]
+const DIGIT = [[48, 57]]
+const WORD = [[48, 57], [65, 90], [95, 95], [97, 122]]
+const SPACE = [[9, 13], [32, 32]]
+
+const classEscapes = {
+    d: { ranges: DIGIT, negated: false },
+    D: { ranges: DIGIT, negated: true },
+    w: { ranges: WORD, negated: false },
+    W: { ranges: WORD, negated: true },
+    s: { ranges: SPACE, negated: false },
+    S: { ranges: SPACE, negated: true }
+}
+
+const characterEscapes = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    f: '\f',
+    v: '\v'
+}
+
+function isInRanges(code, ranges) {
+    return ranges.some(([minimum, maximum]) => code >= minimum && code <= maximum)
+}
+
+// Return the printable characters that aren't in the ranges.
+function complementRanges(ranges) {
+    var complement = []
+    for (var code = 32; code <= 126; code++) {
+        if (!isInRanges(code, ranges)) {
+            complement.push([code, code])
+        }
+    }
+
+    return complement
+}
+
+class PatternParser {
+    constructor(pattern) {
+        this.pattern = pattern
+        this.index = 0
+    }
+
+    peek() {
+        return this.pattern[this.index]
+    }
+
+    next() {
+        return this.pattern[this.index++]
+    }
+
+    parseAlternation() {
+        var options = [this.parseSequence()]
+        while (this.peek() === '|') {
+            this.next()
+            options.push(this.parseSequence())
+        }
+
+        return options.length == 1 ? options[0] : { kind: 'alternation', options }
+    }
+
+    parseSequence() {
+        var items = []
+        while (this.index < this.pattern.length && this.peek() !== '|' && this.peek() !== ')') {
+            items.push(this.parseQuantifier(this.parseAtom()))
+        }
+
+        return { kind: 'sequence', items }
+    }
+
+    parseQuantifier(node) {
+        var minimum, maximum
+
+        const character = this.peek()
+        if (character === '*') {
+            [minimum, maximum] = [0, undefined]
+        }
+        else if (character === '+') {
+            [minimum, maximum] = [1, undefined]
+        }
+        else if (character === '?') {
+            [minimum, maximum] = [0, 1]
+        }
+        else if (character === '{') {
+            const match = /^\{([0-9]+)(?:(,)([0-9]*))?\}/.exec(this.pattern.slice(this.index))
+            if (match === null)
+                return node
+
+            minimum = Number(match[1])
+            maximum = match[2] === undefined ? minimum : (match[3] === '' ? undefined : Number(match[3]))
+            this.index += match[0].length - 1
+        }
+        else {
+            return node
+        }
+
+        this.next()
+
+        // Lazy quantifiers match the same strings.
+        if (this.peek() === '?') {
+            this.next()
+        }
+
+        return this.parseQuantifier({ kind: 'repeat', node, minimum, maximum })
+    }
+
+    parseAtom() {
+        const character = this.next()
+
+        if (character === '(') {
+            var lookaround = false
+            if (this.pattern.startsWith('?:', this.index)) {
+                this.index += 2
+            }
+            else if (/^\?<?[=!]/.test(this.pattern.slice(this.index))) {
+                this.index += this.pattern[this.index + 1] === '<' ? 3 : 2
+                lookaround = true
+            }
+            else if (this.pattern.startsWith('?<', this.index)) {
+                this.index = this.pattern.indexOf('>', this.index) + 1
+            }
+
+            const node = this.parseAlternation()
+            this.next()
+
+            return lookaround ? { kind: 'lookaround' } : node
+        }
+        else if (character === '[') {
+            return this.parseClass()
+        }
+        else if (character === '.') {
+            return { kind: 'class', ranges: [[10, 10], [13, 13]], negated: true }
+        }
+        else if (character === '^' || character === '$') {
+            return { kind: 'anchor', value: character }
+        }
+        else if (character === '\\') {
+            return this.parseEscape(false)
+        }
+
+        return { kind: 'literal', value: character }
+    }
+
+    parseEscape(inClass) {
+        const character = this.next()
+
+        if (character in classEscapes) {
+            return { kind: 'class', ...classEscapes[character] }
+        }
+        else if (character === '0' && !/[0-9]/.test(this.peek())) {
+            return { kind: 'literal', value: '\0' }
+        }
+        else if (character in characterEscapes) {
+            return { kind: 'literal', value: characterEscapes[character] }
+        }
+        else if (character === 'x' || character === 'u') {
+            const match = (character === 'x' ? /^[0-9a-fA-F]{2}/ : /^[0-9a-fA-F]{4}/).exec(this.pattern.slice(this.index))
+            if (match !== null) {
+                this.index += match[0].length
+                return { kind: 'literal', value: String.fromCharCode(Number.parseInt(match[0], 16)) }
+            }
+
+            // Without the 'u' flag, it's the character itself.
+            return { kind: 'literal', value: character }
+        }
+        else if (character === 'c' && this.peek() !== undefined && /[a-zA-Z]/.test(this.peek())) {
+            return { kind: 'literal', value: String.fromCharCode(this.next().charCodeAt(0) % 32) }
+        }
+        else if (inClass && character === 'b') {
+            return { kind: 'literal', value: '\b' }
+        }
+        else if (!inClass && /[bB]/.test(character)) {
+            return { kind: 'anchor', value: character }
+        }
+        else if (!inClass && /[0-9]/.test(character)) {
+            // Numbered backreferences (or octal escapes when there are fewer
+            // groups).
+            while (/[0-9]/.test(this.peek())) {
+                this.next()
+            }
+
+            return { kind: 'backreference' }
+        }
+        else if (!inClass && character === 'k' && this.peek() === '<' && this.pattern.includes('>', this.index)) {
+            this.index = this.pattern.indexOf('>', this.index) + 1
+            return { kind: 'backreference' }
+        }
+        else if (character === undefined || /[a-zA-Z0-9]/.test(character)) {
+            return { kind: 'unknown' }
+        }
+
+        return { kind: 'literal', value: character }
+    }
+
+    parseClass() {
+        var negated = false
+        if (this.peek() === '^') {
+            this.next()
+            negated = true
+        }
+
+        var ranges = []
+        while (this.index < this.pattern.length && this.peek() !== ']') {
+            const first = this.next() === '\\' ? this.parseEscape(true) : { kind: 'literal', value: this.pattern[this.index - 1] }
+            if (first.kind === 'class') {
+                ranges.push(...(first.negated ? complementRanges(first.ranges) : first.ranges))
+                continue
+            }
+            else if (first.kind === 'unknown') {
+                // The characters it matches are unknown; the class still
+                // matches a single character.
+                continue
+            }
+
+            if (this.peek() === '-' && this.pattern[this.index + 1] !== ']' && this.index + 1 < this.pattern.length) {
+                this.next()
+                const last = this.next() === '\\' ? this.parseEscape(true) : { kind: 'literal', value: this.pattern[this.index - 1] }
+                if (last.kind === 'literal') {
+                    ranges.push([first.value.codePointAt(0), last.value.codePointAt(0)])
+                    continue
+                }
+                else if (last.kind === 'unknown') {
+                    ranges.push([first.value.codePointAt(0), first.value.codePointAt(0)], [45, 45])
+                    continue
+                }
+
+                ranges.push([first.value.codePointAt(0), first.value.codePointAt(0)], [45, 45], ...last.ranges)
+                continue
+            }
+
+            ranges.push([first.value.codePointAt(0), first.value.codePointAt(0)])
+        }
+
+        this.next()
+        return { kind: 'class', ranges, negated }
+    }
+}
+
+function parsePattern(pattern) {
+    return new PatternParser(pattern).parseAlternation()
+}
+
+// Return the minimum and maximum lengths of the text matched by a node; the
+// maximum is Infinity if it isn't bounded. The text matched by backreferences
+// and unknown nodes is unknown.
+function measureNode(node) {
+    if (node.kind === 'literal') {
+        return { minimum: node.value.length, maximum: node.value.length }
+    }
+    else if (node.kind === 'class') {
+        return { minimum: 1, maximum: 1 }
+    }
+    else if (node.kind === 'sequence') {
+        return node.items.map(measureNode).reduce((sum, length) => ({
+            minimum: sum.minimum + length.minimum,
+            maximum: sum.maximum + length.maximum
+        }), { minimum: 0, maximum: 0 })
+    }
+    else if (node.kind === 'alternation') {
+        const lengths = node.options.map(measureNode)
+        return {
+            minimum: Math.min(...lengths.map(length => length.minimum)),
+            maximum: Math.max(...lengths.map(length => length.maximum))
+        }
+    }
+    else if (node.kind === 'repeat') {
+        const length = measureNode(node.node)
+        return {
+            minimum: node.minimum * length.minimum,
+            maximum: node.maximum === 0 || length.maximum === 0 ? 0 : (node.maximum === undefined ? Infinity : node.maximum * length.maximum)
+        }
+    }
+    else if (node.kind === 'backreference' || node.kind === 'unknown') {
+        return { minimum: 0, maximum: Infinity }
+    }
+
+    return { minimum: 0, maximum: 0 }
+}
+
+function isAnchor(node, value) {
+    return node !== undefined && node.kind === 'anchor' && node.value === value
+}
+
+/**
+ * Return the ranges of lengths of the strings matched by a pattern (which is
+ * expected to be valid), as a list of { minimum, maximum } objects; the maximum
+ * is Infinity if it isn't bounded.
+ *
+ * Patterns match any string containing a match unless they're anchored at
+ * both ends; this is taken into account.
+ */
+function measurePattern(pattern) {
+    const tree = parsePattern(pattern)
+    const options = tree.kind === 'alternation' ? tree.options : [tree]
+
+    return options.map(option => {
+        const length = measureNode(option)
+        const items = option.kind === 'sequence' ? option.items : [option]
+        const anchored = isAnchor(items[0], '^') && isAnchor(items[items.length - 1], '$')
+
+        return {
+            minimum: length.minimum,
+            maximum: anchored ? length.maximum : Infinity
+        }
+    })
+}
+
+export { PRINTABLE, complementRanges, parsePattern, measurePattern }
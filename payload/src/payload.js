@@ -8,7 +8,34 @@
 // Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, August 2022
 
 import { ValidationError } from "./exceptions.js"
-import { readMinimumValue, readMaximumValue, checkLength } from "./utility.js"
+import {
+    readMinimumValue,
+    readMaximumValue,
+    readPattern,
+    readEnumValues,
+    readEnumDeprecation,
+    checkDeprecation,
+    checkLength,
+    readUniqueness,
+    checkUniqueness,
+    decodeBytes,
+    findDuplicates,
+    findVariant,
+    extendPath,
+    readPath,
+    linkPath,
+    runWithoutPath,
+    checkNodeLength,
+    CONTAINER_TYPES,
+    walkNode
+} from "./utility.js"
+import { parseDate, parseTime, parseDateTime, checkTemporalValue } from "./datetime.js"
+import { Decimal, checkDecimalValue } from "./decimal.js"
+import { stringFormats } from "./semantics.js"
+import { readFieldValues, findViolations, checkConstraints } from "./constraint.js"
+import { collectTypes, resolveFormat, followReference, isOptional, isNullable, readDefault, readDeprecation } from "./reference.js"
+import { adjustNode as encodeNode } from "./object.js"
+import { isCustomType } from "./registry.js"
 import assert from "./assert.js"
 
 function processFlagNode(path, node, format, errors, warnings) {
@@ -82,6 +109,27 @@ function processNumberNode(path, node, format, errors, warnings) {
     return node
 }
 
+function processDecimalNode(path, node, format, errors, warnings) {
+    // Decimal numbers are carried as strings to not lose precision.
+    if (typeof node !== 'string') {
+        const error = new ValidationError(path, "was expecting a JSON string")
+        errors.push(error)
+        return
+    }
+
+    const decimal = Decimal.parse(node)
+    if (decimal === undefined) {
+        const error = new ValidationError(path, "was expecting a decimal number")
+        errors.push(error)
+        return
+    }
+
+    if (!checkDecimalValue(path, decimal, format, errors))
+        return
+
+    return decimal.normalize(format.scale)
+}
+
 function processStringNode(path, node, format, errors, warnings) {
     if (typeof node !== 'string') {
         const error = new ValidationError(path, "was expecting a JSON string")
@@ -96,12 +144,20 @@ function processStringNode(path, node, format, errors, warnings) {
     }
 
     if (format.pattern !== undefined) {
-        if (!new RegExp(format.pattern).test(node)) {
+        if (!readPattern(format).test(node)) {
             const error = new ValidationError(path, "value did not match the pattern")
             errors.push(error)
         }
     }
 
+    if (format.format !== undefined) {
+        const stringFormat = stringFormats[format.format]
+        if (!stringFormat.test(node)) {
+            const error = new ValidationError(path, `was expecting ${stringFormat.expected}`)
+            errors.push(error)
+        }
+    }
+
     if (nodeErrors.length > 0) {
         errors.push(...nodeErrors)
         return
@@ -110,105 +166,218 @@ function processStringNode(path, node, format, errors, warnings) {
     return node
 }
 
-function processArrayNode(path, node, format, errors, warnings) {
+function processDateNode(path, node, format, errors, warnings) {
+    if (typeof node !== 'string') {
+        const error = new ValidationError(path, "was expecting a JSON string")
+        errors.push(error)
+        return
+    }
+
+    const date = parseDate(node)
+    if (date === undefined) {
+        const error = new ValidationError(path, "was expecting an ISO-8601 date")
+        errors.push(error)
+        return
+    }
+
+    if (!checkTemporalValue(path, date, format, errors))
+        return
+
+    return new Date(date.value)
+}
+
+function processTimeNode(path, node, format, errors, warnings) {
+    if (typeof node !== 'string') {
+        const error = new ValidationError(path, "was expecting a JSON string")
+        errors.push(error)
+        return
+    }
+
+    const time = parseTime(node)
+    if (time === undefined) {
+        const error = new ValidationError(path, "was expecting an ISO-8601 time")
+        errors.push(error)
+        return
+    }
+
+    if (!checkTemporalValue(path, time, format, errors))
+        return
+
+    // There is no standard type for times; we return them as a plain object
+    // (the offset of the time zone is in minutes, or null if unspecified).
+    return {
+        hour: time.hour,
+        minute: time.minute,
+        second: time.second,
+        millisecond: time.millisecond,
+        offset: time.offset
+    }
+}
+
+function processDateTimeNode(path, node, format, errors, warnings) {
+    if (typeof node !== 'string') {
+        const error = new ValidationError(path, "was expecting a JSON string")
+        errors.push(error)
+        return
+    }
+
+    const datetime = parseDateTime(node)
+    if (datetime === undefined) {
+        const error = new ValidationError(path, "was expecting an ISO-8601 datetime")
+        errors.push(error)
+        return
+    }
+
+    if (!checkTemporalValue(path, datetime, format, errors))
+        return
+
+    return new Date(datetime.value)
+}
+
+function processBytesNode(path, node, format, errors, warnings) {
+    if (typeof node !== 'string') {
+        const error = new ValidationError(path, "was expecting a JSON string")
+        errors.push(error)
+        return
+    }
+
+    const encoding = format.encoding || 'base64'
+    const bytes = decodeBytes(node, encoding)
+    if (bytes === undefined) {
+        const error = new ValidationError(path, `was expecting ${encoding} encoded data`)
+        errors.push(error)
+        return
+    }
+
+    if (format.length !== undefined) {
+        checkLength(bytes.length, format.length, path, errors, warnings)
+    }
+
+    return bytes
+}
+
+// Return the payload form of the adjusted items of an array, as they would be
+// encoded; equal values written differently in the payload (like the "1.0"
+// and "1" decimals) have the same form. The items that couldn't be adjusted
+// are left undefined.
+function readPayloadItems(adjustedNode, format) {
+    return adjustedNode.map(item => item !== undefined ? encodeNode([], item, format.value, [], []) : undefined)
+}
+
+function* processArrayNode(link, node, format, errors, warnings) {
     if (node.constructor !== Array) {
-        const error = new ValidationError(path, "was expecting a JSON array")
+        const error = new ValidationError(readPath(link), "was expecting a JSON array")
         errors.push(error)
         return
     }
 
     if (format.length !== undefined) {
-        checkLength(node.length, format.length, path, errors, warnings)
+        runWithoutPath(checkNodeLength, link, node.length, format, errors, warnings)
     }
 
     var adjustedNode = []
-    node.forEach((item, index) => {
-        var adjustedItem = adjustNode(path.concat(`[${index}]`), item, format.value, errors, warnings)
+    for (const [index, item] of node.entries()) {
+        var adjustedItem = yield [extendPath(link, `[${index}]`), item, format.value]
         adjustedNode.push(adjustedItem)
-    })
+    }
+
+    // Items are compared in their payload form, once adjusted.
+    const unique = readUniqueness(format)
+    if (unique !== undefined) {
+        const items = readPayloadItems(adjustedNode, format)
+        if (findDuplicates(items, unique).length > 0)
+            checkUniqueness(items, unique, readPath(link), errors, warnings)
+    }
 
     return adjustedNode
 }
 
-function processObjectNode(path, node, format, errors, warnings) {
+// Sets are JSON arrays whose items are unique; they're decoded to Set objects.
+function* processSetNode(link, node, format, errors, warnings) {
+    const adjustedNode = yield* processArrayNode(link, node, format, errors, warnings)
+    return adjustedNode !== undefined ? new Set(adjustedNode) : undefined
+}
+
+function* processObjectNode(link, node, format, errors, warnings) {
     if (node.constructor === Array || typeof node !== 'object') {
-        const error = new ValidationError(path, "was expecting a JSON object")
+        const error = new ValidationError(readPath(link), "was expecting a JSON object")
         errors.push(error)
         return
     }
 
     if (format.length !== undefined) {
-        checkLength(Object.keys(node).length, format.length, path, errors, warnings)
+        runWithoutPath(checkNodeLength, link, Object.keys(node).length, format, errors, warnings)
     }
 
     var adjustedNode = {}
-    Object.keys(node).forEach((itemKey, index) => {
+    for (const [index, itemKey] of Object.keys(node).entries()) {
         var nodeKey
 
         if (format.key === 'integer') {
             nodeKey = Number.parseFloat(itemKey)
             // TODO; check for NaN, parseInt() is very tolerant; find a more restrictive sol ?
             if (nodeKey === undefined || nodeKey === NaN || !Number.isInteger(nodeKey)) {
-                const error = new ValidationError(path, `key at index ${index} is invalid; expected it to be an integer`)
+                const error = new ValidationError(readPath(link), `key at index ${index} is invalid; expected it to be an integer`)
                 errors.push(error)
-                return
+                continue
             }
         }
         else if (format.key === 'string') {
             if (!/^[a-zA-Z0-9\-\_]+$/.test(itemKey)) {
-                const error = new ValidationError(path, `key at index ${index} is invalid; expected to match the pattern`)
+                const error = new ValidationError(readPath(link), `key at index ${index} is invalid; expected to match the pattern`)
                 errors.push(error)
-                return
+                continue
             }
 
             nodeKey = itemKey
         }
 
-        var adjustedValue = adjustNode(path.concat(`{${itemKey}}`), node[itemKey], format.value, errors, warnings)
+        var adjustedValue = yield [extendPath(link, `{${itemKey}}`), node[itemKey], format.value]
         adjustedNode[nodeKey] = adjustedValue
-    })
+    }
 
     return adjustedNode
 }
 
-function processTupleNode(path, node, format, errors, warnings) {
+function* processTupleNode(link, node, format, errors, warnings) {
     if (node.constructor !== Array) {
-        const error = new ValidationError(path, "was expecting a JSON array")
+        const error = new ValidationError(readPath(link), "was expecting a JSON array")
         errors.push(error)
         return
     }
 
     if (node.length != format.items.length) {
-        const error = new ValidationError(path, `length of the array must be ${format.items.length}`)
+        const error = new ValidationError(readPath(link), `length of the array must be ${format.items.length}`)
         errors.push(error)
         return
     }
 
     var adjustedNode = []
-    node.forEach((item, index) => {
-        var adjustedItem = adjustNode(path.concat(`<${index}>`), item, format.items[index], errors, warnings)
+    for (const [index, item] of node.entries()) {
+        var adjustedItem = yield [extendPath(link, `<${index}>`), item, format.items[index]]
         adjustedNode.push(adjustedItem)
-    })
+    }
 
     return adjustedNode
 }
 
-function processMapNode(path, node, format, errors, warnings) {
+function* processMapNode(link, node, format, errors, warnings) {
     if (node.constructor === Array || typeof node !== 'object') {
-        const error = new ValidationError(path, "was expecting a JSON object")
+        const error = new ValidationError(readPath(link), "was expecting a JSON object")
         errors.push(error)
         return
     }
 
     var nodeErrors = []
+    const errorCount = errors.length
 
     var adjustedNode = {}
     for (const [key, value] of Object.entries(node)) {
         if (key in format.fields) {
-            adjustedNode[key] = adjustNode(path.concat(`$${key}`), value, format.fields[key], errors, warnings)
+            adjustedNode[key] = yield [extendPath(link, `$${key}`), value, format.fields[key]]
         }
         else {
-            const error = new ValidationError(path, `'${key}' field was unexpected`)
+            const error = new ValidationError(readPath(link), `'${key}' field was unexpected`)
             errors.push(error)
         }
     }
@@ -217,23 +386,39 @@ function processMapNode(path, node, format, errors, warnings) {
         return !(key in adjustedNode)
     })
 
-    missingKeys.forEach(key => {
-        if (format.fields[key].option === undefined || format.fields[key].option == false) {
-            const error = new ValidationError(path, `'${key}' field was missing`)
+    for (const key of missingKeys) {
+        const defaultValue = readDefault(format.fields[key])
+
+        if (defaultValue !== undefined) {
+            // The default value is written in its payload form; it's adjusted
+            // like any other value, except it isn't part of the payload so it
+            // doesn't report deprecated items.
+            adjustedNode[key] = walkNode(processNode, extendPath(link, `$${key}`), defaultValue, format.fields[key], errors, [])
+        }
+        else if (!isOptional(format.fields[key])) {
+            const error = new ValidationError(readPath(link), `'${key}' field was missing`)
             errors.push(error)
         }
-        else {
+        else if (format.absent !== 'omit' && isNullable(format.fields[key])) {
             // We insert a 'null' value when the key is missing and the item is
-            // optional.
+            // optional, unless the map keeps absent fields absent.
             adjustedNode[key] = null
         }
-    })
+    }
 
     if (nodeErrors.length > 0) {
         errors.push(...nodeErrors)
         return
     }
 
+    // The constraints are checked against the payload form of the fields
+    // (with the default values), once the fields themselves are valid.
+    if (format.constraints !== undefined && errors.length == errorCount) {
+        const values = readFieldValues(node, format)
+        if (findViolations(values, format).length > 0)
+            checkConstraints(readPath(link), values, format, errors, warnings)
+    }
+
     return adjustedNode
 }
 
@@ -244,49 +429,127 @@ function processEnumNode(path, node, format, errors, warnings) {
         return
     }
 
-    if (!format.values.includes(node)) {
+    if (!readEnumValues(format).includes(node)) {
         const error = new ValidationError(path, "enum value is invalid")
         errors.push(error)
         return
     }
 
+    checkDeprecation(path, readEnumDeprecation(format, node), `'${node}' enum value`, warnings)
+
     return node
 }
 
+function processLiteralNode(path, node, format, errors, warnings) {
+    if (node !== format.value) {
+        const error = new ValidationError(path, `was expecting literal ${JSON.stringify(format.value)}`)
+        errors.push(error)
+        return
+    }
+
+    return node
+}
+
+function* processUnionNode(link, node, format, errors, warnings) {
+    if (format.discriminator !== undefined) {
+        if (node === null || node.constructor === Array || typeof node !== 'object') {
+            const error = new ValidationError(readPath(link), "was expecting a JSON object")
+            errors.push(error)
+            return
+        }
+
+        const value = node[format.discriminator]
+        if (value === undefined) {
+            const error = new ValidationError(readPath(link), `'${format.discriminator}' field was missing`)
+            errors.push(error)
+            return
+        }
+
+        const variant = findVariant(format, value)
+        if (variant === undefined) {
+            const error = new ValidationError(readPath(link).concat(`$${format.discriminator}`), "discriminator value is invalid")
+            errors.push(error)
+            return
+        }
+
+        // The node is processed as if the format was the selected variant.
+        return yield [link, node, variant]
+    }
+
+    // Without a discriminator, the first variant the node is valid against is
+    // selected.
+    for (const variant of format.variants) {
+        var variantErrors = []
+        var variantWarnings = []
+
+        const adjustedNode = walkNode(processNode, link, node, variant, variantErrors, variantWarnings)
+        if (variantErrors.length == 0) {
+            warnings.push(...variantWarnings)
+            return adjustedNode
+        }
+    }
+
+    const error = new ValidationError(readPath(link), "value did not match any variant")
+    errors.push(error)
+}
+
 const processors = {
-    flag   : processFlagNode,
-    number : processNumberNode,
-    string : processStringNode,
-    array  : processArrayNode,
-    object : processObjectNode,
-    tuple  : processTupleNode,
-    map    : processMapNode,
-    enum   : processEnumNode,
+    flag     : processFlagNode,
+    number   : processNumberNode,
+    decimal  : processDecimalNode,
+    string   : processStringNode,
+    date     : processDateNode,
+    time     : processTimeNode,
+    datetime : processDateTimeNode,
+    bytes    : processBytesNode,
+    array    : processArrayNode,
+    set      : processSetNode,
+    object   : processObjectNode,
+    tuple    : processTupleNode,
+    map      : processMapNode,
+    enum     : processEnumNode,
+    literal  : processLiteralNode,
+    union    : processUnionNode,
 }
 
-function adjustNode(path, node, format, errors, warnings) {
-    // We accept a null value is the type is marked as optional.
-    var optional = false
-    if (format.option !== undefined)
-        optional = format.option
+// The node is given with its linked path (see extendPath()); the path is only
+// read when an issue is reported.
+function processNode(link, node, format, errors, warnings) {
+    const deprecated = readDeprecation(format)
+    if (deprecated !== undefined && deprecated !== false) {
+        checkDeprecation(readPath(link), deprecated, "value", warnings)
+    }
 
-    if (optional && node === null)
+    // We accept a null value if the type is marked as nullable (which, unless
+    // specified, is when it's marked as optional).
+    if (isNullable(format) && node === null)
         return null
 
-    return processors[format.type](path, node, format, errors, warnings)
+    // References to named types are processed with the block of the named
+    // type.
+    format = followReference(format)
+
+    // The processors of container types are driven by walkNode() and take
+    // the linked path, the processors of scalar types are first called without
+    // path, and the processors of custom types are always given the path.
+    const process = processors[format.type]
+    if (CONTAINER_TYPES.includes(format.type))
+        return process(link, node, format, errors, warnings)
+
+    if (isCustomType(format.type))
+        return process(readPath(link), node, format, errors, warnings)
+
+    return runWithoutPath(process, link, node, format, errors, warnings)
 }
 
-/**
- * To be written.
- *
- * @memberof Payload
- * @param {object} payload - To be written.
- * @param {object} format - To be written.
- * @param {array} errors - To be written.
- * @param {array} warnings - To be written.
- * @returns {object} - To be written.
- */
-function payloadToObject(payload, format, errors, warnings) {
+function adjustNode(path, node, format, errors, warnings) {
+    return walkNode(processNode, linkPath(path), node, format, errors, warnings)
+}
+
+// Same as payloadToObject() except that the format is expected to be resolved
+// already; the function adjusting the nodes can be replaced (see
+// compileFormat()).
+function decodePayload(payload, format, errors, warnings, adjust) {
     // If errors and warnings parameters are set, they must be empty array.
     assert(
         errors === undefined || (errors.constructor === Array && errors.length == 0),
@@ -312,7 +575,11 @@ function payloadToObject(payload, format, errors, warnings) {
     }
 
     const object = JSON.parse(payload)
-    const adjustedObject = adjustNode([], object, format, errors, warnings)
+    if (adjust === undefined) {
+        adjust = adjustNode
+    }
+
+    const adjustedObject = adjust([], object, format, errors, warnings)
 
     // If we're not lazy-validating, we raise the first error that occurred, if
     // any.
@@ -323,4 +590,25 @@ function payloadToObject(payload, format, errors, warnings) {
     return adjustedObject
 }
 
+/**
+ * To be written.
+ *
+ * @memberof Payload
+ * @param {object} payload - To be written.
+ * @param {object} format - To be written.
+ * @param {array} errors - To be written.
+ * @param {array} warnings - To be written.
+ * @param {object} options - The 'types' option provides external named types.
+ * @returns {object} - To be written.
+ */
+function payloadToObject(payload, format, errors, warnings, options) {
+    if (options === undefined) {
+        options = {}
+    }
+
+    format = resolveFormat(format, collectTypes(format, options.types))
+    return decodePayload(payload, format, errors, warnings)
+}
+
+export { processors, adjustNode, readPayloadItems, decodePayload }
 export default payloadToObject
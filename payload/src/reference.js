@@ -0,0 +1,454 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+// A block whose 'type' is the name of a named type (declared in the 'types'
+// property of the root block, or passed by the user) is a reference to that
+// named type. Formats are resolved into a copy where references are linked to
+// their target with the following (private) property. A 'null' target means
+// the name is ambiguous.
+const TARGET = Symbol('target')
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && value.constructor !== Array
+}
+
+function hasType(types, name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(types, name)
+}
+
+function addTypes(table, types) {
+    if (!isObject(types))
+        return
+
+    for (const [name, block] of Object.entries(types)) {
+        if (hasType(table, name) && table[name] !== block) {
+            // The name is declared more than once; it can't be referenced.
+            table[name] = null
+        }
+        else {
+            table[name] = block
+        }
+    }
+}
+
+// Build the table of named types that can be referenced from a format; the
+// types declared by the format itself and the ones passed by the user (either
+// an object or an array of objects, typically the 'types' property of other
+// formats).
+function collectTypes(format, externalTypes) {
+    var table = {}
+
+    if (externalTypes !== undefined) {
+        if (externalTypes.constructor === Array) {
+            externalTypes.forEach(types => addTypes(table, types))
+        }
+        else {
+            addTypes(table, externalTypes)
+        }
+    }
+
+    if (isObject(format)) {
+        addTypes(table, format.types)
+    }
+
+    return table
+}
+
+// A map can be composed from the maps declared as named types; it extends them
+// (it inherits their fields), possibly picks or omits some of the inherited
+// fields and overrides others, then adds its own fields. Maps are composed
+// when the format is resolved so they behave exactly like maps whose fields
+// are written by hand. The composition (and the issues found along the way)
+// is kept with the following (private) property so validateFormat() can
+// report them.
+const COMPOSITION = Symbol('composition')
+
+function isComposedMap(block) {
+    return block.type === 'map' && ['extends', 'pick', 'omit', 'overrides'].some(property => block[property] !== undefined)
+}
+
+function isArrayOfStrings(value) {
+    return value !== null && typeof value === 'object' && value.constructor === Array && value.every(item => typeof item === 'string')
+}
+
+// Return the fields of a composed map (unresolved), the keys of the inherited
+// fields that aren't overridden, the issues of the composition (as [path,
+// message] pairs) and whether a map extends itself along the way. The blocks
+// being composed are passed to detect the maps extending themselves.
+function composeMap(block, types, composing) {
+    var issues = []
+    const addIssue = (path, message) => issues.push([path, message])
+
+    var recursive = false
+
+    var fields = {}
+    var origins = {}
+
+    var names = typeof block.extends === 'string' ? [block.extends] : block.extends
+    if (names === undefined) {
+        for (const property of ['pick', 'omit', 'overrides'].filter(property => block[property] !== undefined)) {
+            addIssue([property], "'extends' property is missing")
+        }
+    }
+    else if (!isArrayOfStrings(names) || names.length == 0) {
+        addIssue(['extends'], "value must be a type name or an array of type names")
+        names = []
+    }
+
+    for (const name of names || []) {
+        const base = hasType(types, name) ? types[name] : undefined
+        if (base === undefined) {
+            addIssue(['extends'], `'${name}' type is unknown`)
+        }
+        else if (base === null) {
+            addIssue(['extends'], `'${name}' type is ambiguous`)
+        }
+        else if (!isObject(base) || base.type !== 'map') {
+            addIssue(['extends'], `'${name}' type isn't a map`)
+        }
+        else if (composing.has(base)) {
+            addIssue(['extends'], `'${name}' type is extended recursively`)
+            recursive = true
+        }
+        else {
+            // The fields of the base map are inherited as they are; the issues
+            // of its own composition are reported with the base map, except
+            // the recursion which also concerns this map.
+            var baseFields = base.fields
+            if (isComposedMap(base)) {
+                const composition = composeMap(base, types, new Set([...composing, base]))
+                if (composition.recursive) {
+                    addIssue(['extends'], `'${name}' type is extended recursively`)
+                    recursive = true
+                }
+
+                baseFields = composition.fields
+            }
+
+            for (const [key, field] of Object.entries(isObject(baseFields) ? baseFields : {})) {
+                if (hasType(fields, key) && fields[key] !== field) {
+                    addIssue(['extends'], `'${key}' field is defined by both '${origins[key]}' and '${name}'`)
+                    continue
+                }
+
+                fields[key] = field
+                origins[key] = name
+            }
+        }
+    }
+
+    for (const property of ['pick', 'omit']) {
+        if (block[property] === undefined)
+            continue
+
+        if (!isArrayOfStrings(block[property])) {
+            addIssue([property], "value must be an array of field names")
+            continue
+        }
+
+        if (names === undefined)
+            continue
+
+        for (const key of block[property].filter(key => !hasType(origins, key))) {
+            addIssue([property], `'${key}' field isn't inherited`)
+        }
+    }
+
+    if (isArrayOfStrings(block.pick)) {
+        fields = Object.fromEntries(Object.entries(fields).filter(([key, field]) => block.pick.includes(key)))
+    }
+
+    if (isArrayOfStrings(block.omit)) {
+        fields = Object.fromEntries(Object.entries(fields).filter(([key, field]) => !block.omit.includes(key)))
+    }
+
+    var inherited = new Set(Object.keys(fields))
+
+    if (block.overrides !== undefined) {
+        if (!isObject(block.overrides)) {
+            addIssue(['overrides'], "value must be an object")
+        }
+        else {
+            for (const [key, field] of Object.entries(block.overrides)) {
+                if (!hasType(fields, key)) {
+                    if (names !== undefined) {
+                        addIssue(['overrides'], `'${key}' field isn't inherited`)
+                    }
+
+                    continue
+                }
+
+                fields[key] = field
+                inherited.delete(key)
+            }
+        }
+    }
+
+    if (block.fields !== undefined) {
+        if (!isObject(block.fields)) {
+            addIssue(['fields'], "value must be an object")
+        }
+        else {
+            for (const [key, field] of Object.entries(block.fields)) {
+                if (hasType(fields, key)) {
+                    addIssue(['fields'], `'${key}' field is already inherited`)
+                    continue
+                }
+
+                fields[key] = field
+            }
+        }
+    }
+
+    return { fields, inherited, issues, recursive }
+}
+
+// Return the composition of a resolved map, or undefined if it isn't composed.
+function readComposition(block) {
+    return block[COMPOSITION]
+}
+
+function resolveType(name, types, resolved) {
+    if (types[name] === null)
+        return null
+
+    if (!hasType(resolved, name)) {
+        // We register the resolved block before resolving its content so
+        // recursive references end up pointing to the same object.
+        resolved[name] = {}
+        Object.assign(resolved[name], resolveBlock(types[name], types, resolved))
+    }
+
+    return resolved[name]
+}
+
+function resolveBlock(block, types, resolved) {
+    if (!isObject(block))
+        return block
+
+    var resolvedBlock = { ...block }
+
+    if (hasType(types, block.type)) {
+        resolvedBlock[TARGET] = resolveType(block.type, types, resolved)
+        return resolvedBlock
+    }
+
+    if (isObject(block.value)) {
+        resolvedBlock.value = resolveBlock(block.value, types, resolved)
+    }
+
+    if (block.items !== undefined && block.items !== null && block.items.constructor === Array) {
+        resolvedBlock.items = block.items.map(item => resolveBlock(item, types, resolved))
+    }
+
+    if (block.variants !== undefined && block.variants !== null && block.variants.constructor === Array) {
+        resolvedBlock.variants = block.variants.map(variant => resolveBlock(variant, types, resolved))
+    }
+
+    if (block.type === 'map' && isComposedMap(block)) {
+        const composition = composeMap(block, types, new Set([block]))
+
+        resolvedBlock[COMPOSITION] = composition
+        resolvedBlock.fields = {}
+        for (const [key, value] of Object.entries(composition.fields)) {
+            resolvedBlock.fields[key] = resolveBlock(value, types, resolved)
+        }
+    }
+    else if (block.type === 'map' && isObject(block.fields)) {
+        resolvedBlock.fields = {}
+        for (const [key, value] of Object.entries(block.fields)) {
+            resolvedBlock.fields[key] = resolveBlock(value, types, resolved)
+        }
+    }
+
+    return resolvedBlock
+}
+
+// Return a copy of the block where all references are linked to their named
+// type. Blocks that aren't well-formed are copied as they are.
+function resolveFormat(block, types) {
+    return resolveBlock(block, types, {})
+}
+
+function isReference(block) {
+    return TARGET in block
+}
+
+function isAmbiguousReference(block) {
+    return TARGET in block && block[TARGET] === null
+}
+
+// Follow the references until a block with a built-in type is reached.
+function followReference(block) {
+    while (TARGET in block) {
+        block = block[TARGET]
+    }
+
+    return block
+}
+
+// Same as followReference() except it doesn't assume the references are valid;
+// it returns undefined if one of them is ambiguous or if they loop.
+function findTarget(block) {
+    var visited = new Set()
+    while (TARGET in block) {
+        if (block[TARGET] === null || visited.has(block))
+            return
+
+        visited.add(block)
+        block = block[TARGET]
+    }
+
+    return block
+}
+
+// A reference is optional if marked as such; if the 'option' property isn't
+// specified, the named type decides.
+function isOptional(block) {
+    while (block.option === undefined && TARGET in block) {
+        block = block[TARGET]
+    }
+
+    return block.option !== undefined ? block.option : false
+}
+
+// A block accepts 'null' if marked as nullable; if the 'nullable' property isn't
+// specified anywhere along the references, it follows the 'option' property.
+function isNullable(block) {
+    var current = block
+    while (current.nullable === undefined && TARGET in current) {
+        current = current[TARGET]
+    }
+
+    return current.nullable !== undefined ? current.nullable : isOptional(block)
+}
+
+// Same as for the 'option' property; if a reference doesn't specify a default
+// value, the named type decides.
+function readDefault(block) {
+    while (block.default === undefined && TARGET in block) {
+        block = block[TARGET]
+    }
+
+    return block.default
+}
+
+// Same as for the 'option' property; if a reference doesn't specify whether
+// it's deprecated, the named type decides.
+function readDeprecation(block) {
+    while (block.deprecated === undefined && TARGET in block) {
+        block = block[TARGET]
+    }
+
+    return block.deprecated
+}
+
+// Tell whether a named type is an alias whose chain of references comes back
+// to a named type already seen; it never reaches a block with a built-in type.
+function isAliasCycle(name, types) {
+    var visited = new Set()
+    while (hasType(types, name) && isObject(types[name])) {
+        if (visited.has(name))
+            return true
+
+        visited.add(name)
+        name = types[name].type
+    }
+
+    return false
+}
+
+// Tell whether a block can be instantiated with a finite value, knowing which
+// named types can. Nullable blocks are always finite (unless they reference an
+// alias cycle), so are map fields that can be omitted and arrays, sets and
+// objects that can be empty.
+function isFiniteBlock(block, finiteTypes, types) {
+    if (!isObject(block))
+        return true
+
+    if (hasType(types, block.type) && isAliasCycle(block.type, types))
+        return false
+
+    if (block.nullable !== undefined ? block.nullable === true : block.option === true)
+        return true
+
+    if (hasType(types, block.type))
+        return types[block.type] === null || finiteTypes.has(block.type)
+
+    if (['array', 'set', 'object'].includes(block.type)) {
+        var minimumLength = 0
+        if (typeof block.length === 'number') {
+            minimumLength = block.length
+        }
+        else if (isObject(block.length) && typeof block.length.minimum === 'number') {
+            minimumLength = block.length.minimum
+        }
+
+        return minimumLength <= 0 || isFiniteBlock(block.value, finiteTypes, types)
+    }
+
+    if (block.type === 'tuple' && block.items !== undefined && block.items !== null && block.items.constructor === Array) {
+        return block.items.every(item => isFiniteBlock(item, finiteTypes, types))
+    }
+
+    if (block.type === 'map' && isComposedMap(block) && !(COMPOSITION in block)) {
+        return isFiniteBlock({ type: 'map', fields: composeMap(block, types, new Set([block])).fields }, finiteTypes, types)
+    }
+
+    if (block.type === 'map' && isObject(block.fields)) {
+        return Object.values(block.fields).every(field => {
+            return (isObject(field) && field.option === true) || isFiniteBlock(field, finiteTypes, types)
+        })
+    }
+
+    if (block.type === 'union' && block.variants !== undefined && block.variants !== null && block.variants.constructor === Array) {
+        return block.variants.some(variant => isFiniteBlock(variant, finiteTypes, types))
+    }
+
+    return true
+}
+
+// Return the names of the named types that reference themselves (directly or
+// not) in a way that no finite value can ever satisfy them; for instance a map
+// with a required field referencing the map itself.
+function findInfiniteTypes(types) {
+    var finiteTypes = new Set()
+
+    // We grow the set of finite named types until it no longer changes; the
+    // remaining ones are infinite.
+    var changed = true
+    while (changed) {
+        changed = false
+        for (const [name, block] of Object.entries(types)) {
+            if (!finiteTypes.has(name) && (block === null || isFiniteBlock(block, finiteTypes, types))) {
+                finiteTypes.add(name)
+                changed = true
+            }
+        }
+    }
+
+    return Object.keys(types).filter(name => !finiteTypes.has(name))
+}
+
+export {
+    collectTypes,
+    findInfiniteTypes,
+    isAliasCycle,
+    isFiniteBlock,
+    resolveFormat,
+    isReference,
+    isAmbiguousReference,
+    readComposition,
+    followReference,
+    findTarget,
+    isOptional,
+    isNullable,
+    readDefault,
+    readDeprecation
+}
@@ -0,0 +1,86 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { validators } from "./format.js"
+import { processors as payloadProcessors } from "./payload.js"
+import { processors as objectProcessors } from "./object.js"
+import assert from "./assert.js"
+
+// The types registered with registerType(); they're added to the validators
+// and to the processors of the built-in types, and the other tools look them
+// up here to handle them (they're leaf blocks whose properties are opaque).
+const customTypes = {}
+
+function isCustomType(type) {
+    return Object.prototype.hasOwnProperty.call(customTypes, type)
+}
+
+/**
+ * Register a custom block type (for instance 'money' or 'geo-point'); blocks
+ * of that type are then accepted by validateFormat(), payloadToObject(),
+ * objectToPayload() and compileFormat() like blocks of a built-in type.
+ *
+ * Custom types are leaf blocks; their values are decoded and encoded by the
+ * given functions, which have the same signature and report issues the same
+ * way the built-in types do (with ValidationError and ValidationWarning
+ * objects pushed to the arrays).
+ *
+ * - validate(path, block, errors, warnings) checks the type-specific
+ *   properties of a block (optional).
+ * - decode(path, value, block, errors, warnings) returns the object form of a
+ *   value parsed from a JSON payload.
+ * - encode(path, value, block, errors, warnings) returns the payload form of a
+ *   value, to be serialized with JSON.stringify().
+ * - generate(block, random) returns the payload form of a random value that
+ *   is valid against the block, using the given random() function (which
+ *   behaves like Math.random()) so seeds are honored (optional). Without it,
+ *   generatePayload() and generateInvalidPayload() can't handle the type.
+ *
+ * The functions must not have side effects; they may be called more than
+ * once with the same value. Null values are handled before they're called,
+ * according to the 'nullable' property.
+ *
+ * @memberof Payload
+ * @param {string} name - The name of the type; it can't be the name of a
+ *                        built-in type or of another registered type.
+ * @param {object} definition - The 'properties' property lists the names of
+ *                              the type-specific properties; the 'validate',
+ *                              'decode', 'encode' and 'generate' properties
+ *                              are the functions described above.
+ */
+function registerType(name, definition) {
+    assert(typeof name === 'string' && /^[a-zA-Z0-9\-\_]+$/.test(name), "the name of the type is incorrect")
+    assert(!Object.keys(validators).includes(name), `'${name}' type is already registered`)
+
+    assert(definition !== null && typeof definition === 'object', "the definition of the type must be an object")
+    assert(
+        definition.properties === undefined || (definition.properties.constructor === Array && definition.properties.every(property => typeof property === 'string')),
+        "the 'properties' property must be an array of strings"
+    )
+    assert(definition.validate === undefined || typeof definition.validate === 'function', "the 'validate' property must be a function")
+    assert(typeof definition.decode === 'function', "the 'decode' property must be a function")
+    assert(typeof definition.encode === 'function', "the 'encode' property must be a function")
+    assert(definition.generate === undefined || typeof definition.generate === 'function', "the 'generate' property must be a function")
+
+    const properties = definition.properties !== undefined ? [...definition.properties] : []
+    const validate = definition.validate !== undefined ? definition.validate : () => {}
+
+    customTypes[name] = { properties, validate, decode: definition.decode, encode: definition.encode, generate: definition.generate }
+
+    validators[name] = {
+        function: validate,
+        properties: properties
+    }
+
+    payloadProcessors[name] = definition.decode
+    objectProcessors[name] = definition.encode
+}
+
+export { customTypes, isCustomType }
+export default registerType
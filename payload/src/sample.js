@@ -0,0 +1,997 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import validateFormat from "./format.js"
+import { decodePayload } from "./payload.js"
+import {
+    readMinimumValue,
+    readMaximumValue,
+    readLength,
+    readPattern,
+    readEnumValues,
+    readUniqueness,
+    readUniqueKey,
+    encodeBytes,
+    findVariant
+} from "./utility.js"
+import { parsers, formatDate, formatTime, formatDateTime } from "./datetime.js"
+import { Decimal, readDecimal, scaleCoefficient } from "./decimal.js"
+import { stringFormats } from "./semantics.js"
+import { PRINTABLE, complementRanges, parsePattern } from "./pattern.js"
+import { readFieldValues, findViolations } from "./constraint.js"
+import {
+    collectTypes,
+    findInfiniteTypes,
+    resolveFormat,
+    followReference,
+    isFiniteBlock,
+    isOptional,
+    isNullable,
+    readDefault
+} from "./reference.js"
+import { customTypes, isCustomType } from "./registry.js"
+import assert from "./assert.js"
+
+// Past this depth, values are kept as small as possible so recursive named
+// types always end.
+const MAXIMUM_DEPTH = 5
+
+// Number of attempts made to produce a value satisfying all the constraints
+// of a block (or an invalid payload) before giving up.
+const MAXIMUM_ATTEMPTS = 200
+
+const DAY = 24 * 60 * 60 * 1000
+
+// A seeded pseudorandom number generator (mulberry32); it returns numbers
+// between 0 (included) and 1 (excluded).
+function createRandom(seed) {
+    var state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+
+        var value = state
+        value = Math.imul(value ^ (value >>> 15), value | 1)
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61)
+
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+function randomInteger(random, minimum, maximum) {
+    return minimum + Math.floor(random() * (maximum - minimum + 1))
+}
+
+function randomBigInt(random, minimum, maximum) {
+    const range = maximum - minimum
+    if (range <= BigInt(Number.MAX_SAFE_INTEGER))
+        return minimum + BigInt(randomInteger(random, 0, Number(range)))
+
+    return minimum + BigInt(randomInteger(random, 0, Number.MAX_SAFE_INTEGER))
+}
+
+function pickItem(random, items) {
+    return items[Math.floor(random() * items.length)]
+}
+
+function randomWord(random, minimum, maximum) {
+    const length = randomInteger(random, minimum, maximum)
+    return Array.from({ length }, () => String.fromCharCode(randomInteger(random, 97, 122))).join('')
+}
+
+function pickLength(length, extent, context) {
+    const range = readLength(length)
+    if (context.depth > MAXIMUM_DEPTH)
+        return range.minimum
+
+    const maximum = range.maximum !== undefined ? range.maximum : range.minimum + extent
+    return randomInteger(context.random, range.minimum, maximum)
+}
+
+// Patterns are parsed once per block. Lookarounds, backreferences and unknown
+// escapes are ignored; strings are checked against the actual pattern
+// afterward.
+const parsedPatterns = new WeakMap()
+
+function readPatternTree(block) {
+    if (!parsedPatterns.has(block)) {
+        parsedPatterns.set(block, parsePattern(block.pattern))
+    }
+
+    return parsedPatterns.get(block)
+}
+
+function generateFromClass(node, random) {
+    var ranges = node.negated ? complementRanges(node.ranges) : node.ranges
+    if (ranges.length == 0) {
+        ranges = PRINTABLE
+    }
+
+    // Ranges are picked proportionally to their size.
+    const total = ranges.reduce((sum, [minimum, maximum]) => sum + maximum - minimum + 1, 0)
+    var index = Math.floor(random() * total)
+    for (const [minimum, maximum] of ranges) {
+        if (index <= maximum - minimum)
+            return String.fromCodePoint(minimum + index)
+
+        index -= maximum - minimum + 1
+    }
+}
+
+// Unbounded quantifiers repeat at most 'extent' more times than their minimum.
+function generateFromPattern(node, random, extent) {
+    if (node.kind === 'literal') {
+        return node.value
+    }
+    else if (node.kind === 'class') {
+        return generateFromClass(node, random)
+    }
+    else if (node.kind === 'sequence') {
+        return node.items.map(item => generateFromPattern(item, random, extent)).join('')
+    }
+    else if (node.kind === 'alternation') {
+        return generateFromPattern(pickItem(random, node.options), random, extent)
+    }
+    else if (node.kind !== 'repeat') {
+        // Anchors, lookarounds, backreferences and unknown nodes.
+        return ''
+    }
+
+    const maximum = node.maximum !== undefined ? node.maximum : node.minimum + extent
+    const count = randomInteger(random, node.minimum, maximum)
+
+    return Array.from({ length: count }, () => generateFromPattern(node.node, random, extent)).join('')
+}
+
+function randomHex(random, length) {
+    return Array.from({ length }, () => randomInteger(random, 0, 15).toString(16)).join('')
+}
+
+// Host names of the given size (if possible), made of labels of at most 63
+// characters and ending with a short top-level domain when there's room.
+function randomHostname(random, size) {
+    size = Math.min(Math.max(size, 1), 253)
+    if (size < 4)
+        return randomWord(random, size, size)
+
+    var labels = []
+    var remaining = size - 3
+    while (remaining > 0) {
+        // A label can't be followed by an empty one.
+        var labelSize = Math.min(remaining, 63)
+        if (remaining - labelSize == 1) {
+            labelSize--
+        }
+
+        labels.push(randomWord(random, labelSize, labelSize))
+        remaining -= labelSize + 1
+    }
+
+    return [...labels, 'co'].join('.')
+}
+
+// The samples are built to the given size when the format allows it; the
+// values of fixed length formats ignore it.
+const stringSamples = {
+    email: (random, size) => {
+        size = Math.max(size, 3)
+        const localSize = randomInteger(random, 1, Math.min(64, size - 2))
+        return `${randomWord(random, localSize, localSize)}@${randomHostname(random, size - localSize - 1)}`
+    },
+    uri: (random, size) => {
+        if (size < 10) {
+            const pathSize = Math.max(size - 2, 0)
+            return `${randomWord(random, 1, 1)}:${randomWord(random, pathSize, pathSize)}`
+        }
+
+        return `https://${randomHostname(random, size - 8)}`
+    },
+    uuid: random => `${randomHex(random, 8)}-${randomHex(random, 4)}-4${randomHex(random, 3)}-a${randomHex(random, 3)}-${randomHex(random, 12)}`,
+    hostname: randomHostname,
+    ipv4: random => Array.from({ length: 4 }, () => randomInteger(random, 0, 255)).join('.'),
+    ipv6: random => Array.from({ length: 8 }, () => randomInteger(random, 0, 65535).toString(16)).join(':'),
+    ip: random => random() < 0.5 ? stringSamples.ipv4(random) : stringSamples.ipv6(random)
+}
+
+function isWithinBounds(value, minimum, maximum) {
+    if (minimum !== undefined && (minimum.exclusive ? value <= minimum.value : value < minimum.value))
+        return false
+
+    if (maximum !== undefined && (maximum.exclusive ? value >= maximum.value : value > maximum.value))
+        return false
+
+    return true
+}
+
+// Return the range of values within the bounds; the default range is used for
+// the missing bounds (and its extent when only one bound is missing).
+function readRange(minimum, maximum, defaultLower, defaultUpper) {
+    var lower = minimum !== undefined ? minimum.value : undefined
+    var upper = maximum !== undefined ? maximum.value : undefined
+
+    if (lower === undefined && upper === undefined) {
+        [lower, upper] = [defaultLower, defaultUpper]
+    }
+    else if (lower === undefined) {
+        lower = upper - (defaultUpper - defaultLower)
+    }
+    else if (upper === undefined) {
+        upper = lower + (defaultUpper - defaultLower)
+    }
+
+    return [lower, upper]
+}
+
+// Same as readRange() except it returns the inclusive range of the multiples
+// of the unit within the bounds (divided by the unit).
+function readIntegerRange(minimum, maximum, unit, defaultLower, defaultUpper) {
+    const [lower, upper] = readRange(minimum, maximum, defaultLower, defaultUpper)
+
+    var lowerMultiple = Math.ceil(lower / unit)
+    if (minimum !== undefined && minimum.exclusive && lowerMultiple * unit <= minimum.value) {
+        lowerMultiple++
+    }
+
+    var upperMultiple = Math.floor(upper / unit)
+    if (maximum !== undefined && maximum.exclusive && upperMultiple * unit >= maximum.value) {
+        upperMultiple--
+    }
+
+    return [lowerMultiple, upperMultiple]
+}
+
+function generateFlag(block, context) {
+    return context.random() < 0.5
+}
+
+function generateNumber(block, context) {
+    const minimum = readMinimumValue(block)
+    const maximum = readMaximumValue(block)
+
+    if (block.decimal === false) {
+        const [lower, upper] = readIntegerRange(minimum, maximum, 1, -1000, 1000)
+        assert(lower <= upper, "unable to generate a number within the bounds")
+
+        return randomInteger(context.random, lower, upper)
+    }
+
+    const [lower, upper] = readRange(minimum, maximum, -1000, 1000)
+    const isValid = value => isWithinBounds(value, minimum, maximum)
+
+    // Decimal numbers are rounded to two digits when it doesn't break the
+    // bounds.
+    const value = lower + context.random() * (upper - lower)
+    const roundedValue = Math.round(value * 100) / 100
+
+    if (isValid(roundedValue))
+        return roundedValue
+    else if (isValid(value))
+        return value
+
+    assert(isValid((lower + upper) / 2), "unable to generate a number within the bounds")
+    return (lower + upper) / 2
+}
+
+function generateDecimal(block, context) {
+    const minimum = readMinimumValue(block)
+    const maximum = readMaximumValue(block)
+
+    const minimumValue = minimum !== undefined ? readDecimal(minimum.value) : undefined
+    const maximumValue = maximum !== undefined ? readDecimal(maximum.value) : undefined
+
+    // Without a scale, we use two digits after the decimal point (or more if
+    // the bounds need it).
+    var scale = block.scale
+    if (scale === undefined) {
+        scale = Math.max(2, ...[minimumValue, maximumValue].filter(value => value !== undefined).map(value => value.scale + 1))
+        if (block.precision !== undefined) {
+            scale = Math.min(scale, block.precision - 1)
+        }
+    }
+
+    // Numbers are generated as integers at the given scale.
+    var lower, upper
+
+    if (block.precision !== undefined) {
+        upper = 10n ** BigInt(block.precision) - 1n
+        lower = -upper
+    }
+
+    if (minimumValue !== undefined) {
+        var coefficient = scaleCoefficient(minimumValue, scale, true)
+        if (minimum.exclusive && new Decimal(coefficient, scale).compare(minimumValue) <= 0) {
+            coefficient++
+        }
+
+        lower = lower === undefined || coefficient > lower ? coefficient : lower
+    }
+
+    if (maximumValue !== undefined) {
+        var coefficient = scaleCoefficient(maximumValue, scale, false)
+        if (maximum.exclusive && new Decimal(coefficient, scale).compare(maximumValue) >= 0) {
+            coefficient--
+        }
+
+        upper = upper === undefined || coefficient < upper ? coefficient : upper
+    }
+
+    const extent = 1000n * 10n ** BigInt(scale)
+    if (lower === undefined && upper === undefined) {
+        [lower, upper] = [-extent, extent]
+    }
+    else if (lower === undefined) {
+        lower = upper - extent
+    }
+    else if (upper === undefined) {
+        upper = lower + extent
+    }
+
+    assert(lower <= upper, "unable to generate a decimal number within the bounds")
+
+    return new Decimal(randomBigInt(context.random, lower, upper), scale).toString()
+}
+
+function generateString(block, context) {
+    const length = readLength(block.length)
+
+    for (var attempt = 0; attempt < MAXIMUM_ATTEMPTS; attempt++) {
+        var value
+        if (block.pattern !== undefined) {
+            value = generateFromPattern(readPatternTree(block), context.random, Math.max(4, length.minimum))
+        }
+        else if (block.format !== undefined) {
+            const maximum = length.maximum !== undefined ? length.maximum : length.minimum + 20
+            value = stringSamples[block.format](context.random, randomInteger(context.random, length.minimum, maximum))
+        }
+        else {
+            const maximum = length.maximum !== undefined ? length.maximum : length.minimum + 10
+            value = randomWord(context.random, length.minimum, maximum)
+        }
+
+        if (value.length < length.minimum || (length.maximum !== undefined && value.length > length.maximum))
+            continue
+
+        if (block.pattern !== undefined && !readPattern(block).test(value))
+            continue
+
+        if (block.format !== undefined && !stringFormats[block.format].test(value))
+            continue
+
+        return value
+    }
+
+    assert(false, "unable to generate a string satisfying the constraints")
+}
+
+// Dates, times and datetimes are generated as a number of milliseconds (since
+// the epoch, or midnight) within the bounds, and then formatted.
+function readTemporalBound(block, bound) {
+    if (bound !== undefined)
+        return { value: parsers[block.type](bound.value).value, exclusive: bound.exclusive }
+}
+
+function generateTemporalValue(block, unit, defaultLower, defaultUpper, context) {
+    const minimum = readTemporalBound(block, readMinimumValue(block))
+    const maximum = readTemporalBound(block, readMaximumValue(block))
+
+    var [lower, upper] = readIntegerRange(minimum, maximum, unit, defaultLower, defaultUpper)
+    if (block.type === 'time') {
+        [lower, upper] = [Math.max(lower, 0), Math.min(upper, DAY - 1)]
+    }
+
+    assert(lower <= upper, "unable to generate a value within the bounds")
+
+    return randomInteger(context.random, lower, upper) * unit
+}
+
+function toTime(value, block) {
+    return {
+        hour: Math.floor(value / 3600000),
+        minute: Math.floor(value / 60000) % 60,
+        second: Math.floor(value / 1000) % 60,
+        millisecond: value % 1000,
+        offset: block.timezone === true ? 0 : null
+    }
+}
+
+function generateDate(block, context) {
+    const value = generateTemporalValue(block, DAY, Date.UTC(2000, 0, 1), Date.UTC(2030, 11, 31), context)
+    return formatDate(new Date(value))
+}
+
+function generateTime(block, context) {
+    const value = generateTemporalValue(block, 1, 0, DAY - 1, context)
+    return formatTime(toTime(value, block))
+}
+
+function generateDateTime(block, context) {
+    const value = generateTemporalValue(block, 1, Date.UTC(2000, 0, 1), Date.UTC(2030, 11, 31), context)
+    return formatDateTime(new Date(value), block.timezone)
+}
+
+function generateBytes(block, context) {
+    const length = pickLength(block.length, 16, context)
+    const bytes = Uint8Array.from({ length }, () => randomInteger(context.random, 0, 255))
+
+    return encodeBytes(bytes, block.encoding)
+}
+
+function generateArray(block, keys, context) {
+    const length = pickLength(block.length, 4, context)
+
+    const unique = readUniqueness(block)
+    if (unique === undefined)
+        return Array.from({ length }, (_, index) => generateNode(block.value, keys.concat(index), context))
+
+    // Items duplicating a previous item are dropped, along with the values
+    // recorded while generating them.
+    var items = []
+    var itemKeys = new Set()
+    for (var attempt = 0; items.length < length && attempt < MAXIMUM_ATTEMPTS; attempt++) {
+        const siteCount = context.sites.length
+        const item = generateNode(block.value, keys.concat(items.length), context)
+
+        const itemKey = readUniqueKey(item, unique)
+        if (itemKey !== undefined && itemKeys.has(itemKey)) {
+            context.sites.length = siteCount
+            continue
+        }
+
+        itemKeys.add(itemKey)
+        items.push(item)
+    }
+
+    assert(items.length >= readLength(block.length).minimum, "unable to generate enough distinct items")
+    return items
+}
+
+function generateKey(block, context) {
+    return block.key === 'integer' ? String(randomInteger(context.random, 0, 9999)) : randomWord(context.random, 1, 8)
+}
+
+function generateObject(block, keys, context) {
+    const length = pickLength(block.length, 4, context)
+
+    var value = {}
+    while (Object.keys(value).length < length) {
+        const key = generateKey(block, context)
+        if (!(key in value)) {
+            value[key] = generateNode(block.value, keys.concat(key), context)
+        }
+    }
+
+    return value
+}
+
+function generateTuple(block, keys, context) {
+    return block.items.map((item, index) => generateNode(item, keys.concat(index), context))
+}
+
+function generateMap(block, keys, context) {
+    // Maps are generated again until they satisfy their constraints (if any);
+    // past the first attempt, fields that can be omitted are omitted at
+    // random whatever the depth.
+    for (var attempt = 0; attempt < MAXIMUM_ATTEMPTS; attempt++) {
+        const siteCount = context.sites.length
+
+        var value = {}
+        for (const [key, field] of Object.entries(block.fields)) {
+            // Fields that can be omitted are omitted from time to time.
+            if (isOptional(field) || readDefault(field) !== undefined) {
+                if ((attempt == 0 && context.depth > MAXIMUM_DEPTH) || context.random() < 0.3)
+                    continue
+            }
+
+            value[key] = generateNode(field, keys.concat(key), context)
+        }
+
+        if (block.constraints === undefined || findViolations(readFieldValues(value, block), block).length == 0)
+            return value
+
+        context.sites.length = siteCount
+    }
+
+    assert(false, "unable to generate a value satisfying the constraints")
+}
+
+function generateEnum(block, context) {
+    return pickItem(context.random, readEnumValues(block))
+}
+
+function generateUnion(block, keys, context) {
+    var variants = block.variants
+    if (context.depth > MAXIMUM_DEPTH) {
+        variants = variants.filter(variant => isFiniteBlock(variant, context.finiteTypes, context.types))
+    }
+
+    return generateNode(pickItem(context.random, variants), keys, context)
+}
+
+const generators = {
+    flag     : (block, keys, context) => generateFlag(block, context),
+    number   : (block, keys, context) => generateNumber(block, context),
+    decimal  : (block, keys, context) => generateDecimal(block, context),
+    string   : (block, keys, context) => generateString(block, context),
+    date     : (block, keys, context) => generateDate(block, context),
+    time     : (block, keys, context) => generateTime(block, context),
+    datetime : (block, keys, context) => generateDateTime(block, context),
+    bytes    : (block, keys, context) => generateBytes(block, context),
+    array    : generateArray,
+    set      : generateArray,
+    object   : generateObject,
+    tuple    : generateTuple,
+    map      : generateMap,
+    enum     : (block, keys, context) => generateEnum(block, context),
+    literal  : (block, keys, context) => block.value,
+    union    : generateUnion
+}
+
+// Generate the payload form of a value (as parsed by JSON.parse()); the keys
+// locate the value within the generated payload. Each value is recorded, along
+// with its block, so it can be mutated afterward.
+function generateNode(block, keys, context) {
+    if (isNullable(block) && (context.depth > MAXIMUM_DEPTH || context.random() < 0.1))
+        return null
+
+    const target = followReference(block)
+
+    var value
+    if (isCustomType(target.type)) {
+        // Custom types generate their values with the function they were
+        // registered with, if any.
+        const generate = customTypes[target.type].generate
+        assert(generate !== undefined, `unable to generate values of the '${target.type}' type; it has no 'generate' function`)
+
+        value = generate(target, context.random)
+    }
+    else {
+        context.depth++
+        value = generators[target.type](target, keys, context)
+        context.depth--
+    }
+
+    context.sites.push({ keys, block })
+    return value
+}
+
+// The mutations turn a valid value into a value that is almost valid, in
+// order to trigger a precise validation error. They return undefined when they
+// don't apply to the value.
+
+function changeType(value) {
+    if (typeof value === 'string')
+        return value !== '' && Number.isFinite(Number(value)) ? Number(value) : 42
+    else if (value === null || typeof value !== 'object')
+        return String(value)
+
+    return value.constructor === Array ? {} : []
+}
+
+function mutateNumber(block, value, context) {
+    const minimum = readMinimumValue(block)
+    const maximum = readMaximumValue(block)
+
+    var mutations = []
+    if (minimum !== undefined) {
+        mutations.push(() => {
+            const mutatedValue = minimum.exclusive ? minimum.value : minimum.value - 1
+            return block.decimal === false ? Math.floor(mutatedValue) : mutatedValue
+        })
+    }
+
+    if (maximum !== undefined) {
+        mutations.push(() => {
+            const mutatedValue = maximum.exclusive ? maximum.value : maximum.value + 1
+            return block.decimal === false ? Math.ceil(mutatedValue) : mutatedValue
+        })
+    }
+
+    if (block.decimal === false) {
+        mutations.push(() => value + 0.5)
+    }
+
+    return mutations
+}
+
+function mutateDecimal(block, value, context) {
+    var mutations = [() => value + '.']
+
+    const minimum = readMinimumValue(block)
+    if (minimum !== undefined) {
+        mutations.push(() => {
+            const decimal = readDecimal(minimum.value)
+            return minimum.exclusive ? decimal.toString() : new Decimal(decimal.coefficient - 10n ** BigInt(decimal.scale), decimal.scale).toString()
+        })
+    }
+
+    const maximum = readMaximumValue(block)
+    if (maximum !== undefined) {
+        mutations.push(() => {
+            const decimal = readDecimal(maximum.value)
+            return maximum.exclusive ? decimal.toString() : new Decimal(decimal.coefficient + 10n ** BigInt(decimal.scale), decimal.scale).toString()
+        })
+    }
+
+    if (block.scale !== undefined) {
+        mutations.push(() => (value.includes('.') ? value : value + '.') + '0'.repeat(block.scale) + '1')
+    }
+
+    if (block.precision !== undefined) {
+        mutations.push(() => '9'.repeat(block.precision + 1))
+    }
+
+    return mutations
+}
+
+function mutateLength(block, resize) {
+    const range = readLength(block.length)
+
+    var mutations = []
+    if (range.minimum > 0) {
+        mutations.push(() => resize(range.minimum - 1))
+    }
+
+    if (range.maximum !== undefined) {
+        mutations.push(() => resize(range.maximum + 1))
+    }
+
+    return mutations
+}
+
+// Change, insert or remove a character until the string no longer matches
+// the pattern.
+function mutatePattern(block, value, context) {
+    const random = context.random
+    for (var attempt = 0; attempt < MAXIMUM_ATTEMPTS; attempt++) {
+        const index = randomInteger(random, 0, value.length)
+        const character = generateFromClass({ ranges: PRINTABLE, negated: false }, random)
+
+        var mutatedValue
+        const operation = randomInteger(random, 0, 2)
+        if (operation == 0) {
+            mutatedValue = value.slice(0, index) + character + value.slice(index + 1)
+        }
+        else if (operation == 1) {
+            mutatedValue = value.slice(0, index) + character + value.slice(index)
+        }
+        else {
+            mutatedValue = value.slice(0, index) + value.slice(index + 1)
+        }
+
+        if (!readPattern(block).test(mutatedValue))
+            return mutatedValue
+    }
+}
+
+function mutateString(block, value, context) {
+    var mutations = mutateLength(block, length => {
+        return length < value.length ? value.slice(0, length) : value + 'a'.repeat(length - value.length)
+    })
+
+    if (block.pattern !== undefined) {
+        mutations.push(() => mutatePattern(block, value, context))
+    }
+
+    if (block.format !== undefined) {
+        mutations.push(() => value + ' ')
+    }
+
+    return mutations
+}
+
+function mutateTemporalValue(block, value, context) {
+    const parse = parsers[block.type]
+    const shift = {
+        date: value => formatDate(new Date(value)),
+        time: value => value >= 0 && value < DAY ? formatTime(toTime(value, block)) : undefined,
+        datetime: value => formatDateTime(new Date(value), block.timezone)
+    }[block.type]
+    const unit = block.type === 'date' ? DAY : 1
+
+    var mutations = [{
+        date: () => value.slice(0, 8) + '32',
+        time: () => '24' + value.slice(2),
+        datetime: () => value.replace(/T[0-9]{2}/, 'T24')
+    }[block.type]]
+
+    const minimum = readMinimumValue(block)
+    if (minimum !== undefined) {
+        mutations.push(() => minimum.exclusive ? minimum.value : shift(parse(minimum.value).value - unit))
+    }
+
+    const maximum = readMaximumValue(block)
+    if (maximum !== undefined) {
+        mutations.push(() => maximum.exclusive ? maximum.value : shift(parse(maximum.value).value + unit))
+    }
+
+    if (block.timezone === true) {
+        mutations.push(() => value.replace(/(?:Z|[+-][0-9]{2}:[0-9]{2})$/, ''))
+    }
+    else if (block.timezone === false) {
+        mutations.push(() => value + 'Z')
+    }
+
+    return mutations
+}
+
+function mutateBytes(block, value, context) {
+    var mutations = mutateLength(block, length => {
+        const bytes = Uint8Array.from({ length }, () => randomInteger(context.random, 0, 255))
+        return encodeBytes(bytes, block.encoding)
+    })
+
+    mutations.push(() => value + '*')
+    return mutations
+}
+
+// Return a value for a new item; a copy of an existing one if any.
+function generateItem(block, items, context) {
+    if (items.length > 0)
+        return items[0]
+
+    return generateNode(block.value, [], { ...context, depth: MAXIMUM_DEPTH + 1, sites: [] })
+}
+
+function mutateArray(block, value, context) {
+    var mutations = mutateLength(block, length => {
+        if (length < value.length)
+            return value.slice(0, length)
+
+        const item = generateItem(block, value, context)
+        return value.concat(Array.from({ length: length - value.length }, () => item))
+    })
+
+    // A copy of an item is a duplicate whether the items are compared entirely
+    // or by one of their fields.
+    if (readUniqueness(block) !== undefined && value.length > 0) {
+        mutations.push(() => value.concat([value[0]]))
+    }
+
+    return mutations
+}
+
+function mutateObject(block, value, context) {
+    var mutations = mutateLength(block, length => {
+        const keys = Object.keys(value)
+        if (length < keys.length)
+            return Object.fromEntries(keys.slice(0, length).map(key => [key, value[key]]))
+
+        const item = generateItem(block, Object.values(value), context)
+
+        var mutatedValue = { ...value }
+        while (Object.keys(mutatedValue).length < length) {
+            mutatedValue[generateKey(block, context)] = item
+        }
+
+        return mutatedValue
+    })
+
+    mutations.push(() => {
+        const item = generateItem(block, Object.values(value), context)
+        return { ...value, [block.key === 'integer' ? 'foo' : 'foo bar']: item }
+    })
+
+    return mutations
+}
+
+function mutateTuple(block, value, context) {
+    return [() => value.slice(0, -1)]
+}
+
+function mutateMap(block, value, context) {
+    var mutations = []
+    for (const [key, field] of Object.entries(block.fields)) {
+        if (key in value && !isOptional(field) && readDefault(field) === undefined) {
+            mutations.push(() => {
+                var mutatedValue = { ...value }
+                delete mutatedValue[key]
+
+                return mutatedValue
+            })
+        }
+    }
+
+    // The fields of 'any' rules are all removed, and the fields of 'compare'
+    // rules swap their values.
+    const constraints = block.constraints !== undefined ? block.constraints : []
+    for (const constraint of constraints) {
+        if (constraint.any !== undefined) {
+            mutations.push(() => Object.fromEntries(Object.entries(value).filter(([key]) => !constraint.any.includes(key))))
+        }
+        else if (constraint.compare !== undefined) {
+            const [key, , otherKey] = constraint.compare
+            if (key in value && otherKey in value)
+                mutations.push(() => ({ ...value, [key]: value[otherKey], [otherKey]: value[key] }))
+        }
+    }
+
+    mutations.push(() => {
+        var key = 'unexpected'
+        while (key in block.fields) {
+            key += '_'
+        }
+
+        return { ...value, [key]: 42 }
+    })
+
+    return mutations
+}
+
+function mutateEnum(block, value, context) {
+    return [() => {
+        var mutatedValue = value.toUpperCase() !== value ? value.toUpperCase() : value + '_'
+        while (readEnumValues(block).includes(mutatedValue)) {
+            mutatedValue += '_'
+        }
+
+        return mutatedValue
+    }]
+}
+
+// Literals are changed to a value of the same type (except null, whose type is
+// changed).
+function mutateLiteral(block, value, context) {
+    if (typeof value === 'string')
+        return [() => value.toUpperCase() !== value ? value.toUpperCase() : value + '_']
+    else if (typeof value === 'number')
+        return [() => value + 1]
+    else if (typeof value === 'boolean')
+        return [() => !value]
+
+    return []
+}
+
+function mutateUnion(block, value, context) {
+    if (block.discriminator === undefined)
+        return []
+
+    return [
+        () => {
+            var mutatedValue = { ...value }
+            delete mutatedValue[block.discriminator]
+
+            return mutatedValue
+        },
+        () => {
+            var discriminatorValue = value[block.discriminator] + '_'
+            while (findVariant(block, discriminatorValue) !== undefined) {
+                discriminatorValue += '_'
+            }
+
+            return { ...value, [block.discriminator]: discriminatorValue }
+        }
+    ]
+}
+
+const mutators = {
+    flag     : (block, value, context) => [],
+    number   : mutateNumber,
+    decimal  : mutateDecimal,
+    string   : mutateString,
+    date     : mutateTemporalValue,
+    time     : mutateTemporalValue,
+    datetime : mutateTemporalValue,
+    bytes    : mutateBytes,
+    array    : mutateArray,
+    set      : mutateArray,
+    object   : mutateObject,
+    tuple    : mutateTuple,
+    map      : mutateMap,
+    enum     : mutateEnum,
+    literal  : mutateLiteral,
+    union    : mutateUnion
+}
+
+// Return the mutation to apply to a value; the ones specific to the type are
+// preferred over changing the type of the value.
+function pickMutation(block, value, context) {
+    const target = followReference(block)
+    const mutations = isCustomType(target.type) ? [] : mutators[target.type](target, value, context)
+    if (mutations.length > 0 && context.random() < 0.75)
+        return pickItem(context.random, mutations)
+
+    // Containers don't accept 'null' at all; it's only a near miss for the
+    // other types.
+    if (!isNullable(block) && value !== null && !['array', 'set', 'object', 'tuple', 'map', 'union'].includes(target.type) && context.random() < 0.5)
+        return () => null
+
+    return () => changeType(value)
+}
+
+function createContext(format, options) {
+    validateFormat(format, undefined, undefined, options)
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    const types = collectTypes(format, options.types)
+    const infiniteTypes = findInfiniteTypes(types)
+
+    return {
+        format: resolveFormat(format, types),
+        types: types,
+        finiteTypes: new Set(Object.keys(types).filter(name => !infiniteTypes.includes(name))),
+        random: createRandom(options.seed !== undefined ? options.seed : Math.floor(Math.random() * 4294967296)),
+        depth: 0,
+        sites: []
+    }
+}
+
+/**
+ * Generate a random payload that is valid against a format.
+ *
+ * The values satisfy the constraints of the blocks (bounds, lengths,
+ * patterns, etc.); optional fields are omitted and nullable values are null
+ * from time to time. The same seed produces the same payload. The values of
+ * custom types are generated by the 'generate' function they were registered
+ * with (see registerType()); an Error is thrown if they have none.
+ *
+ * A ValidationError is thrown if the format isn't valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format of the payload.
+ * @param {object} options - The 'seed' option (a number) makes the generation
+ *                           reproducible; the 'types' option provides
+ *                           external named types.
+ * @returns {string} - The payload.
+ */
+function generatePayload(format, options) {
+    const context = createContext(format, options)
+    return JSON.stringify(generateNode(context.format, [], context))
+}
+
+/**
+ * Generate a random payload that is almost valid against a format.
+ *
+ * A valid payload is generated first and one of its values is then mutated
+ * into a near miss (a number slightly out of bounds, a missing field, a
+ * string one character too long, etc.). The error payloadToObject() reports
+ * for the payload is returned along with it.
+ *
+ * A ValidationError is thrown if the format isn't valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format of the payload.
+ * @param {object} options - The same options as generatePayload().
+ * @returns {object} - The 'payload' and the 'error' it triggers.
+ */
+function generateInvalidPayload(format, options) {
+    const context = createContext(format, options)
+    const value = generateNode(context.format, [], context)
+    const sites = context.sites
+
+    const readValue = (value, keys) => keys.reduce((value, key) => value[key], value)
+
+    for (var attempt = 0; attempt < MAXIMUM_ATTEMPTS; attempt++) {
+        const site = pickItem(context.random, sites)
+        const mutation = pickMutation(site.block, readValue(value, site.keys), context)
+        const mutatedNode = mutation()
+        if (mutatedNode === undefined)
+            continue
+
+        var mutatedValue = mutatedNode
+        if (site.keys.length > 0) {
+            mutatedValue = JSON.parse(JSON.stringify(value))
+            readValue(mutatedValue, site.keys.slice(0, -1))[site.keys[site.keys.length - 1]] = mutatedNode
+        }
+
+        // The mutated value may still be valid (another variant of a union
+        // may accept it for instance).
+        const payload = JSON.stringify(mutatedValue)
+
+        var errors = []
+        decodePayload(payload, context.format, errors)
+        if (errors.length > 0)
+            return { payload, error: errors[0] }
+    }
+
+    assert(false, "unable to generate an invalid payload")
+}
+
+export { generatePayload, generateInvalidPayload }
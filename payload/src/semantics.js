@@ -0,0 +1,83 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import { isIPv6 } from "net"
+
+const UUID_PATTERN = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/
+const LABEL_PATTERN = /^[a-zA-Z0-9](?:[a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?$/
+const IPV4_PATTERN = /^(?:(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])\.){3}(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9]?[0-9])$/
+const LOCAL_PART_PATTERN = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~\-]+(?:\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~\-]+)*$/
+const URI_PATTERN = /^[a-zA-Z][a-zA-Z0-9+.\-]*:(?:[a-zA-Z0-9\-._~!$&'()*+,;=:@/?#\[\]]|%[0-9a-fA-F]{2})*$/
+
+// Host names as defined by RFC 1123.
+function isHostname(value) {
+    return value.length <= 253 && value.split('.').every(label => LABEL_PATTERN.test(label))
+}
+
+function isIPv4Address(value) {
+    return IPV4_PATTERN.test(value)
+}
+
+function isIPv6Address(value) {
+    // Zone identifiers (for instance 'fe80::1%eth0') aren't accepted.
+    return !value.includes('%') && isIPv6(value)
+}
+
+// Email addresses in their common form (dot-atom local part and host name as
+// domain); quoted local parts and IP address literals aren't accepted.
+function isEmail(value) {
+    const index = value.lastIndexOf('@')
+    if (index == -1)
+        return false
+
+    const localPart = value.slice(0, index)
+    const domain = value.slice(index + 1)
+
+    return localPart.length <= 64 && LOCAL_PART_PATTERN.test(localPart) && isHostname(domain)
+}
+
+// Absolute URIs as defined by RFC 3986.
+function isURI(value) {
+    return URI_PATTERN.test(value)
+}
+
+// The semantic formats of the 'string' type, with the description of the
+// expected value used in the error messages.
+const stringFormats = {
+    email: {
+        test: isEmail,
+        expected: "an email address"
+    },
+    uri: {
+        test: isURI,
+        expected: "a URI"
+    },
+    uuid: {
+        test: value => UUID_PATTERN.test(value),
+        expected: "a UUID"
+    },
+    hostname: {
+        test: isHostname,
+        expected: "a hostname"
+    },
+    ipv4: {
+        test: isIPv4Address,
+        expected: "an IPv4 address"
+    },
+    ipv6: {
+        test: isIPv6Address,
+        expected: "an IPv6 address"
+    },
+    ip: {
+        test: value => isIPv4Address(value) || isIPv6Address(value),
+        expected: "an IP address"
+    }
+}
+
+export { stringFormats }
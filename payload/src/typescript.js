@@ -0,0 +1,224 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import validateFormat from "./format.js"
+import { collectTypes, resolveFormat, isReference, isOptional, isNullable, readDefault } from "./reference.js"
+import { isCustomType } from "./registry.js"
+import { readEnumValues } from "./utility.js"
+
+const INDENTATION = '    '
+const IDENTIFIER_PATTERN = /^[a-zA-Z_$][a-zA-Z0-9_$]*$/
+
+// Turn a type name (for instance 'user-profile') into a TypeScript type name
+// ('UserProfile').
+function toTypeName(name) {
+    const typeName = name.split(/[\-\_]/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('')
+    return /^[0-9]/.test(typeName) ? '_' + typeName : typeName
+}
+
+// Return the TypeScript name of a named type; the type names that turn into
+// the same TypeScript name ('user-profile' and 'user_profile') are told apart
+// with a numeric suffix, in the order they're referenced.
+function readTypeName(name, context) {
+    if (!context.typeNames.has(name)) {
+        const typeName = toTypeName(name)
+
+        var candidate = typeName
+        for (var index = 2; context.usedNames.has(candidate); index++) {
+            candidate = `${typeName}${index}`
+        }
+
+        context.typeNames.set(name, candidate)
+        context.usedNames.add(candidate)
+    }
+
+    return context.typeNames.get(name)
+}
+
+function toPropertyName(key) {
+    return IDENTIFIER_PATTERN.test(key) ? key : `'${key}'`
+}
+
+function toDocComment(description, indentation) {
+    const lines = description.split('\n')
+    if (lines.length == 1)
+        return `${indentation}/** ${description.replace(/\*\//g, '*\\/')} */\n`
+
+    return `${indentation}/**\n` + lines.map(line => `${indentation} * ${line.replace(/\*\//g, '*\\/')}`.trimEnd() + '\n').join('') + `${indentation} */\n`
+}
+
+// Return the doc comment of a block (its description and whether it's
+// deprecated), if any.
+function generateDocComment(block, indentation) {
+    var lines = []
+    if (block.description !== undefined)
+        lines.push(block.description)
+
+    if (block.deprecated !== undefined && block.deprecated !== false)
+        lines.push(typeof block.deprecated === 'string' ? `@deprecated ${block.deprecated}` : '@deprecated')
+
+    return lines.length > 0 ? toDocComment(lines.join('\n'), indentation) : ''
+}
+
+function wrapUnion(type) {
+    return type.includes(' | ') ? `(${type})` : type
+}
+
+const generators = {
+    flag: (block, indentation, context) => 'boolean',
+    number: (block, indentation, context) => 'number',
+    decimal: (block, indentation, context) => {
+        context.imports.add('Decimal')
+        return 'Decimal'
+    },
+    string: (block, indentation, context) => 'string',
+    date: (block, indentation, context) => 'Date',
+    time: (block, indentation, context) => {
+        context.imports.add('Time')
+        return 'Time'
+    },
+    datetime: (block, indentation, context) => 'Date',
+    bytes: (block, indentation, context) => 'Uint8Array',
+    array: (block, indentation, context) => {
+        return `${wrapUnion(generateType(block.value, indentation, context))}[]`
+    },
+    set: (block, indentation, context) => {
+        return `Set<${generateType(block.value, indentation, context)}>`
+    },
+    object: (block, indentation, context) => {
+        return `Record<${block.key === 'integer' ? 'number' : 'string'}, ${generateType(block.value, indentation, context)}>`
+    },
+    tuple: (block, indentation, context) => {
+        return `[${block.items.map(item => generateType(item, indentation, context)).join(', ')}]`
+    },
+    map: (block, indentation, context) => {
+        return `{\n${generateFields(block, indentation + INDENTATION, context)}${indentation}}`
+    },
+    enum: (block, indentation, context) => {
+        return readEnumValues(block).map(value => `'${value}'`).join(' | ')
+    },
+    literal: (block, indentation, context) => {
+        if (typeof block.value === 'string')
+            return `'${block.value.replace(/[\\']/g, '\\$&').replace(/\n/g, '\\n')}'`
+
+        return String(block.value)
+    },
+    union: (block, indentation, context) => {
+        return block.variants.map(variant => wrapUnion(generateType(variant, indentation, context))).join(' | ')
+    }
+}
+
+// Generate the members of the interface of a map. Fields that can be missing
+// from the objects returned by payloadToObject() are marked as optional.
+function generateFields(block, indentation, context) {
+    var text = ''
+    for (const [key, field] of Object.entries(block.fields)) {
+        text += generateDocComment(field, indentation)
+
+        const canBeAbsent = isOptional(field) && readDefault(field) === undefined && (block.absent === 'omit' || !isNullable(field))
+        text += `${indentation}${toPropertyName(key)}${canBeAbsent ? '?' : ''}: ${generateType(field, indentation, context)}\n`
+    }
+
+    return text
+}
+
+function generateType(block, indentation, context) {
+    var type
+    if (isReference(block)) {
+        type = readTypeName(block.type, context)
+        context.references.add(block.type)
+    }
+    else if (isCustomType(block.type)) {
+        // The object form of the values of custom types isn't known.
+        type = 'unknown'
+    }
+    else {
+        type = generators[block.type](block, indentation, context)
+    }
+
+    return isNullable(block) ? `${type} | null` : type
+}
+
+// Generate the declaration of a named type (or the root block) given its
+// TypeScript name; maps become interfaces, anything else a type alias.
+function generateDeclaration(typeName, block, context) {
+    var text = generateDocComment(block, '')
+
+    if (!isReference(block) && block.type === 'map' && !isNullable(block)) {
+        text += `export interface ${typeName} {\n${generateFields(block, INDENTATION, context)}}\n`
+    }
+    else {
+        text += `export type ${typeName} = ${generateType(block, '', context)}\n`
+    }
+
+    return text
+}
+
+/**
+ * Generate the TypeScript declarations of the objects a format describes, as
+ * returned by payloadToObject() and accepted by objectToPayload().
+ *
+ * The root block is declared with the given name, and named types with their
+ * name in PascalCase ('user-profile' becomes 'UserProfile'); a numeric suffix
+ * is added to the names already taken ('UserProfile2'). Maps become
+ * interfaces, optional blocks are unions with 'null', enums are unions of
+ * string literals, literals are literal types, tuples are tuple types, sets
+ * are Set objects and objects are records keyed by strings or numbers.
+ *
+ * The format is validated first and a ValidationError is thrown if it isn't
+ * valid.
+ *
+ * @memberof Payload
+ * @param {object} format - The format to generate the declarations for.
+ * @param {string} name - The name of the root type.
+ * @param {object} options - The options passed to validateFormat().
+ * @returns {string} - The content of the .d.ts file.
+ */
+function formatToTypeScript(format, name, options) {
+    validateFormat(format, undefined, undefined, options)
+
+    if (options === undefined) {
+        options = {}
+    }
+
+    const types = collectTypes(format, options.types)
+    const { types: _, ...block } = format
+
+    var context = {
+        imports: new Set(),
+        references: new Set(),
+        typeNames: new Map(),
+        // The names of the types that may be imported are reserved.
+        usedNames: new Set(['Decimal', 'Time', toTypeName(name)])
+    }
+
+    var declarations = [generateDeclaration(toTypeName(name), resolveFormat(block, types), context)]
+
+    // Named types are declared once used, including the ones passed by the
+    // user.
+    var declaredTypes = new Set()
+    while (context.references.size > declaredTypes.size) {
+        for (const typeName of context.references) {
+            if (declaredTypes.has(typeName))
+                continue
+
+            declaredTypes.add(typeName)
+            declarations.push(generateDeclaration(readTypeName(typeName, context), resolveFormat(types[typeName], types), context))
+        }
+    }
+
+    var text = ''
+    if (context.imports.size > 0) {
+        text += `import type { ${[...context.imports].sort().join(', ')} } from '@byteplug/payload'\n\n`
+    }
+
+    return text + declarations.join('\n')
+}
+
+export default formatToTypeScript
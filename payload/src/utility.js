@@ -7,11 +7,12 @@
 //
 // Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, August 2022
 
-import { ValidationError } from './exceptions.js'
+import { ValidationError, ValidationWarning } from './exceptions.js'
+import { followReference } from './reference.js'
 
 function readMinimumValue(format) {
     if (format.minimum !== undefined) {
-        if (typeof format.minimum === 'number') {
+        if (typeof format.minimum !== 'object') {
             return {
                 exclusive: false,
                 value: format.minimum
@@ -28,7 +29,7 @@ function readMinimumValue(format) {
 
 function readMaximumValue(format) {
     if (format.maximum !== undefined) {
-        if (typeof format.maximum === 'number') {
+        if (typeof format.maximum !== 'object') {
             return {
                 exclusive: false,
                 value: format.maximum
@@ -43,6 +44,67 @@ function readMaximumValue(format) {
     }
 }
 
+// Regular expressions of the 'pattern' property are compiled once per block.
+const patterns = new WeakMap()
+
+function readPattern(format) {
+    if (!patterns.has(format)) {
+        patterns.set(format, new RegExp(format.pattern))
+    }
+
+    return patterns.get(format)
+}
+
+// Read the 'length' property as an inclusive range; the maximum is undefined
+// if the length isn't bounded.
+function readLength(length) {
+    if (length === undefined) {
+        return { minimum: 0, maximum: undefined }
+    }
+    else if (typeof length === 'number') {
+        return { minimum: length, maximum: length }
+    }
+
+    return {
+        minimum: length.minimum !== undefined ? Math.ceil(length.minimum) : 0,
+        maximum: length.maximum !== undefined ? Math.floor(length.maximum) : undefined
+    }
+}
+
+// Enum values are either strings or objects with the value and the
+// 'deprecated' property of the value; the values are read once per block.
+const enumValues = new WeakMap()
+
+function readEnumValue(value) {
+    return value !== null && typeof value === 'object' ? value.value : value
+}
+
+function readEnumValues(format) {
+    if (!enumValues.has(format)) {
+        enumValues.set(format, format.values.map(readEnumValue))
+    }
+
+    return enumValues.get(format)
+}
+
+// Return the 'deprecated' property of an enum value, if any.
+function readEnumDeprecation(format, value) {
+    const enumValue = format.values.find(enumValue => readEnumValue(enumValue) === value)
+    return enumValue !== null && typeof enumValue === 'object' ? enumValue.deprecated : undefined
+}
+
+// Report the use of a deprecated item (described by the subject) with the
+// replacement hint, if any; the 'deprecated' property is either a bool or the
+// hint.
+function checkDeprecation(path, deprecated, subject, warnings) {
+    if (deprecated === undefined || deprecated === false)
+        return
+
+    const hint = typeof deprecated === 'string' ? ` (${deprecated})` : ''
+    const warning = new ValidationWarning(path, `${subject} is deprecated${hint}`)
+    warnings.push(warning)
+}
+
 function checkLength(value, length, path, errors, warnings) {
     if (typeof length === 'number') {
         length = Number.parseInt(length)
@@ -76,4 +138,290 @@ function checkLength(value, length, path, errors, warnings) {
     }
 }
 
-export { readMinimumValue, readMaximumValue, checkLength }
+// The 'unique' property of arrays is either true (the items are compared
+// entirely) or the key of the field the items (maps) are compared by; the
+// items of sets are always unique.
+function readUniqueness(format) {
+    if (format.type === 'set')
+        return true
+
+    return format.unique !== undefined && format.unique !== false ? format.unique : undefined
+}
+
+// Return the key an item is compared by to detect duplicates; items are
+// compared in their payload form, regardless of the order of the fields of
+// maps. Items whose field is null (or missing) aren't compared.
+function readUniqueKey(item, unique) {
+    if (typeof unique === 'string') {
+        if (item === null || typeof item !== 'object' || item[unique] === undefined || item[unique] === null)
+            return
+
+        item = item[unique]
+    }
+
+    return stringifyJSON(item, true)
+}
+
+// Return the indexes of the items that duplicate a previous item, along with
+// the index of that previous item.
+function findDuplicates(items, unique) {
+    var indexes = new Map()
+    var duplicates = []
+
+    items.forEach((item, index) => {
+        // Items that couldn't be adjusted are left out.
+        if (item === undefined)
+            return
+
+        const key = readUniqueKey(item, unique)
+        if (key === undefined)
+            return
+
+        if (indexes.has(key)) {
+            duplicates.push([index, indexes.get(key)])
+        }
+        else {
+            indexes.set(key, index)
+        }
+    })
+
+    return duplicates
+}
+
+function checkUniqueness(items, unique, path, errors, warnings) {
+    for (const [index, previousIndex] of findDuplicates(items, unique)) {
+        const subject = typeof unique === 'string' ? `'${unique}' field` : "value"
+        const error = new ValidationError(path.concat(`[${index}]`), `${subject} is a duplicate of [${previousIndex}]`)
+        errors.push(error)
+    }
+}
+
+// Binary data is carried as base64 (with padding) or base64url (without
+// padding, but we tolerate it) encoded strings.
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+const BASE64URL_PATTERN = /^(?:[A-Za-z0-9\-_]{4})*(?:[A-Za-z0-9\-_]{2}(?:==)?|[A-Za-z0-9\-_]{3}=?)?$/
+
+function decodeBytes(text, encoding) {
+    if (encoding === 'base64url') {
+        if (!BASE64URL_PATTERN.test(text))
+            return
+
+        text = text.replace(/-/g, '+').replace(/_/g, '/')
+    }
+    else if (!BASE64_PATTERN.test(text)) {
+        return
+    }
+
+    return Buffer.from(text, 'base64')
+}
+
+function encodeBytes(bytes, encoding) {
+    const text = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64')
+    if (encoding === 'base64url') {
+        return text.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+    }
+
+    return text
+}
+
+// Return the values a discriminator field can take; it's either an enum or a
+// literal.
+function readDiscriminatorValues(field) {
+    return field.type === 'literal' ? [field.value] : readEnumValues(field)
+}
+
+// Return the variant of a discriminated union selected by the value of the
+// discriminator field, if any.
+function findVariant(format, value) {
+    return format.variants.find(variant => {
+        const field = followReference(followReference(variant).fields[format.discriminator])
+        return readDiscriminatorValues(field).includes(value)
+    })
+}
+
+// Call the visit function with the path of the block and the block itself, and
+// then with its nested blocks; the references aren't followed. The block is
+// expected to be valid.
+function visitBlocks(path, block, visit) {
+    visit(path, block)
+
+    if (['array', 'set', 'object'].includes(block.type)) {
+        visitBlocks(path.concat(block.type === 'object' ? '{}' : '[]'), block.value, visit)
+    }
+    else if (block.type === 'tuple') {
+        block.items.forEach((item, index) => visitBlocks(path.concat(`<${index}>`), item, visit))
+    }
+    else if (block.type === 'map') {
+        for (const [key, field] of Object.entries(block.fields)) {
+            visitBlocks(path.concat(`$${key}`), field, visit)
+        }
+    }
+    else if (block.type === 'union') {
+        block.variants.forEach((variant, index) => visitBlocks(path.concat(`(${index})`), variant, visit))
+    }
+}
+
+// Paths are built as linked lists, and only turned into arrays when an issue
+// is reported; the root path is 'null'.
+function extendPath(link, item) {
+    return { parent: link, item: item }
+}
+
+function readPath(link) {
+    var path = []
+    while (link !== null) {
+        path.push(link.item)
+        link = link.parent
+    }
+
+    return path.reverse()
+}
+
+function linkPath(path) {
+    return path.reduce(extendPath, null)
+}
+
+// Scalar values are processed by the processors themselves. They're called
+// without path first, and called again with the path if they reported an
+// issue; they have no side effect besides reporting issues.
+var scratchErrors = []
+var scratchWarnings = []
+
+function runWithoutPath(process, link, node, format, errors, warnings) {
+    const value = process(null, node, format, scratchErrors, scratchWarnings)
+    if (scratchErrors.length == 0 && scratchWarnings.length == 0)
+        return value
+
+    scratchErrors.length = 0
+    scratchWarnings.length = 0
+
+    return process(readPath(link), node, format, errors, warnings)
+}
+
+// Same as checkLength() with the signature of a processor, to be run with
+// runWithoutPath().
+function checkNodeLength(path, value, format, errors, warnings) {
+    checkLength(value, format.length, path, errors, warnings)
+}
+
+// The prototype shared by all generator objects.
+const GeneratorPrototype = Object.getPrototypeOf(function* () {}).prototype
+
+function isGenerator(value) {
+    return value !== null && typeof value === 'object' && GeneratorPrototype.isPrototypeOf(value)
+}
+
+// The types whose node processors are generators driven by walkNode().
+const CONTAINER_TYPES = ['array', 'set', 'object', 'tuple', 'map', 'union']
+
+// Walk a node and its children with the given node processor.
+//
+// Node processors of container types are generators; they yield the children
+// to be processed (as [link, node, format] arrays, where the link is the
+// linked path of the child) and are given back the adjusted children. Driving
+// them with an explicit stack, instead of having them call each other
+// recursively, allows deeply nested (but finite) data without exhausting the
+// call stack.
+function walkNode(processNode, link, node, format, errors, warnings) {
+    var stack = []
+    var result = processNode(link, node, format, errors, warnings)
+
+    while (true) {
+        var value = undefined
+        if (isGenerator(result)) {
+            stack.push(result)
+        }
+        else if (stack.length == 0) {
+            return result
+        }
+        else {
+            value = result
+        }
+
+        const step = stack[stack.length - 1].next(value)
+        if (step.done) {
+            stack.pop()
+            result = step.value
+        }
+        else {
+            result = processNode(...step.value, errors, warnings)
+        }
+    }
+}
+
+// Marks the pieces of text that are pushed on the stack of stringifyJSON().
+const CHUNK = Symbol('chunk')
+
+// Iterative counterpart of JSON.stringify() for the (JSON compatible) values
+// produced by objectToPayload(); it's only used when the value is nested too
+// deeply for JSON.stringify(). The keys of objects are sorted if requested, to
+// compare values.
+function stringifyJSON(value, sortKeys) {
+    var chunks = []
+    var stack = [value]
+
+    while (stack.length > 0) {
+        const item = stack.pop()
+
+        if (item !== null && typeof item === 'object' && CHUNK in item) {
+            chunks.push(item[CHUNK])
+        }
+        else if (item !== null && typeof item === 'object' && item.constructor === Array) {
+            stack.push({ [CHUNK]: ']' })
+            for (var index = item.length - 1; index >= 0; index--) {
+                stack.push(item[index] === undefined ? null : item[index])
+                if (index > 0)
+                    stack.push({ [CHUNK]: ',' })
+            }
+            stack.push({ [CHUNK]: '[' })
+        }
+        else if (item !== null && typeof item === 'object') {
+            var entries = Object.entries(item).filter(([key, value]) => value !== undefined)
+            if (sortKeys)
+                entries.sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)
+
+            stack.push({ [CHUNK]: '}' })
+            for (var index = entries.length - 1; index >= 0; index--) {
+                stack.push(entries[index][1])
+                stack.push({ [CHUNK]: JSON.stringify(entries[index][0]) + ':' })
+                if (index > 0)
+                    stack.push({ [CHUNK]: ',' })
+            }
+            stack.push({ [CHUNK]: '{' })
+        }
+        else {
+            chunks.push(JSON.stringify(item))
+        }
+    }
+
+    return chunks.join('')
+}
+
+export {
+    readMinimumValue,
+    readMaximumValue,
+    readLength,
+    readPattern,
+    readEnumValue,
+    readEnumValues,
+    readEnumDeprecation,
+    checkDeprecation,
+    checkLength,
+    readUniqueness,
+    readUniqueKey,
+    findDuplicates,
+    checkUniqueness,
+    decodeBytes,
+    encodeBytes,
+    readDiscriminatorValues,
+    findVariant,
+    visitBlocks,
+    extendPath,
+    readPath,
+    linkPath,
+    runWithoutPath,
+    checkNodeLength,
+    CONTAINER_TYPES,
+    walkNode,
+    stringifyJSON
+}
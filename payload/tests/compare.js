@@ -0,0 +1,237 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { compareFormats, ValidationError } from '../src/index.js'
+
+test('identical-formats', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'number', minimum: 0 },
+			bar: { type: 'string', length: 4, option: true }
+		}
+	}
+
+	t.deepEqual(compareFormats(format, format), [])
+
+	// test if shorthand forms and descriptions don't matter
+	t.deepEqual(compareFormats(format, {
+		type: 'map',
+		description: "Lorem ipsum.",
+		fields: {
+			foo: { type: 'number', decimal: true, minimum: { value: 0, exclusive: false } },
+			bar: { type: 'string', length: { minimum: 4, maximum: 4 }, option: true, name: "Bar" }
+		}
+	}), [])
+})
+
+test('map-fields', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'flag' },
+			bar: { type: 'flag', option: true }
+		}
+	}
+
+	// test new fields
+	t.deepEqual(compareFormats(format, { ...format, fields: { ...format.fields, quz: { type: 'flag' } } }), [
+		{ path: ['$quz'], compatibility: 'breaking', message: "'quz' field was added" }
+	])
+	t.deepEqual(compareFormats(format, { ...format, fields: { ...format.fields, quz: { type: 'flag', option: true } } }), [
+		{ path: ['$quz'], compatibility: 'backward', message: "'quz' field was added" }
+	])
+	t.deepEqual(compareFormats(format, { ...format, fields: { ...format.fields, quz: { type: 'flag', default: false } } }), [
+		{ path: ['$quz'], compatibility: 'backward', message: "'quz' field was added" }
+	])
+
+	// test removed fields
+	t.deepEqual(compareFormats(format, { type: 'map', fields: { foo: { type: 'flag' } } }), [
+		{ path: ['$bar'], compatibility: 'forward', message: "'bar' field was removed" }
+	])
+	t.deepEqual(compareFormats(format, { type: 'map', fields: { bar: { type: 'flag', option: true } } }), [
+		{ path: ['$foo'], compatibility: 'breaking', message: "'foo' field was removed" }
+	])
+
+	// test fields becoming optional or required
+	t.deepEqual(compareFormats(format, { type: 'map', fields: { foo: { type: 'flag', option: true }, bar: { type: 'flag' } } }), [
+		{ path: ['$foo'], compatibility: 'backward', message: "field can now be omitted" },
+		{ path: ['$foo'], compatibility: 'backward', message: "value can now be null" },
+		{ path: ['$bar'], compatibility: 'forward', message: "field can no longer be omitted" },
+		{ path: ['$bar'], compatibility: 'forward', message: "value can no longer be null" }
+	])
+
+	// test default values
+	const format1 = { type: 'map', fields: { foo: { type: 'number', default: 0 } } }
+	const format2 = { type: 'map', fields: { foo: { type: 'number', default: 1 } } }
+	t.deepEqual(compareFormats(format1, format2), [
+		{ path: ['$foo'], compatibility: 'breaking', message: "default value was changed" }
+	])
+})
+
+test('constraints', t => {
+	// test bounds
+	const format = { type: 'number', minimum: 0, maximum: 10 }
+
+	t.deepEqual(compareFormats(format, { type: 'number', minimum: 5, maximum: 20 }), [
+		{ path: [], compatibility: 'forward', message: "'minimum' property was tightened" },
+		{ path: [], compatibility: 'backward', message: "'maximum' property was relaxed" }
+	])
+	t.deepEqual(compareFormats(format, { type: 'number', minimum: { value: 0, exclusive: true } }), [
+		{ path: [], compatibility: 'forward', message: "'minimum' property was tightened" },
+		{ path: [], compatibility: 'backward', message: "'maximum' property was removed" }
+	])
+	t.deepEqual(compareFormats(format, { ...format, decimal: false }), [
+		{ path: [], compatibility: 'forward', message: "decimal numbers are no longer accepted" }
+	])
+
+	t.deepEqual(compareFormats({ type: 'decimal', minimum: '0.5' }, { type: 'decimal', minimum: '0.25', scale: 2 }), [
+		{ path: [], compatibility: 'forward', message: "'scale' property was added" },
+		{ path: [], compatibility: 'backward', message: "'minimum' property was relaxed" }
+	])
+	t.deepEqual(compareFormats({ type: 'date', maximum: '2023-01-01' }, { type: 'date', maximum: '2022-12-31' }), [
+		{ path: [], compatibility: 'forward', message: "'maximum' property was tightened" }
+	])
+
+	// test lengths
+	t.deepEqual(compareFormats({ type: 'string', length: 4 }, { type: 'string', length: { minimum: 2, maximum: 4 } }), [
+		{ path: ['length'], compatibility: 'backward', message: "'minimum' property was relaxed" }
+	])
+	t.deepEqual(compareFormats({ type: 'array', value: { type: 'flag' } }, { type: 'array', value: { type: 'flag' }, length: { maximum: 8 } }), [
+		{ path: ['length'], compatibility: 'forward', message: "'maximum' property was added" }
+	])
+
+	// test unique items
+	const array = { type: 'array', value: { type: 'map', fields: { id: { type: 'number' }, name: { type: 'string' } } } }
+
+	t.deepEqual(compareFormats(array, { ...array, unique: true }), [
+		{ path: [], compatibility: 'forward', message: "'unique' property was added" }
+	])
+	t.deepEqual(compareFormats({ ...array, unique: true }, { ...array, unique: 'id' }), [
+		{ path: [], compatibility: 'forward', message: "'unique' property was tightened" }
+	])
+	t.deepEqual(compareFormats({ ...array, unique: 'id' }, { ...array, unique: false }), [
+		{ path: [], compatibility: 'backward', message: "'unique' property was removed" }
+	])
+	t.deepEqual(compareFormats({ ...array, unique: 'id' }, { ...array, unique: 'name' }), [
+		{ path: [], compatibility: 'breaking', message: "'unique' property was changed" }
+	])
+
+	// test map constraints
+	const map = { type: 'map', fields: { start: { type: 'date' }, end: { type: 'date' } } }
+
+	t.deepEqual(compareFormats(map, { ...map, constraints: [{ compare: ['end', '>', 'start'] }] }), [
+		{ path: ['constraints', 0], compatibility: 'forward', message: "constraint was added" }
+	])
+	t.deepEqual(compareFormats({ ...map, constraints: [{ compare: ['end', '>', 'start'] }] }, { ...map, constraints: [{ compare: ['end', '>=', 'start'] }] }), [
+		{ path: ['constraints', 0], compatibility: 'backward', message: "constraint was removed" },
+		{ path: ['constraints', 0], compatibility: 'forward', message: "constraint was added" }
+	])
+
+	// test properties that can't be ordered
+	t.deepEqual(compareFormats({ type: 'string', pattern: '^[a-z]+$' }, { type: 'string', pattern: '^[a-z0-9]+$' }), [
+		{ path: [], compatibility: 'breaking', message: "'pattern' property was changed" }
+	])
+	t.deepEqual(compareFormats({ type: 'time' }, { type: 'time', timezone: true }), [
+		{ path: [], compatibility: 'forward', message: "'timezone' property was added" }
+	])
+	t.deepEqual(compareFormats({ type: 'bytes' }, { type: 'bytes', encoding: 'base64url' }), [
+		{ path: [], compatibility: 'breaking', message: "'encoding' property was changed" }
+	])
+})
+
+test('enum-values', t => {
+	t.deepEqual(compareFormats({ type: 'enum', values: ['foo', 'bar'] }, { type: 'enum', values: ['bar', 'quz'] }), [
+		{ path: [], compatibility: 'forward', message: "'foo' enum value was removed" },
+		{ path: [], compatibility: 'backward', message: "'quz' enum value was added" }
+	])
+})
+
+test('literal-value', t => {
+	t.deepEqual(compareFormats({ type: 'literal', value: 1 }, { type: 'literal', value: 1 }), [])
+	t.deepEqual(compareFormats({ type: 'literal', value: 1 }, { type: 'literal', value: '1' }), [
+		{ path: [], compatibility: 'breaking', message: "'value' property was changed" }
+	])
+})
+
+test('nested-blocks', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'enum', values: ['foo', 'bar'] } },
+			bar: { type: 'tuple', items: [{ type: 'flag' }, { type: 'number' }] },
+			quz: { type: 'union', variants: [{ type: 'flag' }, { type: 'string' }] }
+		}
+	}
+
+	t.deepEqual(compareFormats(format, {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'enum', values: ['foo'] } },
+			bar: { type: 'tuple', items: [{ type: 'string' }, { type: 'number', option: true }] },
+			quz: { type: 'union', variants: [{ type: 'flag' }, { type: 'string' }, { type: 'number' }] }
+		}
+	}), [
+		{ path: ['$foo', '[]'], compatibility: 'forward', message: "'bar' enum value was removed" },
+		{ path: ['$bar', '<0>'], compatibility: 'breaking', message: "type was changed from 'flag' to 'string'" },
+		{ path: ['$bar', '<1>'], compatibility: 'backward', message: "value can now be null" },
+		{ path: ['$quz', '(2)'], compatibility: 'backward', message: "variant was added" }
+	])
+
+	t.deepEqual(compareFormats({ type: 'tuple', items: [{ type: 'flag' }] }, { type: 'tuple', items: [{ type: 'flag' }, { type: 'flag' }] }), [
+		{ path: [], compatibility: 'breaking', message: "number of items was changed" }
+	])
+})
+
+test('named-types', t => {
+	const format1 = {
+		types: {
+			node: {
+				type: 'map',
+				fields: {
+					value: { type: 'number' },
+					children: { type: 'array', value: { type: 'node' } }
+				}
+			}
+		},
+		type: 'node'
+	}
+
+	const format2 = {
+		types: {
+			tree: {
+				type: 'map',
+				fields: {
+					value: { type: 'number', minimum: 0 },
+					children: { type: 'array', value: { type: 'tree' } }
+				}
+			}
+		},
+		type: 'tree'
+	}
+
+	// test if named types are compared where they're used, and only once
+	t.deepEqual(compareFormats(format1, format2), [
+		{ path: ['$value'], compatibility: 'forward', message: "'minimum' property was added" }
+	])
+
+	// test if references and inline blocks can be compared
+	t.deepEqual(compareFormats({ type: 'tag' }, { type: 'string' }, { types: { tag: { type: 'string', length: { maximum: 8 } } } }), [
+		{ path: ['length'], compatibility: 'backward', message: "'maximum' property was removed" }
+	])
+})
+
+test('invalid-formats', t => {
+	const error = t.throws(() => {
+		compareFormats({ type: 'flag' }, { type: 'foo' })
+	}, {instanceOf: ValidationError})
+
+	t.is(error.message, "value of 'type' is incorrect")
+})
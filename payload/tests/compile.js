@@ -0,0 +1,335 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { compileFormat, payloadToObject, objectToPayload, ValidationError, Decimal } from '../src/index.js'
+
+function toIssues(issues) {
+	return issues.map(issue => [issue.path, issue.message])
+}
+
+// Decode the payloads with both the compiled format and payloadToObject(), and
+// check the results are identical.
+function checkDecode(t, format, payloads, options) {
+	const compiledFormat = compileFormat(format, options)
+
+	for (const payload of payloads) {
+		var errors = []
+		var warnings = []
+		const expected = payloadToObject(payload, format, errors, warnings, options)
+
+		var compiledErrors = []
+		var compiledWarnings = []
+		const value = compiledFormat.decode(payload, compiledErrors, compiledWarnings)
+
+		t.deepEqual(value, expected, payload)
+		t.deepEqual(toIssues(compiledErrors), toIssues(errors), payload)
+		t.deepEqual(toIssues(compiledWarnings), toIssues(warnings), payload)
+	}
+}
+
+function checkEncode(t, format, objects, options) {
+	const compiledFormat = compileFormat(format, options)
+
+	for (const object of objects) {
+		var errors = []
+		var warnings = []
+		const expected = objectToPayload(object, format, errors, warnings, options)
+
+		var compiledErrors = []
+		var compiledWarnings = []
+		const value = compiledFormat.encode(object, compiledErrors, compiledWarnings)
+
+		t.is(value, expected)
+		t.deepEqual(toIssues(compiledErrors), toIssues(errors))
+		t.deepEqual(toIssues(compiledWarnings), toIssues(warnings))
+	}
+}
+
+test('invalid-format', t => {
+	const error = t.throws(() => {
+		compileFormat({ type: 'foo' })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value of 'type' is incorrect")
+})
+
+test('non-lazy-validation', t => {
+	const compiledFormat = compileFormat({ type: 'array', value: { type: 'number', minimum: 0 } })
+
+	t.deepEqual(compiledFormat.decode('[1, 2]'), [1, 2])
+	t.is(compiledFormat.encode([1, 2]), '[1,2]')
+
+	var error = t.throws(() => {
+		compiledFormat.decode('[1, -2, -3]')
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['[1]'])
+	t.is(error.message, "value must be equal or greater than 0")
+
+	var error = t.throws(() => {
+		compiledFormat.encode([1, 'foo'])
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['[1]'])
+	t.is(error.message, "was expecting a number")
+})
+
+test('scalar-types', t => {
+	checkDecode(t, { type: 'flag' }, ['true', '42', 'null'])
+	checkDecode(t, { type: 'number', decimal: false, minimum: 0, maximum: { value: 10, exclusive: true } }, ['5', '5.5', '-1', '10', '"5"'])
+	checkDecode(t, { type: 'decimal', scale: 2, minimum: '0.5' }, ['"1.5"', '"0.1"', '"foo"', '1.5'])
+	checkDecode(t, { type: 'string', length: { minimum: 2, maximum: 4 }, pattern: '^[a-z]+$' }, ['"abc"', '"a"', '"ABCDEF"', '42'])
+	checkDecode(t, { type: 'date' }, ['"2023-07-14"', '"2023-13-14"'])
+	checkDecode(t, { type: 'time' }, ['"12:30:00"', '"12:30:00+02:00"', '"foo"'])
+	checkDecode(t, { type: 'datetime' }, ['"2023-07-14T12:30:00Z"', '"foo"'])
+	checkDecode(t, { type: 'bytes', length: 3 }, ['"AQID"', '"AQ=="', '"!!"'])
+	checkDecode(t, { type: 'enum', values: ['foo', 'bar'] }, ['"foo"', '"quz"', '42'])
+	checkDecode(t, { type: 'literal', value: 2 }, ['2', '3', '"2"'])
+	checkDecode(t, { type: 'literal', value: 'foo bar' }, ['"foo bar"', '"foo"', 'null'])
+
+	checkEncode(t, { type: 'decimal', scale: 2 }, [Decimal.parse('1.5'), '1.5', 42])
+	checkEncode(t, { type: 'date' }, [new Date('2023-07-14'), '2023-07-14'])
+	checkEncode(t, { type: 'bytes' }, [new Uint8Array([1, 2, 3]), 'foo'])
+	checkEncode(t, { type: 'literal', value: true }, [true, false, 'true'])
+})
+
+test('container-types', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'number', option: true }, length: { maximum: 3 } },
+			bar: { type: 'object', key: 'integer', value: { type: 'flag' }, length: 1 },
+			quz: { type: 'tuple', items: [{ type: 'string' }, { type: 'number' }] }
+		}
+	}
+
+	checkDecode(t, format, [
+		'{"foo": [1, null, 3], "bar": {"1": true}, "quz": ["a", 1]}',
+		'{"foo": [1, "2", 3, 4], "bar": {"a": true, "2": 42}, "quz": ["a"]}',
+		'{"foo": {}, "bar": [], "quz": {}}',
+		'{"foo": [], "bar": {}, "quz": [1, "a"], "yolo": 42}',
+		'{}',
+		'[]'
+	])
+
+	checkEncode(t, format, [
+		{ foo: [1, null, 3], bar: { 1: true }, quz: ['a', 1] },
+		{ foo: [1, '2', 3, 4], bar: { 'a': true, 2: 42 }, quz: ['a'] },
+		{ foo: [], bar: {}, quz: [1, 'a'], yolo: 42 },
+		{}
+	])
+})
+
+test('unique-items', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'map', fields: { id: { type: 'number' } } }, unique: 'id' },
+			bar: { type: 'set', value: { type: 'string' }, option: true }
+		}
+	}
+
+	checkDecode(t, format, [
+		'{"foo": [{"id": 1}, {"id": 2}], "bar": ["a", "b"]}',
+		'{"foo": [{"id": 1}, {"id": 2}, {"id": 1}], "bar": ["a", "b", "a", "a"]}',
+		'{"foo": [], "bar": {}}',
+		'{"foo": [{"id": 1}, {"id": "1"}]}'
+	])
+
+	// items are compared once decoded in both directions
+	const decimalFormat = { type: 'array', value: { type: 'decimal' }, unique: true }
+	checkDecode(t, decimalFormat, ['["1.0", "1"]', '["1.0", "1.5", "foo"]'])
+	checkEncode(t, decimalFormat, [[Decimal.parse('1.0'), '1']])
+
+	const datetimeFormat = { type: 'array', value: { type: 'datetime', timezone: true }, unique: true }
+	checkDecode(t, datetimeFormat, ['["2023-07-14T10:00:00+02:00", "2023-07-14T08:00:00Z"]'])
+
+	checkEncode(t, format, [
+		{ foo: [{ id: 1 }, { id: 2 }], bar: new Set(['a', 'b']) },
+		{ foo: [{ id: 1 }, { id: 1 }], bar: ['a', 'b', 'a'] },
+		{ foo: [], bar: 42 }
+	])
+})
+
+test('map-constraints', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			email: { type: 'string', option: true },
+			phone: { type: 'string', option: true },
+			minimum: { type: 'number', default: 0 },
+			maximum: { type: 'number', option: true }
+		},
+		constraints: [
+			{ exclusive: ['email', 'phone'] },
+			{ any: ['email', 'phone'] },
+			{ compare: ['maximum', '>', 'minimum'], when: 'email' }
+		]
+	}
+
+	checkDecode(t, format, [
+		'{"email": "foo@bar.com", "maximum": 42}',
+		'{"email": "foo@bar.com", "phone": "123", "maximum": -1}',
+		'{"phone": "123", "maximum": -1}',
+		'{"email": 42}',
+		'{}'
+	])
+
+	checkEncode(t, format, [
+		{ email: 'foo@bar.com', maximum: 42 },
+		{ email: 'foo@bar.com', phone: '123', maximum: -1 },
+		{ minimum: 1 }
+	])
+})
+
+test('map-fields', t => {
+	const fields = {
+		foo: { type: 'number', option: true },
+		bar: { type: 'number', option: true, nullable: false },
+		quz: { type: 'number', option: true, default: 42 },
+		yolo: { type: 'decimal', default: '1.5' }
+	}
+
+	checkDecode(t, { type: 'map', fields: fields }, ['{}', '{"foo": null, "bar": null}', '{"foo": 1, "bar": 2, "quz": 3, "yolo": "2"}'])
+	checkDecode(t, { type: 'map', fields: fields, absent: 'omit' }, ['{}', '{"foo": null}'])
+	checkEncode(t, { type: 'map', fields: fields }, [{}, { foo: null, bar: null }])
+	checkEncode(t, { type: 'map', fields: fields, absent: 'omit' }, [{}, { foo: null }])
+})
+
+test('union-types', t => {
+	const format = {
+		type: 'union',
+		variants: [
+			{ type: 'number', minimum: 0 },
+			{ type: 'string' },
+			{ type: 'array', value: { type: 'flag' } }
+		]
+	}
+	checkDecode(t, format, ['1', '-1', '"foo"', '[true]', '[42]', 'true'])
+	checkEncode(t, format, [1, -1, 'foo', [true], [42]])
+
+	const taggedFormat = {
+		type: 'union',
+		discriminator: 'kind',
+		variants: [
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['foo'] }, value: { type: 'number' } } },
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['bar'] }, value: { type: 'string' } } }
+		]
+	}
+	checkDecode(t, taggedFormat, [
+		'{"kind": "foo", "value": 1}',
+		'{"kind": "bar", "value": 1}',
+		'{"kind": "quz"}',
+		'{"value": 1}',
+		'[]'
+	])
+	checkEncode(t, taggedFormat, [{ kind: 'foo', value: 1 }, { kind: 'bar', value: 1 }, { kind: 'quz' }])
+
+	const versionedFormat = {
+		type: 'union',
+		discriminator: 'version',
+		variants: [
+			{ type: 'map', fields: { version: { type: 'literal', value: 1 }, name: { type: 'string' } } },
+			{ type: 'map', fields: { version: { type: 'literal', value: 2 }, names: { type: 'array', value: { type: 'string' } } } }
+		]
+	}
+	checkDecode(t, versionedFormat, ['{"version": 1, "name": "foo"}', '{"version": 2, "name": "foo"}', '{"version": "1"}'])
+	checkEncode(t, versionedFormat, [{ version: 2, names: ['foo'] }, { version: 3 }])
+})
+
+test('deprecated-property', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'number', option: true, deprecated: "use 'bar' instead" },
+			bar: { type: 'enum', values: ['foo', { value: 'bar', deprecated: true }], default: 'bar' }
+		}
+	}
+
+	checkDecode(t, format, ['{}', '{"foo": 1, "bar": "foo"}', '{"foo": null, "bar": "bar"}'])
+	checkEncode(t, format, [{}, { foo: 1, bar: 'bar' }])
+})
+
+test('named-types', t => {
+	const format = {
+		types: {
+			node: {
+				type: 'map',
+				fields: {
+					value: { type: 'number' },
+					children: { type: 'array', value: { type: 'node' } }
+				}
+			}
+		},
+		type: 'node',
+		option: true
+	}
+
+	checkDecode(t, format, [
+		'{"value": 1, "children": [{"value": 2, "children": []}]}',
+		'{"value": 1, "children": [{"value": "2", "children": [{}]}]}',
+		'null'
+	])
+	checkEncode(t, format, [{ value: 1, children: [{ value: '2', children: [] }] }])
+
+	const options = { types: { point: { type: 'tuple', items: [{ type: 'number' }, { type: 'number' }] } } }
+	checkDecode(t, { type: 'array', value: { type: 'point' } }, ['[[1, 2]]', '[[1]]'], options)
+})
+
+test('deeply-nested-values', t => {
+	// Nested values exhausting the call stack are processed by the iterative
+	// implementation.
+	const format = {
+		types: {
+			nested: { type: 'array', value: { type: 'nested' }, length: { maximum: 1 } }
+		},
+		type: 'nested'
+	}
+
+	const depth = 10000
+	checkDecode(t, format, ['['.repeat(depth) + ']'.repeat(depth)])
+	checkDecode(t, format, ['['.repeat(depth) + '[], []' + ']'.repeat(depth)])
+})
+
+test('benchmark', t => {
+	const format = {
+		types: {
+			item: {
+				type: 'map',
+				fields: {
+					id: { type: 'string', pattern: '^[a-z0-9]+$' },
+					count: { type: 'number', minimum: 0 },
+					price: { type: 'decimal', scale: 2, option: true },
+					tags: { type: 'array', value: { type: 'enum', values: ['foo', 'bar'] } }
+				}
+			}
+		},
+		type: 'array',
+		value: { type: 'item' }
+	}
+
+	const items = Array.from({ length: 1000 }, (_, index) => ({ id: `x${index}`, count: index, price: '1.50', tags: ['foo', 'bar'] }))
+	const payload = JSON.stringify(items)
+	const object = payloadToObject(payload, format)
+
+	const compiledFormat = compileFormat(format)
+	t.deepEqual(compiledFormat.decode(payload), object)
+	t.is(compiledFormat.encode(object), objectToPayload(object, format))
+
+	function measure(callback) {
+		const start = process.hrtime.bigint()
+		for (var index = 0; index < 20; index++) {
+			callback()
+		}
+
+		return Number(process.hrtime.bigint() - start) / 1e6
+	}
+
+	t.log(`decoding: ${measure(() => payloadToObject(payload, format)).toFixed(1)}ms (interpreted), ${measure(() => compiledFormat.decode(payload)).toFixed(1)}ms (compiled)`)
+	t.log(`encoding: ${measure(() => objectToPayload(object, format)).toFixed(1)}ms (interpreted), ${measure(() => compiledFormat.encode(object)).toFixed(1)}ms (compiled)`)
+})
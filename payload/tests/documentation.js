@@ -0,0 +1,298 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { formatToMarkdown, formatToHTML, ValidationError } from '../src/index.js'
+
+test('scalar-types', t => {
+	t.is(formatToMarkdown({ type: 'flag' }), [
+		"# Format",
+		"",
+		"- **Type:** `flag`",
+		""
+	].join('\n'))
+
+	t.is(formatToMarkdown({ type: 'number', decimal: false, minimum: 0, maximum: { value: 10, exclusive: true }, option: true }), [
+		"# Format",
+		"",
+		"- **Type:** `integer` or `null`",
+		"- **Constraints:** ≥ 0; \\< 10",
+		""
+	].join('\n'))
+
+	t.is(formatToMarkdown({ type: 'string', name: "Code", description: "A code.", length: 8, pattern: '^[A-Z`]+$' }), [
+		"# Code",
+		"",
+		"A code.",
+		"",
+		"- **Type:** `string`",
+		"- **Constraints:** length 8; matches ``^[A-Z`]+$``",
+		""
+	].join('\n'))
+
+	t.is(
+		formatToMarkdown({ type: 'enum', values: ['foo', 'bar'] }, { title: "Foo" }),
+		"# Foo\n\n- **Type:** `enum`\n- **Constraints:** one of `foo`, `bar`\n"
+	)
+	t.is(
+		formatToMarkdown({ type: 'literal', value: "invoice" }, { title: "Foo" }),
+		"# Foo\n\n- **Type:** `literal`\n- **Constraints:** equals `\"invoice\"`\n"
+	)
+	t.is(
+		formatToMarkdown({ type: 'datetime', timezone: true }),
+		"# Format\n\n- **Type:** `datetime`\n- **Constraints:** time zone offset required\n"
+	)
+	t.is(
+		formatToMarkdown({ type: 'decimal', precision: 6, scale: 2 }),
+		"# Format\n\n- **Type:** `decimal`\n- **Constraints:** at most 6 digits; at most 2 digits after the decimal point\n"
+	)
+})
+
+test('map-type', t => {
+	const format = {
+		name: "User",
+		description: "A user of the platform.\n\nUsers are created on sign up.",
+		type: 'map',
+		fields: {
+			name: { type: 'string', length: { minimum: 1, maximum: 64 }, description: "The full name." },
+			email: { type: 'string', format: 'email', option: true },
+			phone: { type: 'string', option: true, nullable: false },
+			role: { type: 'enum', values: ['admin', 'member'], default: 'member', description: "The role;\nadmin or member." },
+			address: {
+				type: 'map',
+				fields: {
+					city: { type: 'string' }
+				},
+				option: true
+			}
+		}
+	}
+
+	t.is(formatToMarkdown(format), [
+		"# User",
+		"",
+		"A user of the platform.",
+		"",
+		"Users are created on sign up.",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `name` | `string` | yes | length 1 to 64 | The full name. |",
+		"| `email` | `string` or `null` | no | `email` format |  |",
+		"| `phone` | `string` | no |  |  |",
+		"| `role` | `enum` | no (defaults to `\"member\"`) | one of `admin`, `member` | The role;<br>admin or member. |",
+		"| `address` | [`map`](#useraddress) or `null` | no |  |  |",
+		"",
+		"## User.address",
+		"",
+		"- **Type:** `map` or `null`",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `city` | `string` | yes |  |  |",
+		""
+	].join('\n'))
+})
+
+test('container-types', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'number', option: true }, length: { minimum: 1 } },
+			bar: { type: 'object', key: 'integer', value: { type: 'map', fields: { quz: { type: 'flag' } } } },
+			quz: { type: 'tuple', items: [{ type: 'string' }, { type: 'bytes' }] },
+			yolo: { type: 'union', variants: [{ type: 'flag' }, { type: 'string', pattern: 'a|b' }] },
+			tags: { type: 'set', value: { type: 'string' } },
+			users: { type: 'array', value: { type: 'map', fields: { id: { type: 'number' } } }, unique: 'id' }
+		}
+	}
+
+	const lines = formatToMarkdown(format).split('\n')
+	t.is(lines[4], "| `foo` | `array` of (`number` or `null`) | yes | length ≥ 1 |  |")
+	t.is(lines[5], "| `bar` | `object` of [`map`](#formatbar) | yes | integer keys |  |")
+	t.is(lines[6], "| `quz` | `tuple` of `string`, `bytes` | yes |  |  |")
+	t.is(lines[7], "| `yolo` | `flag` or `string` | yes |  |  |")
+	t.is(lines[8], "| `tags` | `set` of `string` | yes |  |  |")
+	t.is(lines[9], "| `users` | `array` of [`map`](#formatusers) | yes | unique `id` |  |")
+	t.is(lines[11], "## Format.bar{}")
+})
+
+test('named-types', t => {
+	const format = {
+		types: {
+			node: {
+				type: 'map',
+				description: "A node of the tree.",
+				fields: {
+					value: { type: 'number' },
+					children: { type: 'array', value: { type: 'node' } }
+				}
+			},
+			shape: {
+				type: 'union',
+				discriminator: 'kind',
+				variants: [
+					{ type: 'map', name: "Circle", fields: { kind: { type: 'enum', values: ['circle'] } } },
+					{ type: 'map', fields: { kind: { type: 'enum', values: ['square'] } } }
+				]
+			}
+		},
+		type: 'map',
+		fields: {
+			root: { type: 'node', option: true },
+			shape: { type: 'shape' }
+		}
+	}
+
+	t.is(formatToMarkdown(format), [
+		"# Format",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `root` | [`node`](#node) or `null` | no |  |  |",
+		"| `shape` | [`shape`](#shape) | yes |  |  |",
+		"",
+		"## node",
+		"",
+		"A node of the tree.",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `value` | `number` | yes |  |  |",
+		"| `children` | `array` of [`node`](#node) | yes |  |  |",
+		"",
+		"## shape",
+		"",
+		"- **Type:** [`map`](#circle) or [`map`](#shape-variant-2)",
+		"- **Constraints:** discriminated by `kind`",
+		"",
+		"## Circle",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `kind` | `enum` | yes | one of `circle` |  |",
+		"",
+		"## shape (variant 2)",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `kind` | `enum` | yes | one of `square` |  |",
+		""
+	].join('\n'))
+
+	// Named types passed as options are documented too.
+	const options = { types: { point: { type: 'tuple', items: [{ type: 'number' }, { type: 'number' }] } } }
+	t.is(formatToMarkdown({ type: 'point' }, options), [
+		"# Format",
+		"",
+		"- **Type:** [`point`](#point)",
+		"",
+		"## point",
+		"",
+		"- **Type:** `tuple` of `number`, `number`",
+		""
+	].join('\n'))
+})
+
+test('html-rendering', t => {
+	const format = {
+		name: "Foo & bar",
+		description: "The <foo> block.",
+		type: 'map',
+		fields: {
+			foo: { type: 'string', pattern: '^<[a-z]+>$', description: "A tag;\nin brackets." },
+			bar: { type: 'array', value: { type: 'map', fields: { quz: { type: 'flag' } } }, option: true }
+		}
+	}
+
+	t.is(formatToHTML(format), [
+		"<h1 id=\"foo--bar\">Foo &amp; bar</h1>",
+		"<p>The &lt;foo&gt; block.</p>",
+		"<table>",
+		"<thead>",
+		"<tr><th>Field</th><th>Type</th><th>Required</th><th>Constraints</th><th>Description</th></tr>",
+		"</thead>",
+		"<tbody>",
+		"<tr><td><code>foo</code></td><td><code>string</code></td><td>yes</td><td>matches <code>^&lt;[a-z]+&gt;$</code></td><td>A tag;<br>in brackets.</td></tr>",
+		"<tr><td><code>bar</code></td><td><code>array</code> of <a href=\"#foo--barbar\"><code>map</code></a> or <code>null</code></td><td>no</td><td></td><td></td></tr>",
+		"</tbody>",
+		"</table>",
+		"<h2 id=\"foo--barbar\">Foo &amp; bar.bar[]</h2>",
+		"<table>",
+		"<thead>",
+		"<tr><th>Field</th><th>Type</th><th>Required</th><th>Constraints</th><th>Description</th></tr>",
+		"</thead>",
+		"<tbody>",
+		"<tr><td><code>quz</code></td><td><code>flag</code></td><td>yes</td><td></td><td></td></tr>",
+		"</tbody>",
+		"</table>",
+		""
+	].join('\n'))
+})
+
+test('invalid-format', t => {
+	const error = t.throws(() => {
+		formatToMarkdown({ type: 'map', fields: { foo: { type: 'bar' } } })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['$foo'])
+	t.is(error.message, "value of 'type' is incorrect")
+
+	t.throws(() => {
+		formatToHTML({ type: 'foo' })
+	}, {instanceOf: ValidationError})
+})
+
+test('map-constraints', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			method: { type: 'enum', values: ['card', 'cash'] },
+			card: { type: 'string', option: true },
+			email: { type: 'string', option: true },
+			phone: { type: 'string', option: true },
+			start: { type: 'date' },
+			end: { type: 'date', option: true }
+		},
+		constraints: [
+			{ requires: ['card'], when: { method: 'card' } },
+			{ exclusive: ['email', 'phone'] },
+			{ any: ['email', 'phone'], when: 'end' },
+			{ compare: ['end', '>', 'start'] }
+		]
+	}
+
+	const lines = formatToMarkdown(format).split('\n')
+	t.is(lines[2], "- **Constraints:** `card` required when `method` is `\"card\"`; at most one of `email`, `phone`; at least one of `email`, `phone` when `end` is present; `end` \\> `start`")
+
+	t.true(formatToHTML(format).includes("<code>end</code> &gt; <code>start</code>"))
+})
+
+test('deprecated-property', t => {
+	const format = {
+		name: "User",
+		type: 'map',
+		fields: {
+			name: { type: 'string', deprecated: "use 'first' | 'last'" },
+			role: { type: 'enum', values: ['admin', { value: 'owner', deprecated: true }] }
+		},
+		deprecated: "use a | b"
+	}
+
+	t.is(formatToMarkdown(format), [
+		"# User",
+		"",
+		"- **Constraints:** deprecated: use a | b",
+		"",
+		"| Field | Type | Required | Constraints | Description |",
+		"| --- | --- | --- | --- | --- |",
+		"| `name` | `string` | yes | deprecated: use 'first' \\| 'last' |  |",
+		"| `role` | `enum` | yes | one of `admin`, `owner` (deprecated) |  |",
+		""
+	].join('\n'))
+})
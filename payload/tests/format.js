@@ -887,3 +887,1234 @@ test('enum-type', t => {
 	t.is(errors[3].message, "value must be a bool")
 })
 
+
+test('named-types', t => {
+	// test minimal format
+	var format = {
+		types: {
+			user: {
+				type: 'map',
+				fields: {
+					name: { type: 'string' },
+					email: { type: 'string', option: true }
+				}
+			}
+		},
+		type: 'map',
+		fields: {
+			author: { type: 'user' },
+			reviewers: {
+				type: 'array',
+				value: { type: 'user' }
+			},
+			pair: {
+				type: 'tuple',
+				items: [{ type: 'user' }, { type: 'user', option: true }]
+			}
+		}
+	}
+	validateFormat(format)
+
+	// test the root block referencing a named type
+	validateFormat({ types: format.types, type: 'user', option: true, name: "User" })
+
+	// test if references only accept the common properties
+	var error = t.throws(() => {
+		validateFormat({ types: format.types, type: 'user', fields: {} })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'fields' property is unexpected")
+
+	// test the 'types' property
+	for (const value of [false, 42, "Hello world!", []]) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'flag', types: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['types'])
+		t.is(error.message, "value must be an object")
+	}
+
+	for (const name of VALID_NAMES) {
+		validateFormat({ type: 'flag', types: { [name]: { type: 'flag' } } })
+	}
+
+	for (const name of INVALID_NAMES) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'flag', types: { [name]: { type: 'flag' } } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['types'])
+		t.is(error.message, `'${name}' is an incorrect type name`)
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'flag', types: { map: { type: 'flag' } } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['types'])
+	t.is(error.message, "'map' type name is reserved")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'flag', types: { foo: { type: 'number', minimum: 'bar' } } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['types', 'foo', 'minimum'])
+	t.is(error.message, "value must be either a number or an object")
+
+	// test if named types can only be declared in the root block
+	var error = t.throws(() => {
+		validateFormat({ type: 'array', value: { type: 'flag', types: {} } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[]'])
+	t.is(error.message, "'types' property is unexpected")
+
+	// test unknown names
+	var error = t.throws(() => {
+		validateFormat({ ...format, fields: { author: { type: 'admin' } } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$author'])
+	t.is(error.message, "value of 'type' is incorrect")
+
+	// test named types declared by other formats
+	const otherFormat = {
+		types: {
+			admin: { type: 'map', fields: { level: { type: 'number' } } }
+		},
+		type: 'admin'
+	}
+
+	const referencingFormat = {
+		type: 'map',
+		fields: { author: { type: 'admin' } }
+	}
+
+	validateFormat(referencingFormat, undefined, undefined, { types: otherFormat.types })
+	validateFormat(referencingFormat, undefined, undefined, { types: [otherFormat.types, format.types] })
+
+	// test ambiguous names
+	var error = t.throws(() => {
+		validateFormat(referencingFormat, undefined, undefined, {
+			types: [otherFormat.types, { admin: { type: 'flag' } }]
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$author'])
+	t.is(error.message, "'admin' type is ambiguous")
+
+	var error = t.throws(() => {
+		validateFormat({ ...referencingFormat, types: { admin: { type: 'flag' } } }, undefined, undefined, {
+			types: otherFormat.types
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$author'])
+	t.is(error.message, "'admin' type is ambiguous")
+
+	// declaring the same name more than once is fine if it's never referenced
+	validateFormat(format, undefined, undefined, {
+		types: [otherFormat.types, { admin: { type: 'flag' } }]
+	})
+	t.pass()
+})
+
+test('recursive-types', t => {
+	// test trees terminating with an optional field, an array or an object
+	validateFormat({
+		types: {
+			node: {
+				type: 'map',
+				fields: {
+					value: { type: 'number' },
+					next: { type: 'node', option: true }
+				}
+			}
+		},
+		type: 'node'
+	})
+
+	validateFormat({
+		types: {
+			comment: {
+				type: 'map',
+				fields: {
+					text: { type: 'string' },
+					replies: { type: 'array', value: { type: 'comment' } }
+				}
+			}
+		},
+		type: 'array',
+		value: { type: 'comment' }
+	})
+
+	validateFormat({
+		types: {
+			employee: {
+				type: 'map',
+				fields: {
+					name: { type: 'string' },
+					reports: { type: 'object', key: 'string', value: { type: 'employee' } }
+				}
+			}
+		},
+		type: 'employee'
+	})
+
+	// test mutually recursive types
+	validateFormat({
+		types: {
+			a: { type: 'tuple', items: [{ type: 'number' }, { type: 'b' }] },
+			b: { type: 'map', fields: { a: { type: 'a', option: true } } }
+		},
+		type: 'a'
+	})
+
+	// test types that can never terminate
+	var error = t.throws(() => {
+		validateFormat({
+			types: {
+				node: {
+					type: 'map',
+					fields: {
+						value: { type: 'number' },
+						next: { type: 'node' }
+					}
+				}
+			},
+			type: 'node'
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['types', 'node'])
+	t.is(error.message, "'node' type is infinitely recursive")
+
+	var errors = []
+	validateFormat({
+		types: {
+			a: { type: 'a' },
+			b: { type: 'tuple', items: [{ type: 'c' }] },
+			c: { type: 'array', value: { type: 'b' }, length: { minimum: 1 } },
+			d: { type: 'array', value: { type: 'b' } }
+		},
+		type: 'd'
+	}, errors)
+
+	t.is(errors.length, 3)
+	t.deepEqual(errors[0].path, ['types', 'a'])
+	t.is(errors[0].message, "'a' type is infinitely recursive")
+	t.deepEqual(errors[1].path, ['types', 'b'])
+	t.is(errors[1].message, "'b' type is infinitely recursive")
+	t.deepEqual(errors[2].path, ['types', 'c'])
+	t.is(errors[2].message, "'c' type is infinitely recursive")
+
+	// test if aliases looping back to themselves are infinite, even if they're
+	// optional
+	var errors = []
+	validateFormat({
+		types: {
+			a: { type: 'a', option: true },
+			b: { type: 'c', nullable: true },
+			c: { type: 'b' },
+			d: { type: 'a', option: true }
+		},
+		type: 'map',
+		fields: {
+			x: { type: 'a' }
+		}
+	}, errors)
+
+	t.deepEqual(errors.map(error => [error.path, error.message]), [
+		[['types', 'a'], "'a' type is infinitely recursive"],
+		[['types', 'b'], "'b' type is infinitely recursive"],
+		[['types', 'c'], "'c' type is infinitely recursive"],
+		[['types', 'd'], "'d' type is infinitely recursive"]
+	])
+})
+
+function temporalBoundPropertyTest(t, format, kind, lower, upper, invalid) {
+	validateFormat({ ...format, minimum: lower })
+	validateFormat({ ...format, maximum: upper })
+	validateFormat({ ...format, minimum: lower, maximum: upper })
+	validateFormat({ ...format, minimum: { value: lower, exclusive: true }, maximum: { value: upper } })
+
+	for (const key of ['minimum', 'maximum']) {
+		for (const value of [invalid, "Hello world!", 42]) {
+			var error = t.throws(() => {
+				validateFormat({ ...format, [key]: value })
+			}, {instanceOf: ValidationError})
+
+			t.deepEqual(error.path, [key])
+			t.is(error.message, `value must be an ISO-8601 ${kind}`)
+		}
+
+		var error = t.throws(() => {
+			validateFormat({ ...format, [key]: { value: invalid } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [key, 'value'])
+		t.is(error.message, `value must be an ISO-8601 ${kind}`)
+
+		var error = t.throws(() => {
+			validateFormat({ ...format, [key]: { exclusive: true } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [key])
+		t.is(error.message, "'value' property is missing")
+
+		var error = t.throws(() => {
+			validateFormat({ ...format, [key]: { value: lower, exclusive: 42 } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [key, 'exclusive'])
+		t.is(error.message, "value must be a bool")
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ ...format, minimum: upper, maximum: lower })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "minimum must be lower than maximum")
+}
+
+test('date-type', t => {
+	// test minimal format
+	var format = { type: 'date' }
+	validateFormat(format)
+
+	// test 'name' and 'description' properties
+	namePropertyTest(t, format)
+	descriptionPropertyTest(t, format)
+
+	// test 'minimum' and 'maximum' properties
+	temporalBoundPropertyTest(t, format, 'date', '2023-01-01', '2023-12-31', '2023-02-29')
+
+	// test the 'option' property
+	optionPropertyTest(t, format, [])
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+
+	var error = t.throws(() => {
+		validateFormat({ ...format, timezone: true })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'timezone' property is unexpected")
+})
+
+test('time-type', t => {
+	// test minimal format
+	var format = { type: 'time' }
+	validateFormat(format)
+
+	// test 'name' and 'description' properties
+	namePropertyTest(t, format)
+	descriptionPropertyTest(t, format)
+
+	// test 'minimum' and 'maximum' properties
+	temporalBoundPropertyTest(t, format, 'time', '08:00', '18:30:00.5', '24:00')
+
+	// test 'timezone' property
+	boolValuePropertyTest(t, format, 'timezone', [])
+
+	// test the 'option' property
+	optionPropertyTest(t, format, [])
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+})
+
+test('datetime-type', t => {
+	// test minimal format
+	var format = { type: 'datetime' }
+	validateFormat(format)
+
+	// test 'name' and 'description' properties
+	namePropertyTest(t, format)
+	descriptionPropertyTest(t, format)
+
+	// test 'minimum' and 'maximum' properties
+	temporalBoundPropertyTest(t, format, 'datetime', '2023-01-01T00:00:00Z', '2023-01-01T08:00:00+02:00', '2023-01-01 00:00:00')
+
+	// test 'timezone' property
+	boolValuePropertyTest(t, format, 'timezone', [])
+
+	// test the 'option' property
+	optionPropertyTest(t, format, [])
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+})
+
+test('decimal-type', t => {
+	// test minimal format
+	var format = { type: 'decimal' }
+	validateFormat(format)
+
+	// test 'name' and 'description' properties
+	namePropertyTest(t, format)
+	descriptionPropertyTest(t, format)
+
+	// test 'precision' and 'scale' properties
+	validateFormat({ ...format, precision: 10 })
+	validateFormat({ ...format, scale: 0 })
+	validateFormat({ ...format, precision: 10, scale: 2 })
+	validateFormat({ ...format, precision: 2, scale: 2 })
+
+	for (const value of [0, -1, 4.2, "10", true]) {
+		var error = t.throws(() => {
+			validateFormat({ ...format, precision: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['precision'])
+		t.is(error.message, "value must be an integer greater than zero")
+	}
+
+	for (const value of [-1, 4.2, "2", true]) {
+		var error = t.throws(() => {
+			validateFormat({ ...format, scale: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['scale'])
+		t.is(error.message, "value must be an integer greater or equal to zero")
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ ...format, precision: 4, scale: 5 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "scale must be lower or equal to precision")
+
+	// test 'minimum' and 'maximum' properties
+	validateFormat({ ...format, minimum: "0.01", maximum: "99999999999999999999.99" })
+	validateFormat({ ...format, minimum: 0, maximum: { value: "100", exclusive: true } })
+
+	for (const key of ['minimum', 'maximum']) {
+		for (const value of ["Hello world!", "1e10", "1.", true]) {
+			var error = t.throws(() => {
+				validateFormat({ ...format, [key]: value })
+			}, {instanceOf: ValidationError})
+
+			t.deepEqual(error.path, [key])
+			t.is(error.message, "value must be a decimal number")
+		}
+
+		var error = t.throws(() => {
+			validateFormat({ ...format, [key]: { value: "foo" } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [key, 'value'])
+		t.is(error.message, "value must be a decimal number")
+	}
+
+	// the comparison of bounds doesn't suffer from floating-point rounding
+	var error = t.throws(() => {
+		validateFormat({ ...format, minimum: "9007199254740993", maximum: "9007199254740992" })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "minimum must be lower than maximum")
+
+	// test the 'option' property
+	optionPropertyTest(t, format, [])
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+})
+
+test('bytes-type', t => {
+	// test minimal format
+	var format = { type: 'bytes' }
+	validateFormat(format)
+
+	// test 'name' and 'description' properties
+	namePropertyTest(t, format)
+	descriptionPropertyTest(t, format)
+
+	// test 'encoding' property
+	validateFormat({ ...format, encoding: 'base64' })
+	validateFormat({ ...format, encoding: 'base64url' })
+
+	for (const value of ['hex', 42, true]) {
+		var error = t.throws(() => {
+			validateFormat({ ...format, encoding: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['encoding'])
+		t.is(error.message, "value must be either 'base64' or 'base64url'")
+	}
+
+	// test 'length' property
+	lengthPropertyTest(t, format)
+
+	// test the 'option' property
+	optionPropertyTest(t, format, [])
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+})
+
+test('string-formats', t => {
+	for (const name of ['email', 'uri', 'uuid', 'hostname', 'ipv4', 'ipv6', 'ip']) {
+		validateFormat({ type: 'string', format: name })
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'string', format: 'phone' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['format'])
+	t.is(error.message, "'phone' is an unknown format")
+
+	for (const value of [false, 42, []]) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'string', format: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['format'])
+		t.is(error.message, "value must be a string")
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'number', format: 'uuid' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'format' property is unexpected")
+})
+
+test('union-type', t => {
+	// test minimal format
+	var format = {
+		type: 'union',
+		variants: [
+			{ type: 'number' },
+			{ type: 'string' }
+		]
+	}
+	validateFormat(format)
+	missingPropertyTest(t, { type: 'union' }, 'variants')
+
+	// test 'name' and 'description' properties
+	namePropertyTest(t, format)
+	descriptionPropertyTest(t, format)
+
+	// test the 'variants' property
+	for (const value of [false, 42, "Hello world!", {}]) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'union', variants: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['variants'])
+		t.is(error.message, "value must be an array")
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'union', variants: [] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['variants'])
+	t.is(error.message, "must contain at least one variant")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'union', variants: [{ type: 'flag' }, { type: 'foo' }] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(1)'])
+	t.is(error.message, "value of 'type' is incorrect")
+
+	// test the 'discriminator' property
+	const discriminatedFormat = {
+		types: {
+			transfer: {
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['transfer', 'wire'] },
+					iban: { type: 'string' }
+				}
+			}
+		},
+		type: 'union',
+		discriminator: 'method',
+		variants: [
+			{
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['card'] },
+					number: { type: 'string' }
+				}
+			},
+			{ type: 'transfer' }
+		]
+	}
+	validateFormat(discriminatedFormat)
+
+	var error = t.throws(() => {
+		validateFormat({ ...discriminatedFormat, discriminator: 42 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['discriminator'])
+	t.is(error.message, "value must be a string")
+
+	var error = t.throws(() => {
+		validateFormat({ ...discriminatedFormat, variants: [{ type: 'flag' }] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(0)'])
+	t.is(error.message, "variant must be a map")
+
+	var error = t.throws(() => {
+		validateFormat({ ...discriminatedFormat, discriminator: 'iban' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(0)'])
+	t.is(error.message, "'iban' discriminator field is missing")
+
+	var error = t.throws(() => {
+		validateFormat({ ...discriminatedFormat, discriminator: 'number', variants: [discriminatedFormat.variants[0]] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(0)', '$number'])
+	t.is(error.message, "discriminator field must be an enum or a literal")
+
+	var errors = []
+	validateFormat({
+		...discriminatedFormat,
+		variants: [
+			{
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['card', 'wire'], option: true }
+				}
+			},
+			{ type: 'transfer' }
+		]
+	}, errors)
+
+	t.is(errors.length, 2)
+	t.deepEqual(errors[0].path, ['(0)', '$method'])
+	t.is(errors[0].message, "discriminator field must not be optional")
+	t.deepEqual(errors[1].path, ['(1)', '$method'])
+	t.is(errors[1].message, "'wire' discriminator value is duplicated")
+
+	// test the 'option' property
+	optionPropertyTest(t, format, [])
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+})
+
+test('default-property', t => {
+	validateFormat({ type: 'flag', default: true })
+	validateFormat({ type: 'number', minimum: 0, default: 0 })
+	validateFormat({ type: 'date', default: '2023-01-01' })
+	validateFormat({ type: 'decimal', scale: 2, default: '0.00' })
+	validateFormat({ type: 'string', option: true, default: null })
+	validateFormat({ type: 'array', value: { type: 'number' }, default: [1, 2, 3] })
+	validateFormat({
+		types: {
+			settings: {
+				type: 'map',
+				fields: {
+					theme: { type: 'enum', values: ['light', 'dark'], default: 'light' },
+					size: { type: 'number' }
+				}
+			}
+		},
+		type: 'map',
+		fields: {
+			settings: { type: 'settings', default: { size: 12 } }
+		}
+	})
+
+	// test if the default value is checked against the block
+	var error = t.throws(() => {
+		validateFormat({ type: 'number', minimum: 0, default: -1 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['default'])
+	t.is(error.message, "value must be equal or greater than 0")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'string', default: null })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['default'])
+	t.is(error.message, "was expecting a JSON string")
+
+	var error = t.throws(() => {
+		validateFormat({
+			type: 'map',
+			fields: {
+				foo: { type: 'array', value: { type: 'date' }, default: ['2023-01-01', 'Hello world!'] }
+			}
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$foo', 'default', '[1]'])
+	t.is(error.message, "was expecting an ISO-8601 date")
+
+	var error = t.throws(() => {
+		validateFormat({
+			types: {
+				settings: {
+					type: 'map',
+					fields: {
+						theme: { type: 'enum', values: ['light', 'dark'], default: 'blue' }
+					}
+				}
+			},
+			type: 'settings'
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['types', 'settings', '$theme', 'default'])
+	t.is(error.message, "enum value is invalid")
+
+	// default values are checked once the rest of the format is valid
+	var errors = []
+	validateFormat({ type: 'number', minimum: 'foo', default: 'bar' }, errors)
+
+	t.is(errors.length, 1)
+	t.deepEqual(errors[0].path, ['minimum'])
+})
+
+test('nullable-property', t => {
+	validateFormat({ type: 'string', nullable: true })
+	validateFormat({ type: 'string', option: true, nullable: false })
+	validateFormat({ type: 'map', fields: { foo: { type: 'flag', nullable: true } }, absent: 'null' })
+	validateFormat({ type: 'map', fields: { foo: { type: 'flag', option: true } }, absent: 'omit' })
+
+	// test the 'nullable' property
+	boolValuePropertyTest(t, { type: 'flag' }, "nullable", [])
+
+	// test the 'absent' property of the 'map' type
+	for (const value of [true, 42, 'foo', null]) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'map', fields: { foo: { type: 'flag' } }, absent: value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['absent'])
+		t.is(error.message, "value must be either 'null' or 'omit'")
+	}
+
+	// test if the 'nullable' property decides whether 'null' is accepted as
+	// default value
+	validateFormat({ type: 'number', nullable: true, default: null })
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'number', option: true, nullable: false, default: null })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['default'])
+	t.is(error.message, "was expecting a JSON number")
+
+	// test if a nullable field is a way out of the recursion
+	validateFormat({
+		types: {
+			node: {
+				type: 'map',
+				fields: {
+					next: { type: 'node', nullable: true }
+				}
+			}
+		},
+		type: 'node'
+	})
+
+	var error = t.throws(() => {
+		validateFormat({
+			types: {
+				node: {
+					type: 'tuple',
+					items: [{ type: 'node', option: true, nullable: false }]
+				}
+			},
+			type: 'node'
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['types', 'node'])
+	t.is(error.message, "'node' type is infinitely recursive")
+
+	// test if a discriminator field can't be nullable
+	var error = t.throws(() => {
+		validateFormat({
+			type: 'union',
+			discriminator: 'kind',
+			variants: [
+				{ type: 'map', fields: { kind: { type: 'enum', values: ['foo'], nullable: true } } }
+			]
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(0)', '$kind'])
+	t.is(error.message, "discriminator field must not be nullable")
+})
+
+test('semantic-analysis', t => {
+	validateFormat({ type: 'number', minimum: 1, maximum: 1 })
+	validateFormat({ type: 'number', minimum: { value: 1, exclusive: false }, maximum: 1 })
+	validateFormat({ type: 'number', decimal: false, minimum: 0.2, maximum: 1.8 })
+	validateFormat({ type: 'decimal', scale: 1, minimum: '0.25', maximum: '0.3' })
+	validateFormat({ type: 'date', minimum: { value: '2023-01-01', exclusive: true }, maximum: '2023-01-02' })
+	validateFormat({ type: 'string', pattern: '^[a-z]{2,4}$', length: { minimum: 4, maximum: 8 } })
+	validateFormat({ type: 'string', pattern: '[a-z]{2}', length: 12 })
+	validateFormat({ type: 'string', pattern: '^a$|^b+$', length: 3 })
+
+	// test if bounds leaving no value are reported
+	const emptyRanges = [
+		{ type: 'number', minimum: { value: 1, exclusive: true }, maximum: 1 },
+		{ type: 'number', decimal: false, minimum: 0.2, maximum: 0.8 },
+		{ type: 'number', decimal: false, minimum: { value: 1, exclusive: true }, maximum: { value: 2, exclusive: true } },
+		{ type: 'decimal', minimum: '1.5', maximum: { value: '1.50', exclusive: true } },
+		{ type: 'decimal', scale: 1, minimum: '0.21', maximum: '0.29' },
+		{ type: 'date', minimum: { value: '2023-01-01', exclusive: true }, maximum: { value: '2023-01-02', exclusive: true } },
+		{ type: 'time', minimum: '12:00', maximum: { value: '12:00:00', exclusive: true } }
+	]
+
+	for (const format of emptyRanges) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'map', fields: { foo: format } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['$foo'])
+		t.is(error.message, "bounds leave no valid value")
+	}
+
+	// test if the 'pattern' property must compile
+	var error = t.throws(() => {
+		validateFormat({ type: 'string', pattern: '^[a-z$' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['pattern'])
+	t.is(error.message, "value must be a valid regular expression")
+
+	// test if patterns that can't match strings of the expected length are
+	// reported
+	const impossiblePatterns = [
+		{ type: 'string', pattern: '^[a-z]{2,4}$', length: { minimum: 5 } },
+		{ type: 'string', pattern: '[a-z]{3}', length: { maximum: 2 } },
+		{ type: 'string', pattern: '^(?:foo|quz)\\d?$', length: 5 }
+	]
+
+	for (const format of impossiblePatterns) {
+		var error = t.throws(() => {
+			validateFormat({ types: { foo: format }, type: 'foo' })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['types', 'foo', 'pattern'])
+		t.is(error.message, "value can't match strings of the expected length")
+	}
+
+	// test if escapes are measured like the RegExp object matches them; the
+	// ones that aren't supported match strings of unknown length
+	const escapedPatterns = [
+		['^(?<x>a)\\k<x>$', 'aa'],
+		['^(a)(b)\\2\\1$', 'abba'],
+		['^\\cJ$', '\n'],
+		['^\\u{2}$', 'uu'],
+		['^\\u0041\\x42$', 'AB'],
+		['^[\\b]$', '\b'],
+		['^\\01$', '\x01'],
+		['^\\p{L}$', 'p{L}']
+	]
+
+	for (const [pattern, text] of escapedPatterns) {
+		t.true(new RegExp(pattern).test(text), pattern)
+		validateFormat({ type: 'string', pattern, length: text.length })
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'string', pattern: '^\\cJ$', length: 2 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['pattern'])
+	t.is(error.message, "value can't match strings of the expected length")
+
+	// test if tuples and unions of a single block are reported
+	var warnings = []
+	validateFormat({
+		type: 'tuple',
+		items: [{ type: 'union', variants: [{ type: 'enum', values: ['foo', 'bar'] }] }]
+	}, undefined, warnings)
+
+	t.is(warnings.length, 2)
+	t.deepEqual(warnings[0].path, ['items'])
+	t.is(warnings[0].message, "should contain more than one item")
+	t.deepEqual(warnings[1].path, ['<0>', 'variants'])
+	t.is(warnings[1].message, "should contain more than one variant")
+
+	// test if the analysis is done once the rest of the format is valid
+	var errors = []
+	validateFormat({ type: 'number', minimum: 1, maximum: { value: 1, exclusive: 'foo' } }, errors)
+
+	t.is(errors.length, 1)
+	t.deepEqual(errors[0].path, ['maximum', 'exclusive'])
+})
+
+test('map-composition', t => {
+	const types = {
+		user: {
+			type: 'map',
+			fields: {
+				id: { type: 'number' },
+				name: { type: 'string' },
+				email: { type: 'string', option: true }
+			}
+		},
+		'create-user': { type: 'map', extends: 'user', omit: ['id'], fields: { password: { type: 'string' } } },
+		'update-user': { type: 'map', extends: 'create-user', overrides: { name: { type: 'string', option: true } } },
+		'user-summary': { type: 'map', extends: 'user', pick: ['id', 'name'] },
+		timestamps: { type: 'map', fields: { created: { type: 'datetime' } } }
+	}
+
+	validateFormat({ types, type: 'update-user' })
+	validateFormat({ types, type: 'map', extends: ['user-summary', 'timestamps'] })
+	validateFormat({ types, type: 'map', extends: ['user', 'user-summary'] })
+
+	// test if the issues of the composition are reported
+	const invalidCompositions = [
+		[{ type: 'map', extends: 'foo' }, ['extends'], "'foo' type is unknown"],
+		[{ type: 'map', extends: 'name' }, ['extends'], "'name' type isn't a map"],
+		[{ type: 'map', extends: [] }, ['extends'], "value must be a type name or an array of type names"],
+		[{ type: 'map', extends: 'user', pick: ['foo'] }, ['pick'], "'foo' field isn't inherited"],
+		[{ type: 'map', extends: 'user', omit: 'id' }, ['omit'], "value must be an array of field names"],
+		[{ type: 'map', extends: 'user-summary', overrides: { email: { type: 'string' } } }, ['overrides'], "'email' field isn't inherited"],
+		[{ type: 'map', fields: { id: { type: 'number' } }, omit: ['id'] }, ['omit'], "'extends' property is missing"],
+	]
+
+	for (const [block, path, message] of invalidCompositions) {
+		var error = t.throws(() => {
+			validateFormat({ types: { ...types, name: { type: 'string' } }, type: 'map', fields: { foo: block } })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['$foo'].concat(path))
+		t.is(error.message, message)
+	}
+
+	// test if conflicting field definitions are reported
+	var error = t.throws(() => {
+		validateFormat({ types, type: 'map', extends: 'user', fields: { name: { type: 'number' } } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['fields'])
+	t.is(error.message, "'name' field is already inherited")
+
+	var error = t.throws(() => {
+		validateFormat({ types, type: 'map', extends: ['user', 'update-user'] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['extends'])
+	t.is(error.message, "'name' field is defined by both 'user' and 'update-user'")
+
+	// test if maps extending themselves are reported
+	var errors = []
+	validateFormat({
+		types: {
+			foo: { type: 'map', extends: 'bar', fields: { foo: { type: 'flag' } } },
+			bar: { type: 'map', extends: 'foo' }
+		},
+		type: 'foo'
+	}, errors)
+
+	t.is(errors.length, 2)
+	t.deepEqual(errors[0].path, ['types', 'foo', 'extends'])
+	t.is(errors[0].message, "'bar' type is extended recursively")
+	t.deepEqual(errors[1].path, ['types', 'bar', 'extends'])
+	t.is(errors[1].message, "'foo' type is extended recursively")
+
+	// test if overriding fields are validated with the composed map
+	var error = t.throws(() => {
+		validateFormat({ types, type: 'map', extends: 'user', overrides: { name: { type: 'foo' } } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$name'])
+	t.is(error.message, "value of 'type' is incorrect")
+})
+
+test('deprecated-property', t => {
+	validateFormat({ type: 'string', deprecated: true })
+	validateFormat({ type: 'string', deprecated: "use 'foo' instead" })
+	validateFormat({ type: 'enum', values: ['foo', { value: 'bar', deprecated: true }, { value: 'quz' }] })
+	validateFormat({
+		type: 'union',
+		discriminator: 'kind',
+		variants: [
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['foo', { value: 'bar', deprecated: true }] } } },
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['quz'] } } }
+		]
+	})
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'map', fields: { foo: { type: 'flag', deprecated: 42 } } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$foo', 'deprecated'])
+	t.is(error.message, "value must be either a bool or a string")
+
+	// test the object form of enum values
+	var error = t.throws(() => {
+		validateFormat({ type: 'enum', values: ['foo', { value: 'bar', deprecated: 42 }] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['values', 1, 'deprecated'])
+	t.is(error.message, "value must be either a bool or a string")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'enum', values: [{ deprecated: true }] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['values', 0])
+	t.is(error.message, "'value' property is missing")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'enum', values: [{ value: 'foo', description: "Foo." }] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['values', 0])
+	t.is(error.message, "'description' property is unexpected")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'enum', values: ['foo', { value: 'foo', deprecated: true }] })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['values'])
+	t.is(error.message, "'foo' value is duplicated")
+})
+
+test('unique-property', t => {
+	validateFormat({ type: 'array', value: { type: 'string' }, unique: true })
+	validateFormat({ type: 'array', value: { type: 'string' }, unique: false })
+	validateFormat({
+		types: { user: { type: 'map', fields: { id: { type: 'number' }, name: { type: 'string' } } } },
+		type: 'array',
+		value: { type: 'user' },
+		unique: 'id'
+	})
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'array', value: { type: 'string' }, unique: 42 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['unique'])
+	t.is(error.message, "value must be either a bool or a string")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'array', value: { type: 'string' }, unique: 'id' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['unique'])
+	t.is(error.message, "items must be maps to be compared by a field")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'array', value: { type: 'map', fields: { name: { type: 'string' } } }, unique: 'id' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['unique'])
+	t.is(error.message, "'id' field is missing")
+
+	// flags and enum values can only take a few distinct values
+	validateFormat({ type: 'array', value: { type: 'flag' }, length: 3 })
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'array', value: { type: 'flag' }, length: 3, unique: true })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['length'])
+	t.is(error.message, "value requires more distinct items than possible")
+})
+
+test('set-type', t => {
+	var format = {
+		type: 'set',
+		value: {
+			type: 'string'
+		}
+	}
+
+	missingPropertyTest(t, { type: 'set' }, 'value')
+
+	validateFormat({ type: 'set', value: { type: 'flag' } })
+	validateFormat({ type: 'set', value: { type: 'number' } })
+	validateFormat({ type: 'set', value: { type: 'enum', values: ['foo', 'bar'] }, length: { maximum: 2 } })
+	validateFormat({ types: { tag: { type: 'string' } }, type: 'set', value: { type: 'tag' } })
+	validateFormat(format)
+
+	// test the 'length' property
+	lengthPropertyTest(t, format)
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'set', value: { type: 'string' }, unique: true })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'unique' property is unexpected")
+
+	// items are decoded to values compared by identity otherwise
+	for (const value of [{ type: 'date' }, { type: 'array', value: { type: 'string' } }, { type: 'map', fields: { foo: { type: 'string' } } }]) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'set', value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['[]'])
+		t.is(error.message, "items of a set must be flags, numbers, strings or enum values")
+	}
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'set', value: { type: 'enum', values: ['foo', 'bar'] }, length: { minimum: 3 } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['length'])
+	t.is(error.message, "value requires more distinct items than possible")
+})
+
+test('map-constraints', t => {
+	const fields = {
+		method: { type: 'enum', values: ['card', 'cash'] },
+		card: { type: 'string', option: true },
+		email: { type: 'string', option: true },
+		phone: { type: 'string', option: true },
+		start: { type: 'date' },
+		end: { type: 'date', option: true }
+	}
+
+	validateFormat({
+		type: 'map',
+		fields,
+		constraints: [
+			{ requires: ['card'], when: { method: 'card' } },
+			{ requires: ['start'], when: 'end' },
+			{ exclusive: ['email', 'phone'] },
+			{ any: ['email', 'phone'], when: { method: 'cash' } },
+			{ compare: ['end', '>=', 'start'] }
+		]
+	})
+
+	function constraintErrors(constraints) {
+		var errors = []
+		validateFormat({ type: 'map', fields, constraints }, errors)
+
+		return errors.map(error => [error.path, error.message])
+	}
+
+	t.deepEqual(constraintErrors(42), [
+		[['constraints'], "value must be an array"]
+	])
+	t.deepEqual(constraintErrors([42, {}, { any: ['email', 'phone'], exclusive: ['email', 'phone'] }, { any: ['email', 'phone'], foo: 'bar' }]), [
+		[['constraints', 0], "value must be an object"],
+		[['constraints', 1], "'requires', 'exclusive', 'any' or 'compare' property is missing"],
+		[['constraints', 2], "'any' property is unexpected"],
+		[['constraints', 3], "'foo' property is unexpected"]
+	])
+
+	// test the fields of the rules
+	t.deepEqual(constraintErrors([{ requires: 'card', when: 'method' }, { requires: [], when: 'method' }, { requires: ['card'] }]), [
+		[['constraints', 0, 'requires'], "value must be an array of field names"],
+		[['constraints', 1, 'requires'], "must contain at least one field"],
+		[['constraints', 2], "'when' property is missing"]
+	])
+	t.deepEqual(constraintErrors([{ exclusive: ['email'] }, { any: ['email', 'fax'] }]), [
+		[['constraints', 0, 'exclusive'], "must contain at least two fields"],
+		[['constraints', 1, 'any'], "'fax' field is unknown"]
+	])
+	t.deepEqual(constraintErrors([{ compare: ['end', 'start'] }, { compare: ['end', '=>', 'start'] }, { compare: ['end', '>', 'begin'] }]), [
+		[['constraints', 0, 'compare'], "value must be an array with a field, an operator and a field"],
+		[['constraints', 1, 'compare'], "'=>' operator is incorrect"],
+		[['constraints', 2, 'compare'], "'begin' field is unknown"]
+	])
+
+	// test the conditions
+	t.deepEqual(constraintErrors([{ any: ['email', 'phone'], when: 'fax' }, { any: ['email', 'phone'], when: {} }, { any: ['email', 'phone'], when: 42 }]), [
+		[['constraints', 0, 'when'], "'fax' field is unknown"],
+		[['constraints', 1, 'when'], "must contain at least one field"],
+		[['constraints', 2, 'when'], "value must be either a field name or an object"]
+	])
+
+	// test the semantic analysis of the rules
+	t.deepEqual(constraintErrors([{ compare: ['email', '<', 'start'] }, { compare: ['method', '!=', 'method'] }]), [
+		[['constraints', 0, 'compare'], "'email' and 'start' fields can't be compared"],
+		[['constraints', 1, 'compare'], "'method' and 'method' fields can't be compared"]
+	])
+	t.deepEqual(constraintErrors([{ requires: ['card'], when: { method: 'cheque' } }]), [
+		[['constraints', 0, 'when', 'method'], "enum value is invalid"]
+	])
+
+	// test if the inherited fields of composed maps can be named
+	validateFormat({
+		types: { base: { type: 'map', fields: { start: { type: 'date' } } } },
+		type: 'map',
+		extends: 'base',
+		fields: { end: { type: 'date' } },
+		constraints: [{ compare: ['end', '>', 'start'] }]
+	})
+})
+
+test('literal-type', t => {
+	const format = {
+		type: 'literal',
+		value: "invoice"
+	}
+
+	missingPropertyTest(t, { type: 'literal' }, 'value')
+
+	for (const value of ["Hello world!", '', 2, 4.5, true, false, null]) {
+		validateFormat({ type: 'literal', value })
+	}
+
+	validateFormat({ type: 'literal', value: 2, option: true, default: 2 })
+	validateFormat(format)
+
+	for (const value of [[], {}, [2]]) {
+		var error = t.throws(() => {
+			validateFormat({ type: 'literal', value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['value'])
+		t.is(error.message, "value must be a string, a number, a bool or null")
+	}
+
+	// test additional properties
+	additionalPropertiesTest(t, format)
+
+	// test if the default value must be the literal
+	var error = t.throws(() => {
+		validateFormat({ type: 'literal', value: 2, option: true, default: 3 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['default'])
+	t.is(error.message, "was expecting literal 2")
+
+	// test if literals can be discriminators
+	validateFormat({
+		type: 'union',
+		variants: [
+			{ type: 'map', fields: { kind: { type: 'literal', value: "invoice" }, total: { type: 'number' } } },
+			{ type: 'map', fields: { kind: { type: 'literal', value: "credit note" } } },
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['receipt', 'quote'] } } }
+		],
+		discriminator: 'kind'
+	})
+
+	var error = t.throws(() => {
+		validateFormat({
+			type: 'union',
+			variants: [
+				{ type: 'map', fields: { kind: { type: 'enum', values: ['invoice', 'receipt'] } } },
+				{ type: 'map', fields: { kind: { type: 'literal', value: "invoice" } } }
+			],
+			discriminator: 'kind'
+		})
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(1)', '$kind'])
+	t.is(error.message, "'invoice' discriminator value is duplicated")
+})
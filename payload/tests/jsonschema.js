@@ -0,0 +1,474 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { formatToJSONSchema, jsonSchemaToFormat, validateFormat, ValidationError } from '../src/index.js'
+
+const DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+test('export-scalar-types', t => {
+	t.deepEqual(formatToJSONSchema({ type: 'flag', name: "Foo", description: "Lorem ipsum." }), {
+		$schema: DIALECT,
+		type: 'boolean',
+		title: "Foo",
+		description: "Lorem ipsum."
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'number', decimal: false, minimum: 0, maximum: { value: 10, exclusive: true } }), {
+		$schema: DIALECT,
+		type: 'integer',
+		minimum: 0,
+		exclusiveMaximum: 10
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'string', length: { minimum: 1, maximum: 8 }, pattern: '^[a-z]+$', format: 'email' }), {
+		$schema: DIALECT,
+		type: 'string',
+		minLength: 1,
+		maxLength: 8,
+		pattern: '^[a-z]+$',
+		format: 'email'
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'string', format: 'ip' }), {
+		$schema: DIALECT,
+		type: 'string',
+		anyOf: [{ format: 'ipv4' }, { format: 'ipv6' }]
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'enum', values: ['foo', 'bar'] }), {
+		$schema: DIALECT,
+		enum: ['foo', 'bar']
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'literal', value: 2 }), {
+		$schema: DIALECT,
+		const: 2
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'date' }), {
+		$schema: DIALECT,
+		type: 'string',
+		format: 'date'
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'datetime', timezone: true }), {
+		$schema: DIALECT,
+		type: 'string',
+		format: 'date-time'
+	})
+
+	t.deepEqual(formatToJSONSchema({ type: 'bytes', encoding: 'base64url' }), {
+		$schema: DIALECT,
+		type: 'string',
+		contentEncoding: 'base64url'
+	})
+})
+
+test('export-container-types', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'flag' }, length: 2 },
+			bar: { type: 'object', key: 'integer', value: { type: 'number' }, length: { maximum: 4 }, option: true },
+			quz: { type: 'tuple', items: [{ type: 'flag' }, { type: 'string', option: true }] },
+			yolo: { type: 'union', variants: [{ type: 'flag' }, { type: 'number' }], default: 42 },
+			tags: { type: 'set', value: { type: 'string' } }
+		}
+	}
+
+	t.deepEqual(formatToJSONSchema(format), {
+		$schema: DIALECT,
+		type: 'object',
+		properties: {
+			foo: { type: 'array', items: { type: 'boolean' }, minItems: 2, maxItems: 2 },
+			bar: {
+				type: ['object', 'null'],
+				propertyNames: { pattern: '^-?[0-9]+$' },
+				additionalProperties: { type: 'number' },
+				maxProperties: 4
+			},
+			quz: {
+				type: 'array',
+				prefixItems: [{ type: 'boolean' }, { type: ['string', 'null'] }],
+				items: false,
+				minItems: 2
+			},
+			yolo: { anyOf: [{ type: 'boolean' }, { type: 'number' }], default: 42 },
+			tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+		},
+		required: ['foo', 'quz', 'tags'],
+		additionalProperties: false
+	})
+})
+
+test('export-nullable', t => {
+	// test if nullability and omission are told apart
+	t.deepEqual(formatToJSONSchema({
+		type: 'map',
+		fields: {
+			foo: { type: 'number', nullable: true },
+			bar: { type: 'number', option: true, nullable: false },
+			quz: { type: 'enum', values: ['foo'], option: true },
+			yolo: { type: 'union', variants: [{ type: 'flag' }], description: "Lorem ipsum.", option: true }
+		}
+	}), {
+		$schema: DIALECT,
+		type: 'object',
+		properties: {
+			foo: { type: ['number', 'null'] },
+			bar: { type: 'number' },
+			quz: { enum: ['foo', null] },
+			yolo: { anyOf: [{ anyOf: [{ type: 'boolean' }] }, { type: 'null' }], description: "Lorem ipsum." }
+		},
+		required: ['foo'],
+		additionalProperties: false
+	})
+})
+
+test('export-named-types', t => {
+	const format = {
+		types: {
+			node: {
+				type: 'map',
+				description: "A node of the tree.",
+				fields: {
+					value: { type: 'tag' },
+					children: { type: 'array', value: { type: 'node' } }
+				}
+			},
+			unused: { type: 'flag' }
+		},
+		type: 'node',
+		option: true
+	}
+
+	t.deepEqual(formatToJSONSchema(format, undefined, { types: { tag: { type: 'string', default: "none" } } }), {
+		$schema: DIALECT,
+		anyOf: [{ $ref: '#/$defs/node' }, { type: 'null' }],
+		$defs: {
+			node: {
+				type: 'object',
+				description: "A node of the tree.",
+				properties: {
+					value: { $ref: '#/$defs/tag', default: "none" },
+					children: { type: 'array', items: { $ref: '#/$defs/node' } }
+				},
+				required: ['children'],
+				additionalProperties: false
+			},
+			tag: { type: 'string' }
+		}
+	})
+})
+
+test('export-warnings', t => {
+	var warnings = []
+	var schema = formatToJSONSchema({
+		type: 'map',
+		fields: {
+			foo: { type: 'decimal', scale: 2, minimum: '0.01' },
+			bar: { type: 'time', timezone: false },
+			quz: { type: 'bytes', length: 16 },
+			yolo: { type: 'array', value: { type: 'map', fields: { id: { type: 'number' } } }, unique: 'id' }
+		},
+		constraints: [{ compare: ['foo', '>', 'foo'] }]
+	}, warnings)
+
+	t.deepEqual(schema.properties, {
+		foo: { type: 'string', pattern: '^-?[0-9]+(\\.[0-9]+)?$' },
+		bar: { type: 'string', format: 'time' },
+		quz: { type: 'string', contentEncoding: 'base64' },
+		yolo: {
+			type: 'array',
+			items: { type: 'object', properties: { id: { type: 'number' } }, required: ['id'], additionalProperties: false },
+			uniqueItems: true
+		}
+	})
+
+	t.is(warnings.length, 6)
+	t.deepEqual(warnings[0].path, ['$foo', 'scale'])
+	t.is(warnings[0].message, "'scale' property can't be expressed in JSON Schema")
+	t.deepEqual(warnings[1].path, ['$foo', 'minimum'])
+	t.is(warnings[1].message, "'minimum' property can't be expressed in JSON Schema")
+	t.deepEqual(warnings[2].path, ['$bar'])
+	t.is(warnings[2].message, "values without time zone offset can't be expressed with the 'time' format")
+	t.deepEqual(warnings[3].path, ['$quz', 'length'])
+	t.is(warnings[3].message, "'length' property can't be expressed in JSON Schema")
+	t.deepEqual(warnings[4].path, ['$yolo', 'unique'])
+	t.is(warnings[4].message, "'unique' property can't be expressed in JSON Schema")
+	t.deepEqual(warnings[5].path, ['constraints'])
+	t.is(warnings[5].message, "'constraints' property can't be expressed in JSON Schema")
+
+	// test if invalid formats are rejected
+	const error = t.throws(() => {
+		formatToJSONSchema({ type: 'foo' })
+	}, {instanceOf: ValidationError})
+
+	t.is(error.message, "value of 'type' is incorrect")
+})
+
+test('import-scalar-types', t => {
+	t.deepEqual(jsonSchemaToFormat({ type: 'boolean', title: "Foo", description: "Lorem ipsum." }), {
+		type: 'flag',
+		name: "Foo",
+		description: "Lorem ipsum."
+	})
+
+	t.deepEqual(jsonSchemaToFormat({ type: 'integer', minimum: 0, exclusiveMaximum: 10 }), {
+		type: 'number',
+		decimal: false,
+		minimum: 0,
+		maximum: { value: 10, exclusive: true }
+	})
+
+	// test if the most restrictive bound wins
+	t.deepEqual(jsonSchemaToFormat({ type: 'number', minimum: 5, exclusiveMinimum: 5 }), {
+		type: 'number',
+		minimum: { value: 5, exclusive: true }
+	})
+
+	t.deepEqual(jsonSchemaToFormat({ type: 'string', minLength: 1, maxLength: 8, pattern: '^[a-z]+$', format: 'email' }), {
+		type: 'string',
+		length: { minimum: 1, maximum: 8 },
+		pattern: '^[a-z]+$',
+		format: 'email'
+	})
+
+	t.deepEqual(jsonSchemaToFormat({ type: 'string', format: 'date' }), { type: 'date' })
+	t.deepEqual(jsonSchemaToFormat({ type: 'string', format: 'date-time' }), { type: 'datetime', timezone: true })
+	t.deepEqual(jsonSchemaToFormat({ type: 'string', contentEncoding: 'base64url' }), { type: 'bytes', encoding: 'base64url' })
+	t.deepEqual(jsonSchemaToFormat({ enum: ['foo', 'bar', null] }), { type: 'enum', values: ['foo', 'bar'], nullable: true })
+	t.deepEqual(jsonSchemaToFormat({ const: 'foo bar' }), { type: 'literal', value: 'foo bar' })
+	t.deepEqual(jsonSchemaToFormat({ type: 'integer', const: 2 }), { type: 'literal', value: 2 })
+	t.deepEqual(jsonSchemaToFormat({ type: ['number', 'null'] }), { type: 'number', nullable: true })
+})
+
+test('import-container-types', t => {
+	const format = jsonSchemaToFormat({
+		type: 'object',
+		properties: {
+			foo: { type: 'array', items: { type: 'boolean' }, minItems: 2, maxItems: 2 },
+			bar: {
+				type: 'object',
+				propertyNames: { pattern: '^-?[0-9]+$' },
+				additionalProperties: { type: 'number' },
+				maxProperties: 4
+			},
+			quz: { type: 'array', prefixItems: [{ type: 'boolean' }, { type: ['string', 'null'] }], items: false, minItems: 2 },
+			yolo: { anyOf: [{ type: 'boolean' }, { type: 'number' }, { type: 'null' }], default: 42 },
+			tags: { type: 'array', items: { type: 'string' }, uniqueItems: true }
+		},
+		required: ['foo', 'quz', 'yolo', 'tags'],
+		additionalProperties: false
+	})
+
+	t.deepEqual(format, {
+		type: 'map',
+		fields: {
+			foo: { type: 'array', value: { type: 'flag' }, length: 2 },
+			bar: { type: 'object', key: 'integer', value: { type: 'number' }, length: { maximum: 4 }, option: true, nullable: false },
+			quz: { type: 'tuple', items: [{ type: 'flag' }, { type: 'string', nullable: true }] },
+			yolo: { type: 'union', variants: [{ type: 'flag' }, { type: 'number' }], nullable: true, default: 42 },
+			tags: { type: 'array', value: { type: 'string' }, unique: true }
+		}
+	})
+
+	validateFormat(format)
+})
+
+test('import-named-types', t => {
+	const format = jsonSchemaToFormat({
+		$schema: 'https://json-schema.org/draft/2020-12/schema',
+		$ref: '#/$defs/node',
+		$defs: {
+			node: {
+				type: 'object',
+				properties: {
+					value: { $ref: '#/$defs/string' },
+					children: { type: 'array', items: { $ref: '#/$defs/node' } }
+				},
+				required: ['value'],
+				additionalProperties: false
+			},
+			string: { type: 'string' }
+		}
+	})
+
+	t.deepEqual(format, {
+		types: {
+			node: {
+				type: 'map',
+				fields: {
+					value: { type: 'string-type' },
+					children: { type: 'array', value: { type: 'node' }, option: true, nullable: false }
+				}
+			},
+			'string-type': { type: 'string' }
+		},
+		type: 'node'
+	})
+
+	validateFormat(format)
+})
+
+test('import-round-trip', t => {
+	const format = {
+		types: {
+			tag: { type: 'string', length: { minimum: 1 } }
+		},
+		type: 'map',
+		fields: {
+			foo: { type: 'number', minimum: { value: 0, exclusive: true } },
+			bar: { type: 'array', value: { type: 'tag' }, option: true, nullable: false },
+			quz: { type: 'enum', values: ['foo', 'bar'], nullable: true },
+			yolo: { type: 'string', format: 'ip', option: true }
+		}
+	}
+
+	const schema = formatToJSONSchema(format)
+	var warnings = []
+	t.deepEqual(jsonSchemaToFormat(schema, warnings), format)
+	t.deepEqual(warnings, [])
+})
+
+test('import-warnings', t => {
+	var warnings = []
+	const format = jsonSchemaToFormat({
+		type: 'object',
+		properties: {
+			foo: { type: 'number', multipleOf: 2 },
+			bar: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+			'not valid': { type: 'string' },
+			quz: { type: 'string', default: 42 },
+			yolo: { $ref: 'https://example.com/schema.json' },
+			items: { type: 'array' }
+		},
+		required: ['foo', 'missing']
+	}, warnings)
+
+	t.deepEqual(format, {
+		type: 'map',
+		fields: {
+			foo: { type: 'number' },
+			bar: { type: 'union', variants: [{ type: 'string' }, { type: 'number', decimal: false }], option: true, nullable: false },
+			quz: { type: 'string', option: true, nullable: false },
+			yolo: { type: 'string', option: true, nullable: false },
+			items: { type: 'array', value: { type: 'string' }, option: true, nullable: false }
+		}
+	})
+
+	validateFormat(format)
+
+	t.deepEqual(warnings.map(warning => [warning.path, warning.message]), [
+		[['properties', 'foo', 'multipleOf'], "'multipleOf' keyword was dropped"],
+		[['properties', 'bar', 'oneOf'], "'oneOf' keyword was approximated with a union"],
+		[['properties', 'not valid'], "'not valid' property was dropped; it's an incorrect key name"],
+		[['properties', 'yolo', '$ref'], "'https://example.com/schema.json' reference can't be resolved"],
+		[['properties', 'yolo'], "schema accepting any value was approximated with the 'string' type"],
+		[['properties', 'items', 'items'], "schema accepting any value was approximated with the 'string' type"],
+		[['required'], "'missing' required property was dropped; it has no schema"],
+		[[], "additional properties are rejected by the 'map' type"],
+		[['properties', 'quz', 'default'], "'default' keyword was dropped; it's an incorrect value"]
+	])
+})
+
+test('import-invalid-properties', t => {
+	const cases = [
+		[{ type: 'integer', minimum: 5, maximum: 1 }, { type: 'number', decimal: false }, [
+			[['minimum'], "'minimum' keyword was dropped; minimum must be lower than maximum"],
+			[['maximum'], "'maximum' keyword was dropped; minimum must be lower than maximum"]
+		]],
+		[{ type: 'number', exclusiveMinimum: 1, exclusiveMaximum: 1 }, { type: 'number' }, [
+			[['exclusiveMinimum'], "'exclusiveMinimum' keyword was dropped; bounds leave no valid value"],
+			[['exclusiveMaximum'], "'exclusiveMaximum' keyword was dropped; bounds leave no valid value"]
+		]],
+		[{ type: 'string', minLength: 5, maxLength: 1 }, { type: 'string' }, [
+			[['minLength'], "'minLength' keyword was dropped; minimum must be lower than maximum"],
+			[['maxLength'], "'maxLength' keyword was dropped; minimum must be lower than maximum"]
+		]],
+		[{ type: 'string', pattern: '((' }, { type: 'string' }, [
+			[['pattern'], "'pattern' keyword was dropped; value must be a valid regular expression"]
+		]],
+		[{ type: 'string', pattern: '^a$', minLength: 3 }, { type: 'string', length: { minimum: 3 } }, [
+			[['pattern'], "'pattern' keyword was dropped; value can't match strings of the expected length"]
+		]],
+		[{ type: 'array', items: { enum: ['a', 'b'] }, uniqueItems: true, minItems: 3 }, { type: 'array', value: { type: 'enum', values: ['a', 'b'] }, unique: true }, [
+			[['minItems'], "'minItems' keyword was dropped; value requires more distinct items than possible"]
+		]],
+		[{ type: ['string', 'integer'], maximum: 1, minimum: 3 }, { type: 'union', variants: [{ type: 'string' }, { type: 'number', decimal: false }] }, [
+			[['minimum'], "'minimum' keyword was dropped; minimum must be lower than maximum"],
+			[['maximum'], "'maximum' keyword was dropped; minimum must be lower than maximum"]
+		]],
+		[
+			{
+				$defs: {
+					node: { type: 'object', properties: { next: { $ref: '#/$defs/node' } }, required: ['next'], additionalProperties: false }
+				},
+				$ref: '#/$defs/node'
+			},
+			{
+				types: {
+					node: { type: 'map', fields: { next: { type: 'node' } }, nullable: true }
+				},
+				type: 'node'
+			},
+			[
+				[['$defs', 'node'], "'node' type was made nullable; it's infinitely recursive"]
+			]
+		]
+	]
+
+	for (const [schema, expected, expectedWarnings] of cases) {
+		var warnings = []
+		const format = jsonSchemaToFormat(schema, warnings)
+
+		t.deepEqual(format, expected)
+		t.deepEqual(warnings.map(warning => [warning.path, warning.message]), expectedWarnings)
+
+		validateFormat(format)
+	}
+})
+
+test('import-reference-cycles', t => {
+	var warnings = []
+	t.deepEqual(jsonSchemaToFormat({ $defs: { a: { $ref: '#/$defs/a' } }, $ref: '#/$defs/a' }, warnings), {
+		types: {
+			a: { type: 'string' }
+		},
+		type: 'a'
+	})
+	t.deepEqual(warnings.map(warning => [warning.path, warning.message]), [
+		[['$defs', 'a'], "'a' type references itself; it was approximated with the 'string' type"]
+	])
+
+	var warnings = []
+	const format = jsonSchemaToFormat({
+		$defs: {
+			a: { $ref: '#/$defs/b' },
+			b: { $ref: '#/$defs/a', description: "The B type." }
+		},
+		type: 'array',
+		items: { $ref: '#/$defs/b' }
+	}, warnings)
+
+	t.deepEqual(format, {
+		types: {
+			a: { type: 'string' },
+			b: { type: 'a', description: "The B type." }
+		},
+		type: 'array',
+		value: { type: 'b' }
+	})
+	t.deepEqual(warnings.map(warning => [warning.path, warning.message]), [
+		[['$defs', 'a'], "'a' type references itself; it was approximated with the 'string' type"]
+	])
+
+	validateFormat(format)
+})
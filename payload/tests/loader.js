@@ -0,0 +1,166 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { mkdtempSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { parseFormat, loadFormat, ValidationError } from '../src/index.js'
+
+const YAML_FORMAT = `
+type: map
+fields:
+  foo:
+    type: flag
+  bar:
+    type: array
+    value:
+      type: string
+      length:
+        minimum: 1
+`
+
+test('parse-yaml', t => {
+	var format = parseFormat(YAML_FORMAT)
+	t.deepEqual(format, {
+		type: 'map',
+		fields: {
+			foo: { type: 'flag' },
+			bar: {
+				type: 'array',
+				value: {
+					type: 'string',
+					length: { minimum: 1 }
+				}
+			}
+		}
+	})
+})
+
+test('parse-json', t => {
+	var format = parseFormat('{"type": "tuple", "items": [{"type": "flag"}, {"type": "number"}]}')
+	t.deepEqual(format, {
+		type: 'tuple',
+		items: [
+			{ type: 'flag' },
+			{ type: 'number' }
+		]
+	})
+})
+
+test('syntax-errors', t => {
+	var error = t.throws(() => {
+		parseFormat('type: map\nfields: [\n')
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.line, 3)
+	t.is(error.column, 1)
+})
+
+test('validation-errors', t => {
+	// test if errors are mapped onto the line and column of the node
+	var error = t.throws(() => {
+		parseFormat(YAML_FORMAT.replace('minimum: 1', 'minimum: -1'))
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$bar', '[]', 'length', 'minimum'])
+	t.is(error.message, "must be greater or equal to zero")
+	t.is(error.line, 11)
+	t.is(error.column, 18)
+
+	// test if errors on missing properties point to the enclosing block
+	var error = t.throws(() => {
+		parseFormat('type: map\nfields:\n  foo:\n    type: array\n')
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$foo'])
+	t.is(error.message, "'value' property is missing")
+	t.is(error.line, 4)
+	t.is(error.column, 5)
+
+	// test if tuple items are located in JSON text
+	var error = t.throws(() => {
+		parseFormat('{\n  "type": "tuple",\n  "items": [\n    {"type": "flag"},\n    {"type": "foo"}\n  ]\n}')
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['<1>'])
+	t.is(error.message, "value of 'type' is incorrect")
+	t.is(error.line, 5)
+	t.is(error.column, 5)
+
+	// test if union variants are located
+	var error = t.throws(() => {
+		parseFormat('type: union\nvariants:\n  - type: flag\n  - type: foo\n')
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(1)'])
+	t.is(error.line, 4)
+	t.is(error.column, 5)
+
+	// test lazy validation
+	var errors = []
+	var warnings = []
+	var format = parseFormat('type: string\nlength: 4.2\nfoo: bar\n', errors, warnings)
+
+	t.deepEqual(format, { type: 'string', length: 4.2, foo: 'bar' })
+	t.is(errors.length, 1)
+	t.deepEqual(errors[0].path, [])
+	t.is(errors[0].message, "'foo' property is unexpected")
+	t.is(errors[0].line, 1)
+	t.is(warnings.length, 1)
+	t.deepEqual(warnings[0].path, ['length'])
+	t.is(warnings[0].line, 2)
+	t.is(warnings[0].column, 9)
+})
+
+test('null-blocks', t => {
+	// test if empty and null documents are rejected
+	for (const text of ['', '~\n', 'null']) {
+		var error = t.throws(() => {
+			parseFormat(text)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "value must be an object")
+	}
+
+	var errors = []
+	t.is(parseFormat('', errors), undefined)
+	t.is(errors.length, 1)
+
+	// test if null blocks are rejected
+	var error = t.throws(() => {
+		parseFormat('type: map\nfields:\n  a: ~\n')
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$a'])
+	t.is(error.message, "value must be an object")
+	t.is(error.line, 3)
+	t.is(error.column, 6)
+
+	var error = t.throws(() => {
+		parseFormat('type: union\nvariants:\n  - type: flag\n  - null\n')
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['(1)'])
+	t.is(error.message, "value must be an object")
+	t.is(error.line, 4)
+	t.is(error.column, 5)
+})
+
+test('load-file', t => {
+	const directory = mkdtempSync(join(tmpdir(), 'payload-'))
+	const path = join(directory, 'format.yaml')
+	writeFileSync(path, YAML_FORMAT)
+
+	var format = loadFormat(path)
+	t.is(format.type, 'map')
+	t.deepEqual(Object.keys(format.fields), ['foo', 'bar'])
+})
@@ -0,0 +1,224 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { normalizeFormat, payloadToObject, ValidationError } from '../src/index.js'
+
+test('shorthand-forms', t => {
+	var format = normalizeFormat({ type: 'number', minimum: 5, maximum: { value: 10, exclusive: true } })
+	t.deepEqual(format, {
+		type: 'number',
+		decimal: true,
+		minimum: { value: 5, exclusive: false },
+		maximum: { value: 10, exclusive: true },
+		option: false,
+		nullable: false
+	})
+
+	var format = normalizeFormat({ type: 'decimal', scale: 2, minimum: 0.5 })
+	t.deepEqual(format, {
+		type: 'decimal',
+		scale: 2,
+		minimum: { value: '0.5', exclusive: false },
+		option: false,
+		nullable: false
+	})
+
+	var format = normalizeFormat({ type: 'string', length: 8, option: true })
+	t.deepEqual(format, {
+		type: 'string',
+		length: 8,
+		option: true,
+		nullable: true
+	})
+
+	var format = normalizeFormat({ type: 'bytes', length: { minimum: 3, maximum: 3 } })
+	t.deepEqual(format, {
+		type: 'bytes',
+		encoding: 'base64',
+		length: 3,
+		option: false,
+		nullable: false
+	})
+
+	var format = normalizeFormat({ type: 'bytes', length: { maximum: 16 } })
+	t.deepEqual(format, {
+		type: 'bytes',
+		encoding: 'base64',
+		length: { minimum: 0, maximum: 16 },
+		option: false,
+		nullable: false
+	})
+
+	var format = normalizeFormat({ type: 'datetime', minimum: '2023-01-01T00:00:00Z', timezone: true })
+	t.deepEqual(format, {
+		type: 'datetime',
+		minimum: { value: '2023-01-01T00:00:00Z', exclusive: false },
+		timezone: true,
+		option: false,
+		nullable: false
+	})
+
+	var format = normalizeFormat({ type: 'array', value: { type: 'string' }, unique: true })
+	t.deepEqual(format, {
+		type: 'array',
+		value: { type: 'string', length: { minimum: 0 }, option: false, nullable: false },
+		length: { minimum: 0 },
+		unique: true,
+		option: false,
+		nullable: false
+	})
+
+	// the 'unique' property is left out when false
+	t.deepEqual(normalizeFormat({ type: 'array', value: { type: 'flag' }, unique: false }).unique, undefined)
+})
+
+test('nested-blocks', t => {
+	var format = normalizeFormat({
+		type: 'map',
+		description: "Lorem ipsum.",
+		fields: {
+			foo: { type: 'array', value: { type: 'flag' } },
+			bar: { type: 'tuple', items: [{ type: 'enum', values: ['foo', 'bar'] }], nullable: true },
+			quz: { type: 'object', key: 'string', value: { type: 'string', default: "Hello world!" }, option: true },
+			yolo: {
+				type: 'union',
+				variants: [{ type: 'number', decimal: false }, { type: 'string' }]
+			}
+		}
+	})
+
+	t.deepEqual(format, {
+		type: 'map',
+		description: "Lorem ipsum.",
+		fields: {
+			foo: {
+				type: 'array',
+				value: { type: 'flag', option: false, nullable: false },
+				length: { minimum: 0 },
+				option: false,
+				nullable: false
+			},
+			bar: {
+				type: 'tuple',
+				items: [{ type: 'enum', values: ['foo', 'bar'], option: false, nullable: false }],
+				option: false,
+				nullable: true
+			},
+			quz: {
+				type: 'object',
+				key: 'string',
+				value: { type: 'string', length: { minimum: 0 }, option: false, nullable: false, default: "Hello world!" },
+				length: { minimum: 0 },
+				option: true,
+				nullable: true
+			},
+			yolo: {
+				type: 'union',
+				variants: [
+					{ type: 'number', decimal: false, option: false, nullable: false },
+					{ type: 'string', length: { minimum: 0 }, option: false, nullable: false }
+				],
+				option: false,
+				nullable: false
+			}
+		},
+		absent: 'null',
+		option: false,
+		nullable: false
+	})
+})
+
+test('named-types', t => {
+	var format = normalizeFormat({
+		types: {
+			tag: { type: 'string', length: { minimum: 1 }, option: true, default: "none" }
+		},
+		type: 'map',
+		fields: {
+			foo: { type: 'tag' },
+			bar: { type: 'tag', option: false, name: "Bar" }
+		}
+	})
+
+	t.deepEqual(format, {
+		types: {
+			tag: { type: 'string', length: { minimum: 1 }, option: true, nullable: true, default: "none" }
+		},
+		type: 'map',
+		fields: {
+			foo: { type: 'tag', option: true, nullable: true, default: "none" },
+			bar: { type: 'tag', name: "Bar", option: false, nullable: false, default: "none" }
+		},
+		absent: 'null',
+		option: false,
+		nullable: false
+	})
+
+	// test if external named types are taken into account
+	var format = normalizeFormat({ type: 'tag' }, { types: { tag: { type: 'flag' } } })
+	t.deepEqual(format, { type: 'tag', option: false, nullable: false })
+})
+
+test('structural-comparison', t => {
+	const format1 = {
+		type: 'map',
+		fields: {
+			foo: { type: 'number', minimum: 0 },
+			bar: { type: 'string', length: 4, option: true }
+		}
+	}
+
+	const format2 = {
+		type: 'map',
+		fields: {
+			foo: { type: 'number', decimal: true, minimum: { value: 0, exclusive: false }, option: false },
+			bar: { type: 'string', length: { minimum: 4, maximum: 4 }, option: true, nullable: true }
+		},
+		absent: 'null'
+	}
+
+	t.notDeepEqual(format1, format2)
+	t.deepEqual(normalizeFormat(format1), normalizeFormat(format2))
+	t.is(JSON.stringify(normalizeFormat(format1)), JSON.stringify(normalizeFormat(format2)))
+
+	// test if normalization is idempotent
+	const format = normalizeFormat(format1)
+	t.deepEqual(normalizeFormat(format), format)
+})
+
+test('same-behavior', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'string', length: 4 },
+			bar: { type: 'number', minimum: 0, option: true }
+		}
+	}
+
+	const normalizedFormat = normalizeFormat(format)
+
+	for (const payload of ['{"foo": "abcd"}', '{"foo": "abc"}', '{"foo": "abcd", "bar": -1}']) {
+		var errors1 = []
+		var errors2 = []
+		const object1 = payloadToObject(payload, format, errors1)
+		const object2 = payloadToObject(payload, normalizedFormat, errors2)
+
+		t.deepEqual(object1, object2)
+		t.deepEqual(errors1, errors2)
+	}
+})
+
+test('invalid-format', t => {
+	const error = t.throws(() => {
+		normalizeFormat({ type: 'number', minimum: 'foo' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['minimum'])
+})
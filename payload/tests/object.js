@@ -8,7 +8,7 @@
 // Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, August 2022
 
 import test from 'ava'
-import { objectToPayload, ValidationError } from '../src/index.js'
+import { objectToPayload, ValidationError, Decimal } from '../src/index.js'
 
 const VALID_NAMES = [
     "foobar",
@@ -688,3 +688,604 @@ test('enum-type', t => {
 	t.deepEqual(error.path, [])
 	t.is(error.message, "enum value is invalid")
 })
+
+test('literal-type', t => {
+	for (const [value, payload] of [["invoice", '"invoice"'], [2, '2'], [true, 'true'], [null, 'null']]) {
+		t.is(objectToPayload(value, { type: 'literal', value }), payload)
+	}
+
+	// test if value is being checked against the literal
+	for (const [value, object, text] of [["invoice", "receipt", '"invoice"'], [2, 2.5, '2'], [2, "2", '2'], [true, false, 'true'], [null, 0, 'null']]) {
+		var error = t.throws(() => {
+			objectToPayload(object, { type: 'literal', value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, `was expecting literal ${text}`)
+	}
+
+	// test if the field of a map is checked
+	const format = {
+		type: 'map',
+		fields: {
+			kind: { type: 'literal', value: "invoice" },
+			total: { type: 'number' }
+		}
+	}
+
+	t.is(objectToPayload({ kind: "invoice", total: 42 }, format), '{"kind":"invoice","total":42}')
+
+	var error = t.throws(() => {
+		objectToPayload({ kind: "Invoice", total: 42 }, format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$kind'])
+	t.is(error.message, "was expecting literal \"invoice\"")
+})
+
+test('named-types', t => {
+	const format = {
+		types: {
+			point: {
+				type: 'tuple',
+				items: [{ type: 'number' }, { type: 'number' }]
+			},
+			shape: {
+				type: 'map',
+				fields: {
+					name: { type: 'string' },
+					points: {
+						type: 'array',
+						value: { type: 'point' }
+					},
+					center: { type: 'point', option: true }
+				}
+			}
+		},
+		type: 'map',
+		fields: {
+			shapes: {
+				type: 'array',
+				value: { type: 'shape' }
+			}
+		}
+	}
+
+	var payload = objectToPayload({ shapes: [{ name: "line", points: [[0, 0], [4, 2]] }] }, format)
+	t.is(payload, '{"shapes":[{"name":"line","points":[[0,0],[4,2]],"center":null}]}')
+
+	// test if errors are reported inside the named types
+	var errors = []
+	objectToPayload({ shapes: [{ name: 42, points: [[0, false]], center: [1, 1] }] }, format, errors)
+
+	t.is(errors.length, 2)
+	t.deepEqual(errors[0].path, ['$shapes', '[0]', '$name'])
+	t.is(errors[0].message, "was expecting a string")
+	t.deepEqual(errors[1].path, ['$shapes', '[0]', '$points', '[0]', '<1>'])
+	t.is(errors[1].message, "was expecting a number")
+
+	// test named types declared by other formats
+	var payload = objectToPayload([1, 2], { type: 'point' }, undefined, undefined, { types: format.types })
+	t.is(payload, '[1,2]')
+})
+
+test('recursive-types', t => {
+	const format = {
+		types: {
+			comment: {
+				type: 'map',
+				fields: {
+					text: { type: 'string' },
+					replies: { type: 'array', value: { type: 'comment' } }
+				}
+			}
+		},
+		type: 'comment'
+	}
+
+	var payload = objectToPayload({ text: "foo", replies: [{ text: "bar", replies: [] }] }, format)
+	t.is(payload, '{"text":"foo","replies":[{"text":"bar","replies":[]}]}')
+
+	var errors = []
+	objectToPayload({ text: "foo", replies: [{ text: 42, replies: [] }, { text: "bar" }] }, format, errors)
+
+	t.is(errors.length, 2)
+	t.deepEqual(errors[0].path, ['$replies', '[0]', '$text'])
+	t.is(errors[0].message, "was expecting a string")
+	t.deepEqual(errors[1].path, ['$replies', '[1]'])
+	t.is(errors[1].message, "'replies' field was missing")
+
+	// test deeply nested data
+	const depth = 10000
+
+	var value = { text: "bar", replies: [] }
+	for (var index = 0; index < depth; index++) {
+		value = { text: "foo", replies: [value] }
+	}
+
+	var payload = objectToPayload(value, format)
+	t.is(payload, '{"text":"foo","replies":['.repeat(depth) + '{"text":"bar","replies":[]}' + ']}'.repeat(depth))
+})
+
+test('date-type', t => {
+	var format = { type: 'date' }
+
+	for (const value of [false, 42, "2023-01-01", new Date('foo'), {}]) {
+		var error = t.throws(() => {
+			objectToPayload(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a date")
+	}
+
+	var payload = objectToPayload(new Date(Date.UTC(2024, 1, 29)), format)
+	t.is(payload, '"2024-02-29"')
+
+	// test if value is being checked against minimum and maximum values
+	var format = {
+		type: 'date',
+		minimum: '2023-01-01',
+		maximum: { value: '2024-01-01', exclusive: true }
+	}
+
+	var error = t.throws(() => {
+		objectToPayload(new Date(Date.UTC(2022, 11, 31)), format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or greater than 2023-01-01")
+
+	var error = t.throws(() => {
+		objectToPayload(new Date(Date.UTC(2024, 0, 1)), format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be strictly lower than 2024-01-01")
+})
+
+test('time-type', t => {
+	var format = { type: 'time' }
+
+	for (const value of [false, 42, "08:30", { hour: 24, minute: 0 }, { hour: 8 }, { hour: 8, minute: 0, offset: 1440 }]) {
+		var error = t.throws(() => {
+			objectToPayload(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a time")
+	}
+
+	var payload = objectToPayload({ hour: 8, minute: 30 }, format)
+	t.is(payload, '"08:30:00.000"')
+
+	var payload = objectToPayload({ hour: 23, minute: 59, second: 59, millisecond: 123, offset: 0 }, format)
+	t.is(payload, '"23:59:59.123Z"')
+
+	var payload = objectToPayload({ hour: 12, minute: 0, offset: -330 }, format)
+	t.is(payload, '"12:00:00.000-05:30"')
+
+	// test the time zone rules
+	var error = t.throws(() => {
+		objectToPayload({ hour: 8, minute: 30, offset: null }, { ...format, timezone: true })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "time zone offset is required")
+
+	var error = t.throws(() => {
+		objectToPayload({ hour: 8, minute: 30, offset: 60 }, { ...format, timezone: false })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "time zone offset is not allowed")
+
+	// test if value is being checked against minimum and maximum values
+	var error = t.throws(() => {
+		objectToPayload({ hour: 7, minute: 59 }, { ...format, minimum: '08:00' })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or greater than 08:00")
+})
+
+test('datetime-type', t => {
+	var format = { type: 'datetime' }
+
+	for (const value of [false, 42, "2023-07-01T12:30:00Z", new Date('foo')]) {
+		var error = t.throws(() => {
+			objectToPayload(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a date")
+	}
+
+	const date = new Date(Date.UTC(2023, 6, 1, 12, 30))
+
+	var payload = objectToPayload(date, format)
+	t.is(payload, '"2023-07-01T12:30:00.000Z"')
+
+	var payload = objectToPayload(date, { ...format, timezone: true })
+	t.is(payload, '"2023-07-01T12:30:00.000Z"')
+
+	var payload = objectToPayload(date, { ...format, timezone: false })
+	t.is(payload, '"2023-07-01T12:30:00.000"')
+
+	var error = t.throws(() => {
+		objectToPayload(new Date(Date.UTC(10000, 0, 1)), format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "date is out of range")
+
+	// test if value is being checked against minimum and maximum values
+	var error = t.throws(() => {
+		objectToPayload(date, { ...format, maximum: { value: '2023-07-01T14:30:00+02:00', exclusive: true } })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be strictly lower than 2023-07-01T14:30:00+02:00")
+})
+
+test('decimal-type', t => {
+	var format = { type: 'decimal' }
+
+	for (const value of [false, 42, 42.5, "Hello world!", [], {}]) {
+		var error = t.throws(() => {
+			objectToPayload(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a decimal")
+	}
+
+	var payload = objectToPayload(Decimal.parse("12345678901234567890.123456789"), format)
+	t.is(payload, '"12345678901234567890.123456789"')
+
+	var payload = objectToPayload(new Decimal(-1250n, 3), format)
+	t.is(payload, '"-1.25"')
+
+	var payload = objectToPayload("0.10", format)
+	t.is(payload, '"0.1"')
+
+	var payload = objectToPayload(42n, { ...format, scale: 2 })
+	t.is(payload, '"42.00"')
+
+	// test if value is being checked against precision, scale and bounds
+	var error = t.throws(() => {
+		objectToPayload("0.001", { ...format, scale: 2 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must have at most 2 digits after the decimal point")
+
+	var error = t.throws(() => {
+		objectToPayload(Decimal.parse("-0.01"), { ...format, minimum: "0" })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or greater than 0")
+})
+
+test('bytes-type', t => {
+	var format = { type: 'bytes' }
+
+	for (const value of [false, 42, "AAH+/w==", [0, 1], {}]) {
+		var error = t.throws(() => {
+			objectToPayload(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a Uint8Array")
+	}
+
+	var payload = objectToPayload(new Uint8Array([0, 1, 254, 255]), format)
+	t.is(payload, '"AAH+/w=="')
+
+	var payload = objectToPayload(Buffer.from([0, 1, 254, 255]), format)
+	t.is(payload, '"AAH+/w=="')
+
+	// test if only the viewed part of the buffer is encoded
+	var payload = objectToPayload(new Uint8Array([42, 0, 1, 254, 255, 42]).subarray(1, 5), format)
+	t.is(payload, '"AAH+/w=="')
+
+	// test the base64url encoding
+	var payload = objectToPayload(new Uint8Array([0, 1, 254, 255]), { ...format, encoding: 'base64url' })
+	t.is(payload, '"AAH-_w"')
+
+	// test if the length of the data is being checked
+	var error = t.throws(() => {
+		objectToPayload(new Uint8Array([0, 1, 2, 3]), { ...format, length: 3 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "length must be equal to 3")
+})
+
+test('string-formats', t => {
+	var format = { type: 'string', format: 'uuid' }
+
+	var payload = objectToPayload('123e4567-e89b-12d3-a456-426614174000', format)
+	t.is(payload, '"123e4567-e89b-12d3-a456-426614174000"')
+
+	var error = t.throws(() => {
+		objectToPayload('Hello world!', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "was expecting a UUID")
+
+	var format = { type: 'string', format: 'email' }
+
+	var payload = objectToPayload('foo@example.com', format)
+	t.is(payload, '"foo@example.com"')
+
+	var error = t.throws(() => {
+		objectToPayload('foo@', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "was expecting an email address")
+})
+
+test('union-type', t => {
+	const format = {
+		type: 'union',
+		variants: [
+			{ type: 'number', minimum: 0 },
+			{ type: 'string' },
+			{ type: 'array', value: { type: 'number' } }
+		]
+	}
+
+	const discriminatedFormat = {
+		types: {
+			transfer: {
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['transfer'] },
+					iban: { type: 'string' }
+				}
+			}
+		},
+		type: 'union',
+		discriminator: 'method',
+		variants: [
+			{
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['card'] },
+					number: { type: 'string' },
+					expiry: { type: 'date' }
+				}
+			},
+			{ type: 'transfer' }
+		]
+	}
+
+	// test if the first matching variant is selected
+	t.is(objectToPayload(42, format), '42')
+	t.is(objectToPayload("Hello world!", format), '"Hello world!"')
+
+	var error = t.throws(() => {
+		objectToPayload(-1, format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value did not match any variant")
+
+	// test if the variant is selected by the discriminator
+	var payload = objectToPayload({ method: "card", number: "4242", expiry: new Date(Date.UTC(2030, 0, 1)) }, discriminatedFormat)
+	t.is(payload, '{"method":"card","number":"4242","expiry":"2030-01-01"}')
+
+	var error = t.throws(() => {
+		objectToPayload("card", discriminatedFormat)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "was expecting an object")
+
+	var error = t.throws(() => {
+		objectToPayload({ method: "cash" }, discriminatedFormat)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$method'])
+	t.is(error.message, "discriminator value is invalid")
+
+	// test if errors point into the selected variant
+	var error = t.throws(() => {
+		objectToPayload({ method: "transfer", iban: 42 }, discriminatedFormat)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$iban'])
+	t.is(error.message, "was expecting a string")
+})
+
+test('default-property', t => {
+	const format = {
+		types: {
+			settings: {
+				type: 'map',
+				fields: {
+					theme: { type: 'enum', values: ['light', 'dark'], default: 'light' },
+					size: { type: 'number' }
+				}
+			}
+		},
+		type: 'map',
+		fields: {
+			name: { type: 'string' },
+			since: { type: 'date', default: '2023-01-01' },
+			tags: { type: 'array', value: { type: 'string' }, option: true, default: [] },
+			settings: { type: 'settings', default: { size: 12 } }
+		}
+	}
+
+	// test if the default values are inserted instead of null
+	var payload = objectToPayload({ name: "foo" }, format)
+	t.is(payload, '{"name":"foo","since":"2023-01-01","tags":[],"settings":{"size":12}}')
+
+	var payload = objectToPayload({ name: "foo", settings: { size: 8 } }, format)
+	t.is(payload, '{"name":"foo","settings":{"size":8,"theme":"light"},"since":"2023-01-01","tags":[]}')
+
+	// test if the default values aren't used when the fields are present
+	var payload = objectToPayload({ name: "foo", since: new Date(Date.UTC(2022, 5, 1)), tags: null, settings: { theme: "dark", size: 8 } }, format)
+	t.is(payload, '{"name":"foo","since":"2022-06-01","tags":null,"settings":{"theme":"dark","size":8}}')
+})
+
+test('nullable-property', t => {
+	var format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'number', nullable: true },
+			bar: { type: 'number', option: true, nullable: false },
+			quz: { type: 'number', option: true }
+		}
+	}
+
+	// test if a nullable field accepts 'null' but can't be omitted
+	var payload = objectToPayload({ foo: null, bar: 42, quz: null }, format)
+	t.is(payload, '{"foo":null,"bar":42,"quz":null}')
+
+	var error = t.throws(() => {
+		objectToPayload({ bar: 42 }, format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'foo' field was missing")
+
+	// test if a non-nullable field can be omitted but doesn't accept 'null'
+	var error = t.throws(() => {
+		objectToPayload({ foo: 42, bar: null }, format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$bar'])
+	t.is(error.message, "was expecting a number")
+
+	var payload = objectToPayload({ foo: 42 }, format)
+	t.is(payload, '{"foo":42,"quz":null}')
+
+	// test if absent fields stay absent with the 'omit' mode
+	format = { ...format, absent: 'omit' }
+
+	var payload = objectToPayload({ foo: 42 }, format)
+	t.is(payload, '{"foo":42}')
+
+	var payload = objectToPayload({ foo: 42, quz: null }, format)
+	t.is(payload, '{"foo":42,"quz":null}')
+})
+
+test('deprecated-property', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			name: { type: 'string', option: true, deprecated: "use 'fullName' instead" },
+			role: { type: 'enum', values: ['admin', { value: 'owner', deprecated: true }], default: 'owner' }
+		}
+	}
+
+	var warnings = []
+	t.is(objectToPayload({ name: "foo", role: 'owner' }, format, undefined, warnings), '{"name":"foo","role":"owner"}')
+	t.deepEqual(warnings.map(warning => [warning.path, warning.message]), [
+		[['$name'], "value is deprecated (use 'fullName' instead)"],
+		[['$role'], "'owner' enum value is deprecated"]
+	])
+
+	var warnings = []
+	t.is(objectToPayload({ role: 'admin' }, format, undefined, warnings), '{"role":"admin","name":null}')
+	t.deepEqual(warnings, [])
+})
+
+test('unique-property', t => {
+	var format = { type: 'array', value: { type: 'date' }, unique: true }
+	t.is(objectToPayload([new Date('2023-07-14'), new Date('2023-07-15')], format), '["2023-07-14","2023-07-15"]')
+
+	// test if items are compared in their payload form
+	var error = t.throws(() => {
+		objectToPayload([new Date('2023-07-14'), new Date('2023-07-15'), new Date('2023-07-14')], format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[2]'])
+	t.is(error.message, "value is a duplicate of [0]")
+
+	// test if items can be compared by one of their fields
+	var format = {
+		type: 'array',
+		value: { type: 'map', fields: { id: { type: 'number' }, name: { type: 'string' } } },
+		unique: 'id'
+	}
+
+	var errors = []
+	objectToPayload([{ id: 1, name: 'foo' }, { id: 2, name: 'foo' }, { id: 1, name: 'bar' }, { id: 2, name: 'bar' }], format, errors)
+
+	t.deepEqual(errors.map(error => [error.path, error.message]), [
+		[['[2]'], "'id' field is a duplicate of [0]"],
+		[['[3]'], "'id' field is a duplicate of [1]"]
+	])
+})
+
+test('set-type', t => {
+	const format = { type: 'set', value: { type: 'string' } }
+
+	t.is(objectToPayload(new Set(['foo', 'bar']), format), '["foo","bar"]')
+	t.is(objectToPayload(['foo', 'bar'], format), '["foo","bar"]')
+	t.is(objectToPayload(new Set(), format), '[]')
+
+	for (const value of [false, 42, 'foo', {}, new Map()]) {
+		var error = t.throws(() => {
+			objectToPayload(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a set")
+	}
+
+	var error = t.throws(() => {
+		objectToPayload(new Set(['foo', 42]), format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[1]'])
+	t.is(error.message, "was expecting a string")
+
+	// test if arrays are checked for duplicates
+	var error = t.throws(() => {
+		objectToPayload(['foo', 'bar', 'foo'], format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[2]'])
+	t.is(error.message, "value is a duplicate of [0]")
+})
+
+test('map-constraints', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			method: { type: 'enum', values: ['card', 'cash'], default: 'card' },
+			card: { type: 'string', option: true },
+			price: { type: 'decimal', option: true },
+			discount: { type: 'decimal', option: true }
+		},
+		constraints: [
+			{ requires: ['card'], when: { method: 'card' } },
+			{ compare: ['discount', '<=', 'price'] }
+		]
+	}
+
+	t.is(objectToPayload({ method: 'cash', price: Decimal.parse('10') }, format), '{"method":"cash","price":"10","card":null,"discount":null}')
+
+	// test if default values are taken into account
+	var error = t.throws(() => {
+		objectToPayload({}, format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$card'])
+	t.is(error.message, "field is required when 'method' is \"card\"")
+
+	var error = t.throws(() => {
+		objectToPayload({ card: '4242', price: Decimal.parse('9.99'), discount: Decimal.parse('10') }, format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$discount'])
+	t.is(error.message, "value must be equal or lower than 'price'")
+})
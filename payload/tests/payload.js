@@ -8,7 +8,7 @@
 // Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, August 2022
 
 import test from 'ava'
-import { payloadToObject, ValidationError } from '../src/index.js'
+import { payloadToObject, ValidationError, ValidationWarning, Decimal } from '../src/index.js'
 
 const VALID_NAMES = [
     "foobar",
@@ -670,3 +670,974 @@ test('enum-type', t => {
 	t.deepEqual(error.path, [])
 	t.is(error.message, "enum value is invalid")
 })
+
+test('literal-type', t => {
+	for (const [value, payload] of [["invoice", '"invoice"'], [2, '2'], [true, 'true'], [null, 'null']]) {
+		t.is(payloadToObject(payload, { type: 'literal', value }), value)
+	}
+
+	// test if value is being checked against the literal
+	for (const [value, payload, text] of [["invoice", '"receipt"', '"invoice"'], [2, '2.5', '2'], [2, '"2"', '2'], [true, 'false', 'true'], [null, '0', 'null']]) {
+		var error = t.throws(() => {
+			payloadToObject(payload, { type: 'literal', value })
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, `was expecting literal ${text}`)
+	}
+
+	// test if literals can be discriminators
+	const format = {
+		type: 'union',
+		variants: [
+			{ type: 'map', fields: { version: { type: 'literal', value: 1 }, name: { type: 'string' } } },
+			{ type: 'map', fields: { version: { type: 'literal', value: 2 }, names: { type: 'array', value: { type: 'string' } } } }
+		],
+		discriminator: 'version'
+	}
+
+	t.deepEqual(payloadToObject('{"version": 1, "name": "foo"}', format), { version: 1, name: "foo" })
+	t.deepEqual(payloadToObject('{"version": 2, "names": ["foo"]}', format), { version: 2, names: ["foo"] })
+
+	var error = t.throws(() => {
+		payloadToObject('{"version": "2", "names": ["foo"]}', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$version'])
+	t.is(error.message, "discriminator value is invalid")
+})
+
+test('named-types', t => {
+	const format = {
+		types: {
+			point: {
+				type: 'tuple',
+				items: [{ type: 'number' }, { type: 'number' }]
+			},
+			shape: {
+				type: 'map',
+				fields: {
+					name: { type: 'string' },
+					points: {
+						type: 'array',
+						value: { type: 'point' }
+					},
+					center: { type: 'point', option: true }
+				}
+			}
+		},
+		type: 'map',
+		fields: {
+			shapes: {
+				type: 'array',
+				value: { type: 'shape' }
+			}
+		}
+	}
+
+	var object = payloadToObject('{"shapes": [{"name": "line", "points": [[0, 0], [4, 2]]}]}', format)
+	t.deepEqual(object, {
+		shapes: [
+			{
+				name: "line",
+				points: [[0, 0], [4, 2]],
+				center: null
+			}
+		]
+	})
+
+	// test if errors are reported inside the named types
+	var errors = []
+	payloadToObject('{"shapes": [{"name": 42, "points": [[0, false]], "center": [1, 1]}]}', format, errors)
+
+	t.is(errors.length, 2)
+	t.deepEqual(errors[0].path, ['$shapes', '[0]', '$name'])
+	t.is(errors[0].message, "was expecting a JSON string")
+	t.deepEqual(errors[1].path, ['$shapes', '[0]', '$points', '[0]', '<1>'])
+	t.is(errors[1].message, "was expecting a JSON number")
+
+	// test named types declared by other formats
+	var object = payloadToObject('[1, 2]', { type: 'point' }, undefined, undefined, { types: format.types })
+	t.deepEqual(object, [1, 2])
+})
+
+test('recursive-types', t => {
+	const format = {
+		types: {
+			comment: {
+				type: 'map',
+				fields: {
+					text: { type: 'string' },
+					replies: { type: 'array', value: { type: 'comment' } }
+				}
+			}
+		},
+		type: 'comment'
+	}
+
+	var object = payloadToObject('{"text": "foo", "replies": [{"text": "bar", "replies": []}]}', format)
+	t.deepEqual(object, {
+		text: "foo",
+		replies: [{ text: "bar", replies: [] }]
+	})
+
+	var errors = []
+	payloadToObject('{"text": "foo", "replies": [{"text": 42, "replies": []}, {"text": "bar"}]}', format, errors)
+
+	t.is(errors.length, 2)
+	t.deepEqual(errors[0].path, ['$replies', '[0]', '$text'])
+	t.is(errors[0].message, "was expecting a JSON string")
+	t.deepEqual(errors[1].path, ['$replies', '[1]'])
+	t.is(errors[1].message, "'replies' field was missing")
+
+	// test deeply nested data
+	const depth = 10000
+	const payload = '{"text": "foo", "replies": ['.repeat(depth) + '{"text": "bar", "replies": []}' + ']}'.repeat(depth)
+
+	var object = payloadToObject(payload, format)
+	for (var index = 0; index < depth; index++) {
+		t.is(object.text, "foo")
+		object = object.replies[0]
+	}
+	t.deepEqual(object, { text: "bar", replies: [] })
+
+	// the path of an issue reported deep in the data is still complete
+	var errors = []
+	payloadToObject(payload.replace('"bar"', '42'), format, errors)
+
+	t.is(errors.length, 1)
+	t.is(errors[0].path.length, 2 * depth + 1)
+	t.deepEqual(errors[0].path.slice(-3), ['$replies', '[0]', '$text'])
+	t.is(errors[0].message, "was expecting a JSON string")
+})
+
+test('date-type', t => {
+	var format = { type: 'date' }
+
+	for (const value of ['false', 'true', '42', '[]', '{}']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a JSON string")
+	}
+
+	for (const value of ['"Hello world!"', '"2023-13-01"', '"2023-02-29"', '"2023-1-1"', '"2023-01-01T00:00:00Z"']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting an ISO-8601 date")
+	}
+
+	var object = payloadToObject('"2024-02-29"', format)
+	t.true(object instanceof Date)
+	t.is(object.toISOString(), '2024-02-29T00:00:00.000Z')
+
+	var object = payloadToObject('"0042-01-01"', format)
+	t.is(object.getUTCFullYear(), 42)
+
+	// test if value is being checked against minimum and maximum values
+	var format = {
+		type: 'date',
+		minimum: '2023-01-01',
+		maximum: { value: '2024-01-01', exclusive: true }
+	}
+
+	payloadToObject('"2023-01-01"', format)
+	payloadToObject('"2023-12-31"', format)
+
+	var error = t.throws(() => {
+		payloadToObject('"2022-12-31"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or greater than 2023-01-01")
+
+	var error = t.throws(() => {
+		payloadToObject('"2024-01-01"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be strictly lower than 2024-01-01")
+})
+
+test('time-type', t => {
+	var format = { type: 'time' }
+
+	for (const value of ['"Hello world!"', '"24:00"', '"12:60"', '"12:00:00+24:00"', '"12"']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting an ISO-8601 time")
+	}
+
+	var object = payloadToObject('"08:30"', format)
+	t.deepEqual(object, { hour: 8, minute: 30, second: 0, millisecond: 0, offset: null })
+
+	var object = payloadToObject('"23:59:59.123456Z"', format)
+	t.deepEqual(object, { hour: 23, minute: 59, second: 59, millisecond: 123, offset: 0 })
+
+	var object = payloadToObject('"12:00:00-05:30"', format)
+	t.deepEqual(object, { hour: 12, minute: 0, second: 0, millisecond: 0, offset: -330 })
+
+	// test the time zone rules
+	var error = t.throws(() => {
+		payloadToObject('"08:30"', { ...format, timezone: true })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "time zone offset is required")
+
+	var error = t.throws(() => {
+		payloadToObject('"08:30Z"', { ...format, timezone: false })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "time zone offset is not allowed")
+
+	// test if value is being checked against minimum and maximum values
+	var format = {
+		type: 'time',
+		minimum: { value: '08:00', exclusive: true },
+		maximum: '18:00'
+	}
+
+	payloadToObject('"18:00:00"', format)
+
+	var error = t.throws(() => {
+		payloadToObject('"08:00:00"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be strictly greater than 08:00")
+
+	var error = t.throws(() => {
+		payloadToObject('"18:00:00.001"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or lower than 18:00")
+})
+
+test('datetime-type', t => {
+	var format = { type: 'datetime' }
+
+	for (const value of ['"Hello world!"', '"2023-01-01"', '"2023-01-01 12:00:00Z"', '"2023-02-30T12:00:00Z"']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting an ISO-8601 datetime")
+	}
+
+	var object = payloadToObject('"2023-07-01T12:30:00+02:00"', format)
+	t.true(object instanceof Date)
+	t.is(object.toISOString(), '2023-07-01T10:30:00.000Z')
+
+	// datetimes without time zone offset are considered to be in UTC
+	var object = payloadToObject('"2023-07-01T12:30:00"', format)
+	t.is(object.toISOString(), '2023-07-01T12:30:00.000Z')
+
+	// test the time zone rules
+	var error = t.throws(() => {
+		payloadToObject('"2023-07-01T12:30:00"', { ...format, timezone: true })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "time zone offset is required")
+
+	var error = t.throws(() => {
+		payloadToObject('"2023-07-01T12:30:00Z"', { ...format, timezone: false })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "time zone offset is not allowed")
+
+	// test if value is being checked against minimum and maximum values (the
+	// comparison is made on the instants)
+	var format = {
+		type: 'datetime',
+		minimum: '2023-01-01T00:00:00Z'
+	}
+
+	payloadToObject('"2023-01-01T01:00:00+01:00"', format)
+
+	var error = t.throws(() => {
+		payloadToObject('"2023-01-01T00:59:59+01:00"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or greater than 2023-01-01T00:00:00Z")
+})
+
+test('decimal-type', t => {
+	var format = { type: 'decimal' }
+
+	for (const value of ['false', '42', '42.5', '[]', '{}']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a JSON string")
+	}
+
+	for (const value of ['"Hello world!"', '"1e10"', '"1."', '".5"', '"+1"', '"1,5"']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a decimal number")
+	}
+
+	var object = payloadToObject('"12345678901234567890.123456789"', format)
+	t.true(object instanceof Decimal)
+	t.is(object.toString(), "12345678901234567890.123456789")
+
+	var object = payloadToObject('"-0.50"', format)
+	t.is(object.toString(), "-0.5")
+
+	// test if value is padded to the scale
+	var object = payloadToObject('"12.5"', { ...format, scale: 2 })
+	t.is(object.toString(), "12.50")
+
+	// test if value is being checked against precision and scale
+	var format = {
+		type: 'decimal',
+		precision: 5,
+		scale: 2
+	}
+
+	payloadToObject('"999.99"', format)
+	payloadToObject('"0.10000"', format)
+
+	var error = t.throws(() => {
+		payloadToObject('"0.001"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must have at most 2 digits after the decimal point")
+
+	var error = t.throws(() => {
+		payloadToObject('"1000"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must have at most 3 digits before the decimal point")
+
+	var error = t.throws(() => {
+		payloadToObject('"123.456"', { type: 'decimal', precision: 5 })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must have at most 5 digits")
+
+	// test if value is being checked against minimum and maximum values
+	var format = {
+		type: 'decimal',
+		minimum: { value: "0.1", exclusive: true },
+		maximum: "9007199254740993"
+	}
+
+	payloadToObject('"0.10000000000000000001"', format)
+	payloadToObject('"9007199254740993"', format)
+
+	var error = t.throws(() => {
+		payloadToObject('"0.1"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be strictly greater than 0.1")
+
+	var error = t.throws(() => {
+		payloadToObject('"9007199254740994"', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value must be equal or lower than 9007199254740993")
+})
+
+test('bytes-type', t => {
+	var format = { type: 'bytes' }
+
+	for (const value of ['false', '42', '[]', '{}']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a JSON string")
+	}
+
+	for (const value of ['"Hello world!"', '"AAE"', '"AAE-"', '"A==="']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting base64 encoded data")
+	}
+
+	var object = payloadToObject('"AAH+/w=="', format)
+	t.true(object instanceof Uint8Array)
+	t.deepEqual([...object], [0, 1, 254, 255])
+
+	var object = payloadToObject('""', format)
+	t.is(object.length, 0)
+
+	// test the base64url encoding
+	var format = { type: 'bytes', encoding: 'base64url' }
+
+	var object = payloadToObject('"AAH-_w"', format)
+	t.deepEqual([...object], [0, 1, 254, 255])
+
+	var object = payloadToObject('"AAH-_w=="', format)
+	t.deepEqual([...object], [0, 1, 254, 255])
+
+	var error = t.throws(() => {
+		payloadToObject('"AAH+/w=="', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "was expecting base64url encoded data")
+
+	// test if the length of the decoded data is being checked
+	var format = { type: 'bytes', length: { minimum: 2, maximum: 3 } }
+
+	payloadToObject('"AAE="', format)
+	payloadToObject('"AAEC"', format)
+
+	var error = t.throws(() => {
+		payloadToObject('"AA=="', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "length must be equal or greater than 2")
+
+	var error = t.throws(() => {
+		payloadToObject('"AAECAw=="', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "length must be equal or lower than 3")
+})
+
+test('string-formats', t => {
+	const values = {
+		email: {
+			valid: ['foo@example.com', 'foo.bar+quz@sub.example.io', 'foo@localhost'],
+			invalid: ['foo', 'foo@', '@example.com', 'foo..bar@example.com', 'foo@-example.com', 'foo bar@example.com'],
+			message: "was expecting an email address"
+		},
+		uri: {
+			valid: ['https://example.com/foo?bar=quz#yolo', 'mailto:foo@example.com', 'urn:isbn:0451450523', 'http://[::1]:8080/%20'],
+			invalid: ['example.com', '/foo/bar', 'https://example.com/foo bar', 'http://example.com/%2', '1http://example.com'],
+			message: "was expecting a URI"
+		},
+		uuid: {
+			valid: ['123e4567-e89b-12d3-a456-426614174000', '123E4567-E89B-12D3-A456-426614174000'],
+			invalid: ['123e4567e89b12d3a456426614174000', '123e4567-e89b-12d3-a456-42661417400', '{123e4567-e89b-12d3-a456-426614174000}'],
+			message: "was expecting a UUID"
+		},
+		hostname: {
+			valid: ['localhost', 'example.com', 'foo-bar.example.com', '123.example'],
+			invalid: ['-example.com', 'example-.com', 'foo..com', 'foo_bar.com', 'a'.repeat(64) + '.com'],
+			message: "was expecting a hostname"
+		},
+		ipv4: {
+			valid: ['0.0.0.0', '127.0.0.1', '255.255.255.255'],
+			invalid: ['256.0.0.1', '1.2.3', '01.2.3.4', '::1'],
+			message: "was expecting an IPv4 address"
+		},
+		ipv6: {
+			valid: ['::1', '2001:db8::8a2e:370:7334', '::ffff:192.0.2.128'],
+			invalid: ['127.0.0.1', '2001:db8:::1', 'fe80::1%eth0', 'foo'],
+			message: "was expecting an IPv6 address"
+		},
+		ip: {
+			valid: ['127.0.0.1', '::1'],
+			invalid: ['localhost', '256.0.0.1'],
+			message: "was expecting an IP address"
+		}
+	}
+
+	for (const [name, { valid, invalid, message }] of Object.entries(values)) {
+		const format = { type: 'string', format: name }
+
+		for (const value of valid) {
+			var object = payloadToObject(JSON.stringify(value), format)
+			t.is(object, value)
+		}
+
+		for (const value of invalid) {
+			var error = t.throws(() => {
+				payloadToObject(JSON.stringify(value), format)
+			}, {instanceOf: ValidationError})
+
+			t.deepEqual(error.path, [])
+			t.is(error.message, message)
+		}
+	}
+})
+
+test('union-type', t => {
+	const format = {
+		type: 'union',
+		variants: [
+			{ type: 'number', minimum: 0 },
+			{ type: 'string' },
+			{ type: 'array', value: { type: 'number' } }
+		]
+	}
+
+	const discriminatedFormat = {
+		types: {
+			transfer: {
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['transfer'] },
+					iban: { type: 'string' }
+				}
+			}
+		},
+		type: 'union',
+		discriminator: 'method',
+		variants: [
+			{
+				type: 'map',
+				fields: {
+					method: { type: 'enum', values: ['card'] },
+					number: { type: 'string' },
+					expiry: { type: 'date' }
+				}
+			},
+			{ type: 'transfer' }
+		]
+	}
+
+	// test if the first matching variant is selected
+	t.is(payloadToObject('42', format), 42)
+	t.is(payloadToObject('"Hello world!"', format), "Hello world!")
+	t.deepEqual(payloadToObject('[1, 2]', format), [1, 2])
+
+	for (const value of ['-1', 'true', '{}', '[1, "foo"]']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "value did not match any variant")
+	}
+
+	// test if the variant is selected by the discriminator
+	var object = payloadToObject('{"method": "card", "number": "4242", "expiry": "2030-01-01"}', discriminatedFormat)
+	t.deepEqual(object, { method: "card", number: "4242", expiry: new Date(Date.UTC(2030, 0, 1)) })
+
+	var object = payloadToObject('{"method": "transfer", "iban": "BE71096123456769"}', discriminatedFormat)
+	t.deepEqual(object, { method: "transfer", iban: "BE71096123456769" })
+
+	var error = t.throws(() => {
+		payloadToObject('[]', discriminatedFormat)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "was expecting a JSON object")
+
+	var error = t.throws(() => {
+		payloadToObject('{"iban": "BE71096123456769"}', discriminatedFormat)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'method' field was missing")
+
+	var error = t.throws(() => {
+		payloadToObject('{"method": "cash"}', discriminatedFormat)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$method'])
+	t.is(error.message, "discriminator value is invalid")
+
+	// test if errors point into the selected variant
+	var errors = []
+	payloadToObject('{"shapes": [{"method": "card", "number": 4242, "iban": "BE71096123456769"}]}', {
+		type: 'map',
+		fields: {
+			shapes: { type: 'array', value: discriminatedFormat }
+		}
+	}, errors, undefined, { types: discriminatedFormat.types })
+
+	t.is(errors.length, 3)
+	t.deepEqual(errors[0].path, ['$shapes', '[0]', '$number'])
+	t.is(errors[0].message, "was expecting a JSON string")
+	t.deepEqual(errors[1].path, ['$shapes', '[0]'])
+	t.is(errors[1].message, "'iban' field was unexpected")
+	t.deepEqual(errors[2].path, ['$shapes', '[0]'])
+	t.is(errors[2].message, "'expiry' field was missing")
+})
+
+test('default-property', t => {
+	const format = {
+		types: {
+			settings: {
+				type: 'map',
+				fields: {
+					theme: { type: 'enum', values: ['light', 'dark'], default: 'light' },
+					size: { type: 'number' }
+				}
+			}
+		},
+		type: 'map',
+		fields: {
+			name: { type: 'string' },
+			since: { type: 'date', default: '2023-01-01' },
+			tags: { type: 'array', value: { type: 'string' }, option: true, default: [] },
+			settings: { type: 'settings', default: { size: 12 } }
+		}
+	}
+
+	// test if the default values are inserted instead of null
+	var object = payloadToObject('{"name": "foo"}', format)
+	t.deepEqual(object, {
+		name: "foo",
+		since: new Date(Date.UTC(2023, 0, 1)),
+		tags: [],
+		settings: { size: 12, theme: "light" }
+	})
+
+	// test if the default values aren't used when the fields are present
+	var object = payloadToObject('{"name": "foo", "since": "2022-06-01", "tags": null, "settings": {"theme": "dark", "size": 8}}', format)
+	t.deepEqual(object, {
+		name: "foo",
+		since: new Date(Date.UTC(2022, 5, 1)),
+		tags: null,
+		settings: { theme: "dark", size: 8 }
+	})
+
+	// test if each default value is a new object
+	var object1 = payloadToObject('{"name": "foo"}', format)
+	var object2 = payloadToObject('{"name": "foo"}', format)
+	t.not(object1.tags, object2.tags)
+	t.not(object1.tags, format.fields.tags.default)
+})
+
+test('nullable-property', t => {
+	var format = {
+		type: 'map',
+		fields: {
+			foo: { type: 'number', nullable: true },
+			bar: { type: 'number', option: true, nullable: false },
+			quz: { type: 'number', option: true }
+		}
+	}
+
+	// test if a nullable field accepts 'null' but can't be omitted
+	var object = payloadToObject('{"foo": null, "bar": 42, "quz": null}', format)
+	t.deepEqual(object, { foo: null, bar: 42, quz: null })
+
+	var error = t.throws(() => {
+		payloadToObject('{"bar": 42}', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'foo' field was missing")
+
+	// test if a non-nullable field can be omitted but doesn't accept 'null'
+	var error = t.throws(() => {
+		payloadToObject('{"foo": 42, "bar": null}', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['$bar'])
+	t.is(error.message, "was expecting a JSON number")
+
+	var object = payloadToObject('{"foo": 42}', format)
+	t.deepEqual(object, { foo: 42, quz: null })
+	t.false('bar' in object)
+
+	// test if absent fields stay absent with the 'omit' mode
+	format = { ...format, absent: 'omit' }
+
+	var object = payloadToObject('{"foo": 42}', format)
+	t.deepEqual(object, { foo: 42 })
+	t.false('quz' in object)
+
+	var object = payloadToObject('{"foo": 42, "quz": null}', format)
+	t.deepEqual(object, { foo: 42, quz: null })
+
+	// test if default values are still inserted with the 'omit' mode
+	format.fields = { ...format.fields, yolo: { type: 'string', option: true, default: "Hello world!" } }
+
+	var object = payloadToObject('{"foo": 42}', format)
+	t.deepEqual(object, { foo: 42, yolo: "Hello world!" })
+})
+
+test('map-composition', t => {
+	const types = {
+		user: {
+			type: 'map',
+			fields: {
+				id: { type: 'number' },
+				name: { type: 'string' },
+				email: { type: 'string', option: true }
+			}
+		},
+		'update-user': { type: 'map', extends: 'user', omit: ['id'], overrides: { name: { type: 'string', option: true } } }
+	}
+
+	// test if composed maps behave like the same map written by hand
+	const handWrittenFormat = {
+		type: 'map',
+		fields: {
+			name: { type: 'string', option: true },
+			email: { type: 'string', option: true },
+			admin: { type: 'flag', default: false }
+		}
+	}
+	const composedFormat = { types, type: 'map', extends: 'update-user', fields: { admin: { type: 'flag', default: false } } }
+
+	const payloads = ['{}', '{"name": "foo", "admin": true}', '{"id": 42}', '{"email": 42}']
+	for (const payload of payloads) {
+		var errors = []
+		var expectedErrors = []
+
+		const object = payloadToObject(payload, composedFormat, errors)
+		t.deepEqual(object, payloadToObject(payload, handWrittenFormat, expectedErrors))
+		t.deepEqual(errors.map(error => [error.path, error.message]), expectedErrors.map(error => [error.path, error.message]))
+	}
+
+	t.deepEqual(payloadToObject('{"name": "foo"}', composedFormat), { name: "foo", email: null, admin: false })
+})
+
+test('deprecated-property', t => {
+	const format = {
+		types: {
+			legacy: { type: 'string', deprecated: true }
+		},
+		type: 'map',
+		fields: {
+			name: { type: 'string', option: true, deprecated: "use 'fullName' instead" },
+			fullName: { type: 'string', option: true },
+			role: { type: 'enum', values: ['admin', { value: 'owner', deprecated: "use 'admin' instead" }, { value: 'member', deprecated: false }], default: 'owner' },
+			tags: { type: 'array', value: { type: 'legacy' }, option: true }
+		}
+	}
+
+	function readWarnings(payload) {
+		var warnings = []
+		payloadToObject(payload, format, undefined, warnings)
+
+		t.true(warnings.every(warning => warning instanceof ValidationWarning))
+		return warnings.map(warning => [warning.path, warning.message])
+	}
+
+	// test if deprecated items are reported when present in the payload
+	t.deepEqual(readWarnings('{"fullName": "foo", "role": "admin"}'), [])
+	t.deepEqual(readWarnings('{"name": "foo", "role": "member"}'), [
+		[['$name'], "value is deprecated (use 'fullName' instead)"]
+	])
+	t.deepEqual(readWarnings('{"name": null, "role": "owner"}'), [
+		[['$name'], "value is deprecated (use 'fullName' instead)"],
+		[['$role'], "'owner' enum value is deprecated (use 'admin' instead)"]
+	])
+	t.deepEqual(readWarnings('{"tags": ["foo", "bar"]}'), [
+		[['$tags', '[0]'], "value is deprecated"],
+		[['$tags', '[1]'], "value is deprecated"]
+	])
+
+	// test if default values don't report deprecated items
+	t.deepEqual(payloadToObject('{}', format).role, 'owner')
+	t.deepEqual(readWarnings('{}'), [])
+})
+
+test('unique-property', t => {
+	var format = { type: 'array', value: { type: 'number' }, unique: true }
+	t.deepEqual(payloadToObject('[1, 2, 3]', format), [1, 2, 3])
+
+	// test if all the items duplicating a previous item are reported
+	var errors = []
+	payloadToObject('[1, 2, 1, 3, 2, 1]', format, errors)
+
+	t.deepEqual(errors.map(error => [error.path, error.message]), [
+		[['[2]'], "value is a duplicate of [0]"],
+		[['[4]'], "value is a duplicate of [1]"],
+		[['[5]'], "value is a duplicate of [0]"]
+	])
+
+	// test if items are compared in their payload form
+	var format = {
+		type: 'array',
+		value: { type: 'map', fields: { foo: { type: 'string' }, bar: { type: 'number', option: true } } },
+		unique: true
+	}
+
+	t.deepEqual(payloadToObject('[{"foo": "a"}, {"foo": "a", "bar": 42}]', format).length, 2)
+
+	var error = t.throws(() => {
+		payloadToObject('[{"foo": "a", "bar": 42}, {"bar": 42, "foo": "a"}]', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[1]'])
+	t.is(error.message, "value is a duplicate of [0]")
+
+	// test if items can be compared by one of their fields
+	var format = {
+		type: 'array',
+		value: { type: 'map', fields: { id: { type: 'number', option: true }, name: { type: 'string' } } },
+		unique: 'id'
+	}
+
+	payloadToObject('[{"id": 1, "name": "foo"}, {"id": 2, "name": "foo"}, {"name": "bar"}, {"id": null, "name": "bar"}]', format)
+
+	var error = t.throws(() => {
+		payloadToObject('[{"id": 1, "name": "foo"}, {"id": 2, "name": "bar"}, {"id": 1, "name": "quz"}]', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[2]'])
+	t.is(error.message, "'id' field is a duplicate of [0]")
+
+	// test if items are compared once decoded; equal decimals and datetimes
+	// of the same instant are written differently
+	const decimalFormat = { type: 'array', value: { type: 'decimal' }, unique: true }
+	const datetimeFormat = { type: 'array', value: { type: 'datetime', timezone: true }, unique: true }
+	const keyedFormat = { type: 'array', value: { type: 'map', fields: { at: { type: 'datetime', timezone: true } } }, unique: 'at' }
+
+	const duplicatedPayloads = [
+		[decimalFormat, '["1.0", "1"]', "value is a duplicate of [0]"],
+		[datetimeFormat, '["2023-07-14T10:00:00+02:00", "2023-07-14T08:00:00Z"]', "value is a duplicate of [0]"],
+		[keyedFormat, '[{"at": "2023-07-14T10:00:00+02:00"}, {"at": "2023-07-14T08:00:00Z"}]', "'at' field is a duplicate of [0]"]
+	]
+
+	for (const [format, payload, message] of duplicatedPayloads) {
+		var error = t.throws(() => {
+			payloadToObject(payload, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, ['[1]'])
+		t.is(error.message, message)
+	}
+
+	payloadToObject('["1.0", "1.5"]', decimalFormat)
+	payloadToObject('["2023-07-14T10:00:00+02:00", "2023-07-14T10:00:00Z"]', datetimeFormat)
+})
+
+test('set-type', t => {
+	var format = {
+		type: 'set',
+		value: {
+			type: 'string'
+	}}
+
+	for (const value of ['false', 'true', '42', '42.5', '"Hello world!"', '{}']) {
+		var error = t.throws(() => {
+			payloadToObject(value, format)
+		}, {instanceOf: ValidationError})
+
+		t.deepEqual(error.path, [])
+		t.is(error.message, "was expecting a JSON array")
+	}
+
+	t.deepEqual(payloadToObject('["foo", "bar"]', format), new Set(['foo', 'bar']))
+	t.deepEqual(payloadToObject('[]', format), new Set())
+
+	var error = t.throws(() => {
+		payloadToObject('["foo", "bar", "foo"]', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[2]'])
+	t.is(error.message, "value is a duplicate of [0]")
+
+	var error = t.throws(() => {
+		payloadToObject('["foo", 42]', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[1]'])
+	t.is(error.message, "was expecting a JSON string")
+
+	// test if the length is checked
+	var format = { type: 'set', value: { type: 'number' }, length: { maximum: 2 } }
+
+	var error = t.throws(() => {
+		payloadToObject('[1, 2, 3]', format)
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, [])
+	t.is(error.message, "length must be equal or lower than 2")
+
+	// test nested sets
+	var format = {
+		type: 'map',
+		fields: {
+			tags: { type: 'set', value: { type: 'enum', values: ['foo', 'bar'] }, option: true }
+		}
+	}
+
+	t.deepEqual(payloadToObject('{"tags": ["bar"]}', format), { tags: new Set(['bar']) })
+	t.deepEqual(payloadToObject('{}', format), { tags: null })
+})
+
+test('map-constraints', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			method: { type: 'enum', values: ['card', 'cash'], default: 'cash' },
+			card: { type: 'string', option: true },
+			email: { type: 'string', option: true },
+			phone: { type: 'string', option: true },
+			start: { type: 'datetime', option: true },
+			end: { type: 'datetime', option: true }
+		},
+		constraints: [
+			{ requires: ['card'], when: { method: 'card' } },
+			{ requires: ['start'], when: 'end' },
+			{ exclusive: ['email', 'phone'] },
+			{ any: ['email', 'phone'] },
+			{ compare: ['end', '>', 'start'] }
+		]
+	}
+
+	function readErrors(payload) {
+		var errors = []
+		payloadToObject(payload, format, errors)
+
+		return errors.map(error => [error.path, error.message])
+	}
+
+	t.deepEqual(readErrors('{"method": "card", "card": "4242", "email": "foo@bar.com"}'), [])
+	t.deepEqual(readErrors('{"phone": "123", "start": "2023-07-14T10:00:00Z", "end": "2023-07-14T12:00:00+01:00"}'), [])
+
+	// test if the errors are attached to the fields
+	t.deepEqual(readErrors('{"method": "card", "email": "foo@bar.com", "card": null}'), [
+		[['$card'], "field is required when 'method' is \"card\""]
+	])
+	t.deepEqual(readErrors('{"email": "foo@bar.com", "end": "2023-07-14T10:00:00Z"}'), [
+		[['$start'], "field is required when 'end' is present"]
+	])
+	t.deepEqual(readErrors('{"email": "foo@bar.com", "phone": "123"}'), [
+		[['$phone'], "field can't be present along with 'email'"]
+	])
+	t.deepEqual(readErrors('{"phone": null}'), [
+		[[], "one of 'email' or 'phone' fields must be present"]
+	])
+	t.deepEqual(readErrors('{"email": "foo@bar.com", "start": "2023-07-14T10:00:00Z", "end": "2023-07-14T11:00:00+01:00"}'), [
+		[['$end'], "value must be strictly greater than 'start'"]
+	])
+
+	// test if the constraints are checked once the fields are valid only
+	t.deepEqual(readErrors('{"method": "card", "phone": 42}'), [
+		[['$phone'], "was expecting a JSON string"]
+	])
+
+	// test nested maps
+	var error = t.throws(() => {
+		payloadToObject('[{"email": "foo@bar.com"}, {}]', { type: 'array', value: format })
+	}, {instanceOf: ValidationError})
+
+	t.deepEqual(error.path, ['[1]'])
+	t.is(error.message, "one of 'email' or 'phone' fields must be present")
+})
@@ -0,0 +1,205 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import {
+	registerType,
+	validateFormat,
+	payloadToObject,
+	objectToPayload,
+	compileFormat,
+	normalizeFormat,
+	compareFormats,
+	formatToJSONSchema,
+	formatToTypeScript,
+	generatePayload,
+	generateInvalidPayload,
+	ValidationError,
+	Decimal
+} from '../src/index.js'
+
+// Amounts of money are written as '12.50 EUR' in payloads and decoded to an
+// object with a decimal amount.
+registerType('money', {
+	properties: ['currency'],
+	validate: (path, block, errors, warnings) => {
+		if (block.currency !== undefined && !/^[A-Z]{3}$/.test(block.currency)) {
+			errors.push(new ValidationError(path.concat('currency'), "value must be a currency code"))
+		}
+	},
+	decode: (path, value, block, errors, warnings) => {
+		const match = typeof value === 'string' ? /^(-?[0-9]+(?:\.[0-9]+)?) ([A-Z]{3})$/.exec(value) : null
+		if (match === null) {
+			errors.push(new ValidationError(path, "was expecting an amount of money"))
+			return
+		}
+
+		if (block.currency !== undefined && match[2] !== block.currency) {
+			errors.push(new ValidationError(path, `was expecting an amount in ${block.currency}`))
+			return
+		}
+
+		return { amount: Decimal.parse(match[1]), currency: match[2] }
+	},
+	encode: (path, value, block, errors, warnings) => {
+		if (value === null || typeof value !== 'object' || !(value.amount instanceof Decimal)) {
+			errors.push(new ValidationError(path, "was expecting an amount of money"))
+			return
+		}
+
+		return `${value.amount} ${value.currency}`
+	},
+	generate: (block, random) => {
+		return `${Math.floor(random() * 10000) / 100} ${block.currency !== undefined ? block.currency : 'USD'}`
+	}
+})
+
+const format = {
+	type: 'map',
+	fields: {
+		price: { type: 'money', currency: 'EUR' },
+		discount: { type: 'money', option: true, default: '0 EUR' }
+	}
+}
+
+test('register-type', t => {
+	var error = t.throws(() => {
+		registerType('number', { decode: () => {}, encode: () => {} })
+	})
+	t.is(error.message, "'number' type is already registered")
+
+	var error = t.throws(() => {
+		registerType('money', { decode: () => {}, encode: () => {} })
+	})
+	t.is(error.message, "'money' type is already registered")
+
+	var error = t.throws(() => {
+		registerType('foo*bar', { decode: () => {}, encode: () => {} })
+	})
+	t.is(error.message, "the name of the type is incorrect")
+
+	var error = t.throws(() => {
+		registerType('geo-point', { encode: () => {} })
+	})
+	t.is(error.message, "the 'decode' property must be a function")
+
+	var error = t.throws(() => {
+		registerType('geo-point', { decode: () => {}, encode: () => {}, generate: 42 })
+	})
+	t.is(error.message, "the 'generate' property must be a function")
+})
+
+test('validate-format', t => {
+	validateFormat(format)
+	validateFormat({ type: 'money', nullable: true })
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'money', currency: 'euro' })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['currency'])
+	t.is(error.message, "value must be a currency code")
+
+	var error = t.throws(() => {
+		validateFormat({ type: 'money', scale: 2 })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, [])
+	t.is(error.message, "'scale' property is unexpected")
+
+	// default values are decoded by the custom type
+	var error = t.throws(() => {
+		validateFormat({ type: 'money', currency: 'EUR', default: '0 USD' })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['default'])
+	t.is(error.message, "was expecting an amount in EUR")
+
+	// the name of a custom type is reserved
+	var error = t.throws(() => {
+		validateFormat({ types: { money: { type: 'decimal' } }, type: 'money' })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['types'])
+	t.is(error.message, "'money' type name is reserved")
+})
+
+test('decode-and-encode', t => {
+	const object = payloadToObject('{"price": "12.50 EUR"}', format)
+	t.deepEqual(object, {
+		price: { amount: Decimal.parse('12.50'), currency: 'EUR' },
+		discount: { amount: Decimal.parse('0'), currency: 'EUR' }
+	})
+	t.is(objectToPayload(object, format), '{"price":"12.50 EUR","discount":"0 EUR"}')
+
+	t.deepEqual(payloadToObject('{"price": "1 EUR", "discount": null}', format).discount, null)
+
+	var error = t.throws(() => {
+		payloadToObject('{"price": "12.50 USD"}', format)
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['$price'])
+	t.is(error.message, "was expecting an amount in EUR")
+
+	var error = t.throws(() => {
+		objectToPayload({ price: 12.5 }, format)
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['$price'])
+	t.is(error.message, "was expecting an amount of money")
+
+	// compiled formats use the same functions
+	const compiledFormat = compileFormat({ type: 'array', value: format })
+	t.deepEqual(compiledFormat.decode('[{"price": "12.50 EUR"}]'), [object])
+	t.is(compiledFormat.encode([object]), '[{"price":"12.50 EUR","discount":"0 EUR"}]')
+
+	var error = t.throws(() => {
+		compiledFormat.decode('[{"price": "12.50 EUR"}, {"price": 42}]')
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, ['[1]', '$price'])
+	t.is(error.message, "was expecting an amount of money")
+})
+
+test('other-tools', t => {
+	t.deepEqual(normalizeFormat({ type: 'money', currency: 'EUR' }), {
+		type: 'money',
+		currency: 'EUR',
+		option: false,
+		nullable: false
+	})
+
+	t.deepEqual(compareFormats({ type: 'money', currency: 'EUR' }, { type: 'money', currency: 'USD' }), [
+		{ path: [], compatibility: 'breaking', message: "'currency' property was changed" }
+	])
+
+	var warnings = []
+	t.deepEqual(formatToJSONSchema({ type: 'money' }, warnings), { $schema: 'https://json-schema.org/draft/2020-12/schema' })
+	t.deepEqual(warnings.map(warning => warning.message), ["'money' type can't be expressed in JSON Schema"])
+
+	t.true(formatToTypeScript({ type: 'money' }, 'Price').includes('export type Price = unknown'))
+})
+
+test('generate-payloads', t => {
+	for (const seed of [1, 2, 3]) {
+		t.is(generatePayload(format, { seed }), generatePayload(format, { seed }))
+		payloadToObject(generatePayload(format, { seed }), format)
+
+		const { payload, error } = generateInvalidPayload(format, { seed })
+		const expectedError = t.throws(() => {
+			payloadToObject(payload, format)
+		}, {instanceOf: ValidationError})
+		t.deepEqual(error.path, expectedError.path)
+		t.is(error.message, expectedError.message)
+	}
+
+	// types registered without a 'generate' function can't be generated
+	registerType('color', {
+		decode: (path, value, block, errors, warnings) => value,
+		encode: (path, value, block, errors, warnings) => value
+	})
+
+	var error = t.throws(() => {
+		generatePayload({ type: 'array', value: { type: 'color' }, length: 1 })
+	})
+	t.is(error.message, "unable to generate values of the 'color' type; it has no 'generate' function")
+})
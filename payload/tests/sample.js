@@ -0,0 +1,198 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { generatePayload, generateInvalidPayload, payloadToObject, ValidationError } from '../src/index.js'
+
+const SEEDS = Array.from({ length: 25 }, (_, index) => index)
+
+const formats = [
+	{ type: 'flag' },
+	{ type: 'number', minimum: 0.1, maximum: { value: 0.2, exclusive: true } },
+	{ type: 'number', decimal: false, minimum: 5, maximum: 7 },
+	{ type: 'number', decimal: false, maximum: { value: -10, exclusive: true } },
+	{ type: 'decimal', scale: 2, precision: 4, minimum: '-1.5', maximum: '3' },
+	{ type: 'decimal', minimum: { value: '0.001', exclusive: true }, maximum: '0.002' },
+	{ type: 'string' },
+	{ type: 'string', length: { minimum: 3, maximum: 5 } },
+	{ type: 'string', pattern: '^[A-Z]{2}-\\d{3,5}(?:x|yz)?$' },
+	{ type: 'string', pattern: '^[a-z]+$', length: 12 },
+	{ type: 'string', format: 'email' },
+	{ type: 'string', format: 'uuid' },
+	{ type: 'string', format: 'ip' },
+	{ type: 'string', format: 'hostname', length: { maximum: 10 } },
+	{ type: 'string', format: 'email', length: { minimum: 4, maximum: 8 } },
+	{ type: 'string', format: 'uri', length: 100 },
+	{ type: 'date', minimum: '2023-01-01', maximum: { value: '2023-01-05', exclusive: true } },
+	{ type: 'time', timezone: true, maximum: '12:00' },
+	{ type: 'datetime', timezone: false, minimum: '2023-01-01T00:00:00' },
+	{ type: 'bytes', length: 4, encoding: 'base64url' },
+	{ type: 'array', value: { type: 'number' }, length: { minimum: 1, maximum: 3 } },
+	{ type: 'array', value: { type: 'enum', values: ['foo', 'bar', 'quz'] }, length: 3, unique: true },
+	{ type: 'array', value: { type: 'map', fields: { id: { type: 'flag' }, name: { type: 'string' } } }, length: 2, unique: 'id' },
+	{ type: 'set', value: { type: 'number', decimal: false, minimum: 0, maximum: 9 }, length: { minimum: 2 } },
+	{ type: 'object', key: 'integer', value: { type: 'flag' }, length: 2 },
+	{ type: 'object', key: 'string', value: { type: 'string', option: true } },
+	{ type: 'tuple', items: [{ type: 'string' }, { type: 'enum', values: ['foo', 'bar'] }] },
+	{ type: 'tuple', items: [{ type: 'literal', value: "foo bar" }, { type: 'literal', value: 2 }, { type: 'literal', value: false }, { type: 'literal', value: null }] },
+	{
+		type: 'map',
+		fields: {
+			foo: { type: 'number', option: true },
+			bar: { type: 'string', option: true, nullable: false },
+			quz: { type: 'flag', default: true },
+			yolo: { type: 'date' }
+		}
+	},
+	{
+		type: 'map',
+		fields: {
+			email: { type: 'string', format: 'email', option: true },
+			phone: { type: 'string', pattern: '^[0-9]{6}$', option: true },
+			start: { type: 'date' },
+			end: { type: 'date' }
+		},
+		constraints: [
+			{ exclusive: ['email', 'phone'] },
+			{ any: ['email', 'phone'] },
+			{ compare: ['end', '>', 'start'] }
+		]
+	},
+	{
+		type: 'union',
+		discriminator: 'kind',
+		variants: [
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['foo'] } } },
+			{ type: 'map', fields: { kind: { type: 'enum', values: ['bar', 'quz'] }, value: { type: 'number' } } }
+		]
+	},
+	{
+		type: 'union',
+		discriminator: 'version',
+		variants: [
+			{ type: 'map', fields: { version: { type: 'literal', value: 1 } } },
+			{ type: 'map', fields: { version: { type: 'literal', value: 2 }, value: { type: 'number' } } }
+		]
+	},
+	{ type: 'union', variants: [{ type: 'number', minimum: 0 }, { type: 'string', length: 2 }] },
+	{
+		types: {
+			node: {
+				type: 'map',
+				fields: {
+					value: { type: 'number' },
+					children: { type: 'array', value: { type: 'tree' }, length: { minimum: 1 } }
+				}
+			},
+			tree: { type: 'node', option: true }
+		},
+		type: 'array',
+		value: { type: 'tree' }
+	}
+]
+
+test('invalid-format', t => {
+	const error = t.throws(() => {
+		generatePayload({ type: 'foo' })
+	}, {instanceOf: ValidationError})
+	t.deepEqual(error.path, [])
+	t.is(error.message, "value of 'type' is incorrect")
+})
+
+test('seed-option', t => {
+	const format = formats[formats.length - 1]
+
+	t.is(generatePayload(format, { seed: 42 }), generatePayload(format, { seed: 42 }))
+	t.not(generatePayload(format, { seed: 42 }), generatePayload(format, { seed: 43 }))
+	t.deepEqual(generateInvalidPayload(format, { seed: 42 }), generateInvalidPayload(format, { seed: 42 }))
+
+	// Without seed, payloads are generated randomly.
+	t.notThrows(() => payloadToObject(generatePayload(format), format))
+})
+
+test('valid-payloads', t => {
+	for (const format of formats) {
+		for (const seed of SEEDS) {
+			const payload = generatePayload(format, { seed })
+			t.notThrows(() => payloadToObject(payload, format), payload)
+		}
+	}
+})
+
+test('string-patterns', t => {
+	const patterns = [
+		'^foo|bar$',
+		'^[^a-z]{3}$',
+		'^\\w+@\\w+\\.(?:com|org)$',
+		'^(?<year>[0-9]{4})-(?:0[1-9]|1[0-2])$',
+		'^a.c\\x41\\u0042[\\d\\-_.]*$',
+		'^(ab)+\\1?$',
+		'colou?r'
+	]
+
+	for (const pattern of patterns) {
+		const format = { type: 'string', pattern }
+		for (const seed of SEEDS) {
+			const value = JSON.parse(generatePayload(format, { seed }))
+			t.regex(value, new RegExp(pattern))
+		}
+	}
+
+	const options = { types: { code: { type: 'string', pattern: '^[A-Z]{3}$' } } }
+	t.regex(JSON.parse(generatePayload({ type: 'code' }, { seed: 0, ...options })), /^[A-Z]{3}$/)
+})
+
+test('invalid-payloads', t => {
+	for (const format of formats) {
+		for (const seed of SEEDS) {
+			const { payload, error } = generateInvalidPayload(format, { seed })
+			t.true(error instanceof ValidationError)
+
+			const decodingError = t.throws(() => payloadToObject(payload, format), {instanceOf: ValidationError}, payload)
+			t.deepEqual(decodingError.path, error.path)
+			t.is(decodingError.message, error.message)
+		}
+	}
+})
+
+test('near-misses', t => {
+	// The near misses are picked at random; enough seeds are used for each of
+	// them to be picked (whatever values are generated along the way).
+	function collectMessages(format) {
+		const seeds = Array.from({ length: 100 }, (_, index) => index)
+		return new Set(seeds.map(seed => generateInvalidPayload(format, { seed }).error.message))
+	}
+
+	var messages = collectMessages({ type: 'number', decimal: false, minimum: 0, maximum: { value: 10, exclusive: true } })
+	t.true(messages.has("value must be equal or greater than 0"))
+	t.true(messages.has("value must be strictly lower than 10"))
+	t.true(messages.has("was expecting non-decimal number"))
+
+	var messages = collectMessages({ type: 'string', length: { minimum: 2, maximum: 4 }, pattern: '^[a-z]+$' })
+	t.true(messages.has("length must be equal or greater than 2"))
+	t.true(messages.has("length must be equal or lower than 4"))
+	t.true(messages.has("value did not match the pattern"))
+
+	var messages = collectMessages({ type: 'map', fields: { foo: { type: 'flag', option: true }, bar: { type: 'flag' } } })
+	t.true(messages.has("'bar' field was missing"))
+	t.true(messages.has("'unexpected' field was unexpected"))
+
+	var messages = collectMessages({ type: 'set', value: { type: 'string' }, length: { minimum: 1 } })
+	t.true(messages.has("value is a duplicate of [0]"))
+
+	var messages = collectMessages(formats.find(format => format.constraints !== undefined))
+	t.true(messages.has("one of 'email' or 'phone' fields must be present"))
+
+	var messages = collectMessages({ type: 'map', fields: { start: { type: 'date' }, end: { type: 'date' } }, constraints: [{ compare: ['end', '>', 'start'] }] })
+	t.true(messages.has("value must be strictly greater than 'start'"))
+
+	var messages = collectMessages(formats.find(format => format.discriminator === 'kind'))
+	t.true(messages.has("discriminator value is invalid"))
+	t.true(messages.has("'kind' field was missing"))
+})
@@ -0,0 +1,202 @@
+// Copyright (c) 2022-2023, Byteplug LLC.
+//
+// This source file is part of the Byteplug toolkit for the JavaScript
+// programming language which is released under the OSL-3.0 license. Please
+// refer to the LICENSE file that can be found at the root of the project
+// directory.
+//
+// Written by Jonathan De Wachter <jonathan.dewachter@byteplug.io>, July 2023
+
+import test from 'ava'
+import { formatToTypeScript, ValidationError } from '../src/index.js'
+
+test('scalar-types', t => {
+	t.is(formatToTypeScript({ type: 'flag' }, 'Foo'), "export type Foo = boolean\n")
+	t.is(formatToTypeScript({ type: 'number', option: true }, 'Foo'), "export type Foo = number | null\n")
+	t.is(formatToTypeScript({ type: 'string' }, 'Foo'), "export type Foo = string\n")
+	t.is(formatToTypeScript({ type: 'date' }, 'Foo'), "export type Foo = Date\n")
+	t.is(formatToTypeScript({ type: 'bytes' }, 'Foo'), "export type Foo = Uint8Array\n")
+	t.is(formatToTypeScript({ type: 'enum', values: ['foo', 'bar'] }, 'Foo'), "export type Foo = 'foo' | 'bar'\n")
+	t.is(formatToTypeScript({ type: 'literal', value: "it's" }, 'Foo'), "export type Foo = 'it\\'s'\n")
+	t.is(formatToTypeScript({ type: 'literal', value: 2, option: true }, 'Foo'), "export type Foo = 2 | null\n")
+	t.is(formatToTypeScript({ type: 'literal', value: true }, 'Foo'), "export type Foo = true\n")
+
+	t.is(
+		formatToTypeScript({ type: 'decimal' }, 'Foo'),
+		"import type { Decimal } from '@byteplug/payload'\n\nexport type Foo = Decimal\n"
+	)
+})
+
+test('container-types', t => {
+	t.is(
+		formatToTypeScript({ type: 'array', value: { type: 'string', option: true } }, 'Foo'),
+		"export type Foo = (string | null)[]\n"
+	)
+	t.is(
+		formatToTypeScript({ type: 'set', value: { type: 'enum', values: ['foo', 'bar'] } }, 'Foo'),
+		"export type Foo = Set<'foo' | 'bar'>\n"
+	)
+	t.is(
+		formatToTypeScript({ type: 'object', key: 'integer', value: { type: 'flag' } }, 'Foo'),
+		"export type Foo = Record<number, boolean>\n"
+	)
+	t.is(
+		formatToTypeScript({ type: 'tuple', items: [{ type: 'flag' }, { type: 'time' }] }, 'Foo'),
+		"import type { Time } from '@byteplug/payload'\n\nexport type Foo = [boolean, Time]\n"
+	)
+	t.is(
+		formatToTypeScript({ type: 'union', variants: [{ type: 'enum', values: ['foo', 'bar'] }, { type: 'number' }] }, 'Foo'),
+		"export type Foo = ('foo' | 'bar') | number\n"
+	)
+})
+
+test('map-type', t => {
+	const format = {
+		type: 'map',
+		description: "A user.",
+		fields: {
+			name: { type: 'string', description: "The name of the user." },
+			email: { type: 'string', option: true },
+			phone: { type: 'string', option: true, nullable: false },
+			role: { type: 'enum', values: ['admin', 'member'], option: true, default: 'member' },
+			'created-at': { type: 'datetime' },
+			address: {
+				type: 'map',
+				fields: {
+					city: { type: 'string' }
+				},
+				option: true
+			}
+		}
+	}
+
+	t.is(formatToTypeScript(format, 'User'), [
+		"/** A user. */",
+		"export interface User {",
+		"    /** The name of the user. */",
+		"    name: string",
+		"    email: string | null",
+		"    phone?: string",
+		"    role: 'admin' | 'member' | null",
+		"    'created-at': Date",
+		"    address: {",
+		"        city: string",
+		"    } | null",
+		"}",
+		""
+	].join('\n'))
+
+	// test if optional fields are absent with the 'omit' mode
+	t.is(formatToTypeScript({ ...format, absent: 'omit', description: undefined }, 'User').split('\n')[3], "    email?: string | null")
+})
+
+test('named-types', t => {
+	const format = {
+		types: {
+			'tree-node': {
+				type: 'map',
+				fields: {
+					value: { type: 'tag' },
+					children: { type: 'array', value: { type: 'tree-node' } }
+				}
+			},
+			unused: { type: 'flag' }
+		},
+		type: 'tree-node',
+		option: true
+	}
+
+	t.is(formatToTypeScript(format, 'Tree', { types: { tag: { type: 'string' } } }), [
+		"export type Tree = TreeNode | null",
+		"",
+		"export interface TreeNode {",
+		"    value: Tag",
+		"    children: TreeNode[]",
+		"}",
+		"",
+		"export type Tag = string",
+		""
+	].join('\n'))
+})
+
+test('conflicting-type-names', t => {
+	const format = {
+		types: {
+			'user-profile': { type: 'string' },
+			user_profile: { type: 'number' },
+			user: { type: 'flag' }
+		},
+		type: 'map',
+		fields: {
+			foo: { type: 'user-profile' },
+			bar: { type: 'user_profile' },
+			quz: { type: 'user' }
+		}
+	}
+
+	t.is(formatToTypeScript(format, 'User'), [
+		"export interface User {",
+		"    foo: UserProfile",
+		"    bar: UserProfile2",
+		"    quz: User2",
+		"}",
+		"",
+		"export type UserProfile = string",
+		"",
+		"export type UserProfile2 = number",
+		"",
+		"export type User2 = boolean",
+		""
+	].join('\n'))
+
+	// test if type names don't conflict with the imported types
+	const typesFormat = {
+		types: {
+			Decimal: { type: 'decimal' },
+			Time: { type: 'time' }
+		},
+		type: 'tuple',
+		items: [{ type: 'Decimal' }, { type: 'Time' }]
+	}
+
+	t.is(formatToTypeScript(typesFormat, 'Foo'), [
+		"import type { Decimal, Time } from '@byteplug/payload'",
+		"",
+		"export type Foo = [Decimal2, Time2]",
+		"",
+		"export type Decimal2 = Decimal",
+		"",
+		"export type Time2 = Time",
+		""
+	].join('\n'))
+})
+
+test('invalid-format', t => {
+	const error = t.throws(() => {
+		formatToTypeScript({ type: 'foo' }, 'Foo')
+	}, {instanceOf: ValidationError})
+
+	t.is(error.message, "value of 'type' is incorrect")
+})
+
+test('deprecated-property', t => {
+	const format = {
+		type: 'map',
+		fields: {
+			name: { type: 'string', description: "The name.", deprecated: "Use 'fullName' instead." },
+			role: { type: 'enum', values: ['admin', { value: 'owner', deprecated: true }] }
+		}
+	}
+
+	t.is(formatToTypeScript(format, 'User'), [
+		"export interface User {",
+		"    /**",
+		"     * The name.",
+		"     * @deprecated Use 'fullName' instead.",
+		"     */",
+		"    name: string",
+		"    role: 'admin' | 'owner'",
+		"}",
+		""
+	].join('\n'))
+})